@@ -2,10 +2,19 @@
  * SeoKar AI Admin Scripts
  *
  * Handles interactions within the SeoKar AI metabox in the post editor.
+ * Needs wp-i18n, seokar-ai-editor-content.js (window.seokarAi.content), seokar-ai-text-diff.js
+ * (window.seokarAi.diff), seokar-ai-analyzer.js (window.seokarAi.analyzer), seokar-ai-terms.js
+ * (window.seokarAi.terms), seokar-ai-history.js (window.seokarAi.history), seokar-ai-request.js
+ * (window.seokarAi.request), seokar-ai-actions.js (window.seokarAi.actions), seokar-ai-outline.js
+ * (window.seokarAi.outline), seokar-ai-presets.js (window.seokarAi.presets), seokar-ai-links.js
+ * (window.seokarAi.links) and seokar-ai-images.js (window.seokarAi.images) to be loaded first.
+ * The actions, insert targets and result renderers all come from the seokarAi.actions registry.
  */
 (function ($) {
     'use strict';
 
+    const { __ } = wp.i18n;
+
     $(function () { // Shorthand for jQuery(document).ready(function($) {
 
         const $metaboxContent = $('#seokar-ai-metabox-content');
@@ -18,6 +27,13 @@
         const $spinner = $metaboxContent.find('#seokar-ai-metabox-spinner');
         let originalPostTitle = ''; // To store the original title when editor loads
         let originalPostContent = ''; // To store original content
+        let insertPosition = 'selection'; // Where generated content is inserted, see seokarAi.content.POSITIONS
+        // Parts of the results area that are not the suggestion itself (buttons, notes, notices).
+        const RESULT_EXTRAS_SELECTOR = '.seokar-ai-result-actions, small, .seokar-ai-result-notice, .seokar-ai-category-confirm';
+        // Finished result cards kept in the results area; older ones are removed.
+        const MAX_RESULT_CARDS = 5;
+        const requestClient = seokarAi.request.getClient(seokarAiAdmin, 'metabox');
+        let runningRequests = 0;
 
         // --- Helper Functions ---
 
@@ -75,65 +91,23 @@
         }
 
         /**
-         * Inserts text into the WordPress editor (Classic or Gutenberg).
+         * Inserts text into the WordPress editor (Classic or Gutenberg) through its insert target.
+         * Content may be HTML or Markdown; it keeps its structure (real blocks in Gutenberg).
          * @param {string} textToInsert The text to insert.
-         * @param {string} targetField 'title', 'content', 'excerpt', 'tags', 'categories'.
+         * @param {string} targetField 'title', 'content', 'tags', 'categories', an SEO field
+         *                             ('excerpt', 'slug', 'meta_description', 'focus_keyword')
+         *                             or a target added with seokarAi.registerInsertTarget().
+         * @param {string} position For content: 'selection', 'replace' or 'append' (see seokarAi.content.POSITIONS).
          */
-        function insertIntoEditor(textToInsert, targetField = 'content') {
-            textToInsert = String(textToInsert).trim(); // Ensure it's a string and trim whitespace
-
-            if (targetField === 'title') {
-                if ($('#titlewrap #title').length) { // Classic
-                    $('#titlewrap #title').val(textToInsert).trigger('input'); // Trigger input for WP to detect change
-                } else if (typeof wp !== 'undefined' && wp.data && wp.data.dispatch('core/editor')) { // Gutenberg
-                    try {
-                        wp.data.dispatch('core/editor').editPost({ title: textToInsert });
-                    } catch (e) { console.error('SeoKar AI: Failed to insert title in Gutenberg.', e); }
-                }
-            } else if (targetField === 'content') {
-                if (typeof tinymce !== 'undefined' && tinymce.get('content') && tinymce.get('content').isVisible()) { // Classic TinyMCE
-                    tinymce.get('content').insertContent(textToInsert);
-                } else if ($('#content').length && $('#content').is(':visible')) { // Classic Text
-                    const editor = document.getElementById('content');
-                    const start = editor.selectionStart;
-                    const end = editor.selectionEnd;
-                    const text = editor.value;
-                    editor.value = text.substring(0, start) + textToInsert + text.substring(end);
-                    $(editor).trigger('input'); // For WP to detect change
-                } else if (typeof wp !== 'undefined' && wp.blocks && wp.data && wp.data.dispatch('core/editor')) { // Gutenberg
-                    try {
-                        const { createBlock } = wp.blocks;
-                        const { insertBlocks } = wp.data.dispatch('core/editor');
-                        // Simple insertion as a new paragraph block. For more complex HTML, might need createBlockFromHTML
-                        const block = createBlock('core/paragraph', { content: textToInsert });
-                        insertBlocks(block);
-                    } catch (e) { console.error('SeoKar AI: Failed to insert content in Gutenberg.', e); }
-                }
-            } else if (targetField === 'tags') {
-                // For tags, it's usually a comma-separated list.
-                // Classic editor uses '.tagadd' button or input with id 'new-tag-post_tag'
-                // Gutenberg uses a component. This is more complex.
-                // Simple approach for classic:
-                if ($('#new-tag-post_tag').length) {
-                    const currentTags = $('#new-tag-post_tag').val();
-                    const newTags = currentTags ? currentTags + ', ' + textToInsert : textToInsert;
-                    $('#new-tag-post_tag').val(newTags);
-                    // Optionally, click the "Add" button if available and logic is clear
-                    // $('.tagadd').click(); // This might add them one by one if textToInsert is multiple tags
-                    alert(seokarAiAdmin.i18n.copied + " " + textToInsert + "\n" + __("Please add these tags manually or paste into the tag input field.", "seokar-ai"));
-                } else {
-                    // For Gutenberg, direct manipulation is harder. Inform user.
-                    copyToClipboard(textToInsert);
-                    alert(seokarAiAdmin.i18n.copied + " " + __("Please paste these tags into the tags field.", "seokar-ai"));
-                }
-
-            } else if (targetField === 'categories') {
-                 // For categories, direct adding via JS is complex due to hierarchical nature and UI.
-                 // Best to inform user to copy/paste or select manually.
-                 copyToClipboard(textToInsert);
-                 alert(seokarAiAdmin.i18n.copied + " " + __("Suggested categories copied. Please select them manually.", "seokar-ai"));
+        function insertIntoEditor(textToInsert, targetField = 'content', position = insertPosition) {
+            const target = seokarAi.actions.getInsertTarget(targetField);
+            if (!target) {
+                console.error('SeoKar AI: Unknown insert target "' + targetField + '".');
+                return;
             }
-            // TODO: Add more target fields like 'excerpt' if needed.
+            textToInsert = String(textToInsert).trim(); // Ensure it's a string and trim whitespace
+            rememberForUndo(targetField);
+            target.insert(textToInsert, { position: position });
         }
 
         /**
@@ -169,167 +143,2888 @@
         }
 
 
-        // --- Event Handlers ---
+        /**
+         * Marks an action as running or done. Only the buttons of that action are disabled,
+         * so other actions can run at the same time; the spinner shows while any request runs.
+         * @param {string} actionType The action type.
+         * @param {boolean} isBusy Whether its request is running.
+         */
+        function setActionBusy(actionType, isBusy) {
+            runningRequests = Math.max(0, runningRequests + (isBusy ? 1 : -1));
+            $spinner.css('visibility', runningRequests ? 'visible' : 'hidden');
+            $metaboxContent.find('.seokar-ai-action-btn').filter(function () {
+                return $(this).data('action') === actionType;
+            }).prop('disabled', isBusy).toggleClass('disabled', isBusy);
+        }
 
-        // Handle click on action buttons within the metabox
-        $metaboxContent.on('click', '.seokar-ai-action-btn', function (e) {
-            e.preventDefault();
-            const $button = $(this);
-            const actionType = $button.data('action');
+        /**
+         * Adds a card for one request at the top of the results area, with its own Cancel
+         * and Dismiss buttons. Each request renders into its card only.
+         * @param {string} actionType The action type.
+         * @param {string} cancelLabel Optional label of the cancel button (default "Cancel").
+         * @returns {Object} { $card, $body, signal, setStatus(text), finish() }.
+         */
+        function createResultCard(actionType, cancelLabel) {
+            const controller = new AbortController();
+            const $status = $('<span class="seokar-ai-result-status"></span>');
+            const $cancelButton = $('<button type="button" class="button-link seokar-ai-result-cancel-btn"></button>').text(cancelLabel || __('Cancel', 'seokar-ai'));
+            const $dismissButton = $('<button type="button" class="button-link seokar-ai-result-dismiss-btn"></button>')
+                .attr('aria-label', __('Dismiss', 'seokar-ai'))
+                .text('\u00d7');
+            const $body = $('<div class="seokar-ai-result-body" aria-live="polite"></div>');
+            const $card = $('<div class="seokar-ai-result-card is-running"></div>').attr('data-action', actionType).append(
+                $('<div class="seokar-ai-result-header"></div>').append(
+                    $('<strong></strong>').text(getActionLabel(actionType)),
+                    ' ',
+                    $status,
+                    $cancelButton,
+                    $dismissButton
+                ),
+                $body
+            );
 
-            // Confirm for potentially destructive actions
-            if (actionType === 'generate_full_content') {
-                if (!confirm(seokarAiAdmin.i18n.confirm_generate_full_content)) {
-                    return;
+            $cancelButton.on('click', function () {
+                $cancelButton.prop('disabled', true);
+                controller.abort();
+            });
+            $dismissButton.on('click', function () {
+                controller.abort();
+                $card.remove();
+            });
+
+            $resultsDiv.prepend($card);
+            $resultsDiv.children('.seokar-ai-result-card:not(.is-running)').slice(MAX_RESULT_CARDS).remove();
+
+            return {
+                $card: $card,
+                $body: $body,
+                signal: controller.signal,
+                setStatus: function (text) { $status.text(text); },
+                finish: function () {
+                    $card.removeClass('is-running');
+                    $status.empty();
+                    $cancelButton.remove();
                 }
+            };
+        }
+
+        /**
+         * Shows why a request failed in its card, with a Retry button. Cancelled requests just say so.
+         * @param {Object} card The card from createResultCard().
+         * @param {Error} err The error (see seokarAi.request).
+         * @param {function} retry Sends the request again.
+         */
+        function showRequestError(card, err, retry) {
+            if (seokarAi.request.isAbort(err)) {
+                card.$body.html('<p>' + __('Request cancelled.', 'seokar-ai') + '</p>');
+                return;
             }
+            console.error('SeoKar AI Request Failed:', err);
+            card.$body.empty().append($('<p class="seokar-ai-error"></p>').text((err && err.message) || seokarAiAdmin.i18n.error_generic));
+            if (retry && err.code !== 'invalid_nonce') {
+                card.$body.append($('<div class="seokar-ai-result-actions"></div>').append(
+                    $('<button type="button" class="button button-small seokar-ai-retry-btn"></button>').text(__('Retry', 'seokar-ai')).on('click', function () {
+                        card.$card.remove();
+                        retry();
+                    })
+                ));
+            }
+        }
 
-            const currentTitle = getCurrentPostTitle();
-            const currentContent = getCurrentPostContent();
+        /**
+         * Shows a pending retry in a card's header.
+         * @param {Object} card The card from createResultCard().
+         * @returns {function(Object)} The `onRetry` callback for seokarAi.request.
+         */
+        function showRetryStatus(card) {
+            return function (retry) {
+                card.setStatus(wp.i18n.sprintf(__('Retrying in %d s\u2026', 'seokar-ai'), Math.ceil(retry.delay / 1000)));
+            };
+        }
 
-            if (!currentTitle && (actionType === 'generate_content_outline' || actionType === 'generate_full_content')) {
-                 $resultsDiv.html('<p class="seokar-ai-error">' + __('Please enter a title first for this action.', 'seokar-ai') + '</p>');
-                 return;
+        /**
+         * Insert target and selection mode for each kind of structured suggestion
+         * (the keys of `response.data.suggestions`).
+         */
+        const SUGGESTION_KINDS = {
+            titles: { target: 'title', multiple: false },
+            keywords: { target: 'tags', multiple: true },
+            tags: { target: 'tags', multiple: true },
+            categories: { target: 'categories', multiple: true },
+            outline: { target: 'content', multiple: true },
+            excerpts: { target: 'excerpt', multiple: false },
+            slugs: { target: 'slug', multiple: false },
+            meta_descriptions: { target: 'meta_description', multiple: false },
+            focus_keywords: { target: 'focus_keyword', multiple: false }
+        };
+
+        /**
+         * Escapes text for use inside HTML.
+         * @param {string} text The text.
+         * @returns {string} The escaped text.
+         */
+        function escapeHtml(text) {
+            return $('<div></div>').text(text).html();
+        }
+
+        /**
+         * Shows "Copied!" style feedback on a button for two seconds.
+         * @param {jQuery} $button The button.
+         */
+        function flashButton($button) {
+            const originalText = $button.text();
+            $button.text(seokarAiAdmin.i18n.copied).prop('disabled', true);
+            setTimeout(function () { $button.text(originalText).prop('disabled', false); }, 2000);
+        }
+
+        /**
+         * Builds the "Insert at" dropdown shown next to content insert buttons.
+         * The choice is remembered for later results.
+         * @returns {jQuery} The label wrapping the select.
+         */
+        function buildInsertPositionSelect() {
+            const labels = {
+                selection: __('At the selection', 'seokar-ai'),
+                replace: __('Replace the selection', 'seokar-ai'),
+                append: __('At the end', 'seokar-ai')
+            };
+            const $select = $('<select class="seokar-ai-insert-position"></select>');
+            seokarAi.content.POSITIONS.forEach(function (position) {
+                $select.append($('<option></option>').val(position).text(labels[position]));
+            });
+            $select.val(insertPosition).on('change', function () {
+                insertPosition = $(this).val();
+            });
+            return $('<label class="seokar-ai-insert-position-label"></label>').text(__('Insert:', 'seokar-ai') + ' ').append($select);
+        }
+
+        /**
+         * Builds one selectable suggestion item with its own Edit/Insert/Copy buttons.
+         * @param {string} text The suggestion text.
+         * @param {string} target The insert target.
+         * @param {boolean} multiple Whether several items can be selected (checkbox vs radio).
+         * @param {boolean} checked Initial selection state.
+         * @param {number} level Heading level, for outline sections.
+         * @returns {jQuery} The <li> element.
+         */
+        function buildSuggestionItem(text, target, multiple, checked, level) {
+            const $item = $('<li class="seokar-ai-item"></li>').attr('data-target', target);
+            if (level) {
+                $item.attr('data-level', level);
+            }
+            const $label = $('<label class="seokar-ai-item-label"></label>').append(
+                $('<input class="seokar-ai-item-select">').attr('type', multiple ? 'checkbox' : 'radio').prop('checked', checked),
+                ' ',
+                $('<span class="seokar-ai-item-text"></span>').text(text)
+            );
+            const $edit = $('<input type="text" class="seokar-ai-item-edit widefat">').val(text).hide();
+            const $actions = $('<span class="seokar-ai-item-actions"></span>').append(
+                $('<button type="button" class="button-link seokar-ai-item-edit-btn"></button>').text(__('Edit', 'seokar-ai')),
+                $('<button type="button" class="button-link seokar-ai-item-insert-btn"></button>').text(seokarAiAdmin.i18n.insert_into_editor),
+                $('<button type="button" class="button-link seokar-ai-item-copy-btn"></button>').text(seokarAiAdmin.i18n.copy_to_clipboard)
+            );
+            return $item.append($label, $edit, $actions);
+        }
+
+        /**
+         * Builds the outline tree as nested selectable items.
+         * @param {Array} nodes Outline nodes ({ title, level, children }).
+         * @returns {jQuery} The <ul> element.
+         */
+        function buildOutlineList(nodes) {
+            const $list = $('<ul class="seokar-ai-items"></ul>');
+            nodes.forEach(function (node) {
+                const $item = buildSuggestionItem(node.title, 'content', true, true, node.level || 2);
+                if (node.children && node.children.length) {
+                    $item.append(buildOutlineList(node.children).addClass('seokar-ai-item-children'));
+                }
+                $list.append($item);
+            });
+            return $list;
+        }
+
+        /**
+         * Builds the selectable view of a structured suggestion, or returns null when
+         * the server sent none (free-form content or an older server).
+         * @param {Object} suggestions The `suggestions` object from the response.
+         * @returns {jQuery|null}
+         */
+        function buildStructuredResult(suggestions) {
+            const kind = Object.keys(SUGGESTION_KINDS).find(function (key) {
+                return suggestions && Array.isArray(suggestions[key]) && suggestions[key].length;
+            });
+            if (!kind) {
+                return null;
+            }
+
+            const config = SUGGESTION_KINDS[kind];
+            const $list = kind === 'outline'
+                ? buildOutlineList(suggestions.outline)
+                : $('<ul class="seokar-ai-items"></ul>').append(suggestions[kind].map(function (text, index) {
+                    // Titles: pick one (the first by default). Terms: all picked by default.
+                    return buildSuggestionItem(text, config.target, config.multiple, config.multiple || index === 0);
+                }));
+
+            return $('<div class="seokar-ai-structured-result"></div>').attr('data-kind', kind).append(
+                $list,
+                $('<div class="seokar-ai-result-actions"></div>').append(
+                    $('<button type="button" class="button button-small button-primary seokar-ai-items-insert-btn"></button>').text(__('Insert Selected', 'seokar-ai')),
+                    ' ',
+                    $('<button type="button" class="button button-small seokar-ai-items-copy-btn"></button>').text(__('Copy Selected', 'seokar-ai')),
+                    config.target === 'content' ? buildInsertPositionSelect() : null
+                )
+            );
+        }
+
+        /**
+         * Current (possibly edited) text of a suggestion item.
+         * @param {jQuery} $item The item.
+         * @returns {string}
+         */
+        function getItemText($item) {
+            const $edit = $item.children('.seokar-ai-item-edit');
+            return ($edit.is(':visible') ? $edit.val() : $item.children('.seokar-ai-item-label').children('.seokar-ai-item-text').text()).trim();
+        }
+
+        /**
+         * Text to insert for a list of items: headings HTML for outline sections,
+         * a comma-separated list for terms, the text itself for a title.
+         * @param {jQuery} $items The items.
+         * @returns {string}
+         */
+        function getItemsInsertText($items) {
+            return $items.map(function () {
+                const $item = $(this);
+                const level = $item.data('level');
+                return level ? '<h' + level + '>' + escapeHtml(getItemText($item)) + '</h' + level + '>' : getItemText($item);
+            }).get().filter(Boolean).join($items.first().data('level') ? '\n' : ', ');
+        }
+
+        /**
+         * Text to insert for a plain (unstructured) result, by the `format` of the insert target:
+         * the markup for content, so headings, lists and quotes survive; the first list item for
+         * single values like titles, as the AI often returns a list of options; the text otherwise.
+         * @param {jQuery} $container The element holding the result.
+         * @param {string} target The insert target.
+         * @returns {string}
+         */
+        function getResultInsertText($container, target) {
+            // Leave out the action buttons, notes and notices around the suggestion.
+            const $suggestion = $container.clone().find(RESULT_EXTRAS_SELECTOR).remove().end();
+            const format = (seokarAi.actions.getInsertTarget(target) || {}).format;
+            if (format === 'html') {
+                return $suggestion.html().trim();
             }
-            if (!currentContent && (actionType === 'suggest_title' || actionType === 'suggest_keywords')) {
-                 // Allow title/keyword suggestion even without content, but it might be less effective
-                 // $resultsDiv.html('<p class="seokar-ai-error">' + seokarAiAdmin.i18n.no_content_selected + '</p>');
-                 // return;
+            if (format === 'first' && $suggestion.find('li').length) {
+                return $suggestion.find('li').first().text().trim();
             }
+            if ($suggestion.find('li').length) {
+                // Terms: one per list item
+                return $suggestion.find('li').map(function () { return $(this).text().trim(); }).get().join(', ');
+            }
+            return $suggestion.text().trim();
+        }
 
+        /**
+         * Renders a finished suggestion into a result card with the action's result renderer
+         * (see seokarAi.registerResultRenderer()), the built-in one by default.
+         * @param {jQuery} $body The body of the result card.
+         * @param {string} actionType The action that produced the result.
+         * @param {Object} result The result: { html, suggestions }.
+         * @param {string} note Optional note shown under the result (excluded from insert/copy).
+         */
+        function renderResult($body, actionType, result, note) {
+            const action = seokarAi.actions.get(actionType) || { type: actionType, target: null };
+            const render = seokarAi.actions.getResultRenderer(action.renderer || 'default');
+            const renderDefault = function () { renderDefaultResult($body, result, action, note); };
+            if (render) {
+                render($body, result, { actionType: actionType, action: action, note: note, renderDefault: renderDefault });
+            } else {
+                renderDefault();
+            }
+        }
 
-            $spinner.css('visibility', 'visible');
-            $resultsDiv.html('<p>' + seokarAiAdmin.i18n.processing + '</p>');
-            $button.prop('disabled', true).addClass('disabled');
-            $('.seokar-ai-action-btn').not($button).prop('disabled', true).addClass('disabled'); // Disable all buttons
+        /**
+         * The built-in result renderer. Structured suggestions are shown as selectable items,
+         * anything else as HTML followed by the insert button of the action's target and a copy button.
+         * @param {jQuery} $body The body of the result card.
+         * @param {Object} result The result: { html, suggestions }.
+         * @param {Object} action The action that produced the result.
+         * @param {string} note Optional note shown under the result (excluded from insert/copy).
+         */
+        function renderDefaultResult($body, result, action, note) {
+            const $structured = buildStructuredResult(result.suggestions);
+            if ($structured) {
+                $body.empty().append($structured);
+                if (note) {
+                    $structured.before($('<small class="seokar-ai-stream-note"></small>').text(note));
+                }
+                return;
+            }
 
-            $.ajax({
-                url: seokarAiAdmin.ajax_url,
-                type: 'POST',
-                data: {
-                    action: 'seokar_ai_editor_suggestion', // WP AJAX action defined in PHP
-                    nonce: seokarAiAdmin.nonce,
-                    post_id: seokarAiAdmin.post_id,
-                    action_type: actionType,
-                    current_title: currentTitle,
-                    current_content: currentContent
-                },
-                dataType: 'json', // Expect JSON response from server
-                success: function (response) {
-                    if (response.success && response.data && response.data.html) {
-                        let htmlOutput = response.data.html;
-                        // Add action buttons to the results
-                        htmlOutput += '<div class="seokar-ai-result-actions" style="margin-top:10px;">';
-                        if (actionType === 'suggest_title') {
-                            htmlOutput += '<button type="button" class="button button-small seokar-ai-insert-btn" data-target="title">' + seokarAiAdmin.i18n.insert_into_editor + ' (' + __('Title', 'seokar-ai') + ')</button> ';
-                        } else if (actionType === 'generate_content_outline' || actionType === 'generate_full_content') {
-                            htmlOutput += '<button type="button" class="button button-small seokar-ai-insert-btn" data-target="content">' + seokarAiAdmin.i18n.insert_into_editor + ' ('+ __('Content', 'seokar-ai') + ')</button> ';
-                        } else if (actionType === 'suggest_keywords' || actionType === 'suggest_tags') {
-                             htmlOutput += '<button type="button" class="button button-small seokar-ai-insert-btn" data-target="tags">' + __('Use as Tags', 'seokar-ai') + '</button> ';
-                        } else if (actionType === 'suggest_categories') {
-                             htmlOutput += '<button type="button" class="button button-small seokar-ai-copy-btn">' + seokarAiAdmin.i18n.copy_to_clipboard + '</button> ';
-                             // No direct insert for categories, too complex.
+            const target = action.target && seokarAi.actions.getInsertTarget(action.target);
+            let htmlOutput = result.html;
+            if (note) {
+                htmlOutput += '<small class="seokar-ai-stream-note">' + escapeHtml(note) + '</small>';
+            }
+            // Add action buttons to the results
+            htmlOutput += '<div class="seokar-ai-result-actions" style="margin-top:10px;">';
+            if (target) {
+                const insertLabel = action.insertLabel || seokarAiAdmin.i18n.insert_into_editor + ' (' + target.label + ')';
+                htmlOutput += '<button type="button" class="button button-small seokar-ai-insert-btn" data-target="' + escapeHtml(target.name) + '">' + escapeHtml(insertLabel) + '</button> ';
+            }
+
+            // Always offer a general copy button if no specific insert is offered or in addition
+            htmlOutput += '<button type="button" class="button button-small seokar-ai-copy-btn">' + seokarAiAdmin.i18n.copy_to_clipboard + '</button>';
+            htmlOutput += '</div>';
+            $body.html(htmlOutput);
+            if (target && target.format === 'html') {
+                $body.find('.seokar-ai-result-actions').append(buildInsertPositionSelect());
+            }
+        }
+
+        if (!seokarAi.actions.getResultRenderer('default')) {
+            seokarAi.registerResultRenderer('default', function ($body, result, context) {
+                context.renderDefault();
+            });
+        }
+
+        /**
+         * Sends a one-shot suggestion request in its own result card and renders the whole result when it arrives.
+         * @param {string} actionType The action type.
+         * @param {Object} requestData The AJAX payload (the nonce is added by seokarAi.request).
+         * @param {function(Object, jQuery)} onResult Optional renderer for the result ({ html, suggestions }) and the card body, instead of renderResult().
+         * @param {Object} card Optional card to use, from createResultCard(); a new one is added by default.
+         */
+        function sendSuggestionRequest(actionType, requestData, onResult, card = createResultCard(actionType)) {
+            card.$body.html('<p>' + seokarAiAdmin.i18n.processing + '</p>');
+            setActionBusy(actionType, true);
+
+            requestClient.post(requestData, { signal: card.signal, onRetry: showRetryStatus(card) })
+                .then(function (data) {
+                    if (!data || !data.html) {
+                        throw new Error(seokarAiAdmin.i18n.error_generic);
+                    }
+                    const result = seokarAi.actions.filterResult({ html: data.html, suggestions: data.suggestions }, actionType);
+                    recordHistory(actionType, requestData, result);
+                    if (onResult) {
+                        onResult(result, card.$body);
+                    } else {
+                        renderResult(card.$body, actionType, result);
+                    }
+                })
+                .catch(function (err) {
+                    showRequestError(card, err, function () { sendSuggestionRequest(actionType, requestData, onResult); });
+                })
+                .then(function () {
+                    setActionBusy(actionType, false);
+                    card.finish();
+                });
+        }
+
+        /**
+         * Runs the `prepare` step of an action (see seokarAi.registerAction()) in the request's
+         * card, then sends the prepared request in the same card.
+         * @param {string} actionType The action type.
+         * @param {Object} requestData The AJAX payload before the `prepare` step.
+         */
+        function sendPreparedSuggestionRequest(actionType, requestData) {
+            const card = createResultCard(actionType);
+            card.$body.html('<p>' + seokarAiAdmin.i18n.processing + '</p>');
+            setActionBusy(actionType, true);
+
+            seokarAi.actions.prepare(requestData, actionType, card.signal).then(function (preparedData) {
+                setActionBusy(actionType, false);
+                sendSuggestionRequest(actionType, preparedData, null, card);
+            }, function (err) {
+                setActionBusy(actionType, false);
+                showRequestError(card, err, function () { sendPreparedSuggestionRequest(actionType, requestData); });
+                card.finish();
+            });
+        }
+
+        /**
+         * Whether streamed responses are used: the server sets `streaming` while it answers
+         * `seokar_ai_editor_suggestion_stream` (see SeoKar_AI_Editor::ajax_suggestion_stream()) with
+         * server-sent events: `chunk` ({ text }), then `done` ({ html, suggestions }) or `error` ({ message }).
+         * @returns {boolean}
+         */
+        function canStream() {
+            return seokarAiAdmin.streaming === true &&
+                typeof window.fetch === 'function' &&
+                typeof window.ReadableStream === 'function' &&
+                typeof window.TextDecoder === 'function' &&
+                typeof window.AbortController === 'function';
+        }
+
+        /**
+         * Posts to the streaming endpoint and reads its server-sent events.
+         * Rejects with `seokarAiFallback` set when the server did not answer with an event stream,
+         * and with an AbortError when `signal` is aborted.
+         * @param {Object} requestData The AJAX payload (the `action` is replaced).
+         * @param {Object} card The result card, whose signal stops the request.
+         * @param {function(string, string)} onChunk Called with each new chunk and the HTML so far.
+         * @returns {Promise<Object>} Resolves with the complete result: { html, suggestions }.
+         */
+        function readSuggestionStream(requestData, card, onChunk) {
+            return requestClient.post($.extend({}, requestData, { action: 'seokar_ai_editor_suggestion_stream' }), {
+                signal: card.signal,
+                stream: true,
+                onRetry: showRetryStatus(card)
+            }).catch(function (err) {
+                // admin-ajax answers 400 for an action nobody registered.
+                if (err.code === 'http' && err.status === 400) {
+                    err.seokarAiFallback = true;
+                }
+                throw err;
+            }).then(function (res) {
+                const contentType = res.headers.get('Content-Type') || '';
+                if (!res.body || contentType.indexOf('text/event-stream') === -1) {
+                    const err = new Error('SeoKar AI: Streaming is not available (HTTP ' + res.status + ').');
+                    err.seokarAiFallback = true;
+                    throw err;
+                }
+
+                const reader = res.body.getReader();
+                const decoder = new TextDecoder();
+                let buffer = '';
+                let html = '';
+
+                // Handles one "event: ...\ndata: ..." block. Returns the final result on `done`.
+                function handleEvent(block) {
+                    let eventName = 'message';
+                    const dataLines = [];
+                    block.split('\n').forEach(function (line) {
+                        if (line.indexOf('event:') === 0) {
+                            eventName = line.slice(6).trim();
+                        } else if (line.indexOf('data:') === 0) {
+                            dataLines.push(line.slice(5).replace(/^ /, ''));
                         }
+                    });
+                    if (!dataLines.length) {
+                        return null;
+                    }
+                    const data = JSON.parse(dataLines.join('\n'));
+                    if (eventName === 'chunk') {
+                        html += data.text;
+                        onChunk(data.text, html);
+                    } else if (eventName === 'done') {
+                        return { html: data.html || html, suggestions: data.suggestions };
+                    } else if (eventName === 'error') {
+                        throw new Error(data.message || seokarAiAdmin.i18n.error_generic);
+                    }
+                    return null;
+                }
 
-                        // Always offer a general copy button if no specific insert is offered or in addition
-                        if (actionType !== 'suggest_categories'){ // Categories already has copy
-                             htmlOutput += '<button type="button" class="button button-small seokar-ai-copy-btn">' + seokarAiAdmin.i18n.copy_to_clipboard + '</button>';
+                function pump() {
+                    return reader.read().then(function (result) {
+                        buffer += decoder.decode(result.value || new Uint8Array(), { stream: !result.done });
+                        const blocks = buffer.replace(/\r\n/g, '\n').split('\n\n');
+                        buffer = result.done ? '' : blocks.pop();
+                        for (let i = 0; i < blocks.length; i++) {
+                            const finalResult = blocks[i].trim() ? handleEvent(blocks[i]) : null;
+                            if (finalResult !== null) {
+                                reader.cancel();
+                                return finalResult;
+                            }
                         }
-                        htmlOutput += '</div>';
-                        $resultsDiv.html(htmlOutput);
-                    } else {
-                        const errorMessage = response.data || seokarAiAdmin.i18n.error_generic;
-                        $resultsDiv.html('<p class="seokar-ai-error">' + errorMessage + '</p>');
-                         console.error('SeoKar AI AJAX Error:', response);
+                        // Stream closed without a `done` event: keep what arrived.
+                        return result.done ? { html: html } : pump();
+                    });
+                }
+
+                return pump();
+            });
+        }
+
+        /**
+         * Streams a suggestion into its result card as it is generated; the card's Stop button keeps the partial result.
+         * Falls back to the one-shot request if the server cannot stream.
+         * @param {string} actionType The action type.
+         * @param {Object} requestData The AJAX payload.
+         */
+        function sendStreamingSuggestionRequest(actionType, requestData) {
+            const card = createResultCard(actionType, __('Stop', 'seokar-ai'));
+            const $output = $('<div class="seokar-ai-stream-output"></div>');
+            let partialHtml = '';
+            let fellBack = false;
+
+            card.$body.empty().append($output.html('<p>' + seokarAiAdmin.i18n.processing + '</p>'));
+            setActionBusy(actionType, true);
+
+            readSuggestionStream(requestData, card, function (chunk, htmlSoFar) {
+                partialHtml = htmlSoFar;
+                card.setStatus('');
+                $output.html(partialHtml);
+                // Keep the end of the text in view (the results area is the cards' offset parent).
+                $resultsDiv.scrollTop(card.$card.prop('offsetTop') + card.$card.outerHeight() - $resultsDiv.innerHeight());
+            }).then(function (result) {
+                result = seokarAi.actions.filterResult(result, actionType);
+                recordHistory(actionType, requestData, result);
+                renderResult(card.$body, actionType, result);
+            }).catch(function (err) {
+                if (err && err.seokarAiFallback) {
+                    fellBack = true;
+                    setActionBusy(actionType, false);
+                    sendSuggestionRequest(actionType, requestData, null, card); // Finishes the card itself
+                    return;
+                }
+                if (partialHtml) {
+                    if (!seokarAi.request.isAbort(err)) {
+                        console.error('SeoKar AI Streaming Failed:', err);
                     }
-                },
-                error: function (jqXHR, textStatus, errorThrown) {
-                    $resultsDiv.html('<p class="seokar-ai-error">' + seokarAiAdmin.i18n.error_generic + ' (' + textStatus + ': ' + errorThrown + ')</p>');
-                    console.error('SeoKar AI AJAX Call Failed:', textStatus, errorThrown, jqXHR.responseText);
-                },
-                complete: function () {
-                    $spinner.css('visibility', 'hidden');
-                    // Re-enable the clicked button and other buttons
-                    $button.prop('disabled', false).removeClass('disabled');
-                    $('.seokar-ai-action-btn').not($button).prop('disabled', false).removeClass('disabled');
+                    const note = seokarAi.request.isAbort(err)
+                        ? __('Stopped. This is a partial result.', 'seokar-ai')
+                        : ((err && err.message) || seokarAiAdmin.i18n.error_generic) + ' ' + __('This is a partial result.', 'seokar-ai');
+                    recordHistory(actionType, requestData, { html: partialHtml }, true);
+                    renderResult(card.$body, actionType, { html: partialHtml }, note);
+                } else {
+                    showRequestError(card, err, function () { sendStreamingSuggestionRequest(actionType, requestData); });
+                }
+            }).then(function () {
+                if (!fellBack) {
+                    setActionBusy(actionType, false);
+                    card.finish();
+                }
+            });
+        }
+
+
+        // --- Generation Settings ---
+
+        // Tone, length, audience, language and variants go with every request, together with the
+        // focus keyphrase of the SEO fields. They can be saved as presets (see seokarAi.presets).
+        const presetStore = seokarAi.presets.getStore(seokarAiAdmin, 'metabox');
+
+        /**
+         * Builds the "Generation Settings" panel: the preset picker, the settings and the form that
+         * saves them as a preset.
+         * @returns {jQuery}
+         */
+        function buildSettingsPanel() {
+            const field = function (key, label, $control) {
+                const id = 'seokar-ai-setting-' + key;
+                return $('<p class="seokar-ai-setting"></p>').append(
+                    $('<label></label>').attr('for', id).text(label),
+                    $control.attr({ id: id, 'data-setting': key }).addClass('seokar-ai-setting-input')
+                );
+            };
+            const choices = function (options) {
+                const $select = $('<select></select>').append($('<option value=""></option>').text(__('Default', 'seokar-ai')));
+                $.each(options, function (value, label) {
+                    $select.append($('<option></option>').val(value).text(label));
+                });
+                return $select;
+            };
+
+            return $('<details class="seokar-ai-settings"></details>').append(
+                $('<summary></summary>').append(
+                    $('<strong></strong>').text(__('Generation Settings', 'seokar-ai')),
+                    ' ',
+                    $('<span class="seokar-ai-settings-summary"></span>')
+                ),
+                $('<p class="seokar-ai-preset-picker"></p>').append(
+                    $('<select class="seokar-ai-preset-select"></select>').attr('aria-label', __('Preset', 'seokar-ai')),
+                    ' ',
+                    $('<button type="button" class="button button-small seokar-ai-preset-default"></button>').text(__('Set as My Default', 'seokar-ai')),
+                    ' ',
+                    $('<button type="button" class="button-link button-link-delete seokar-ai-preset-delete"></button>').text(__('Delete', 'seokar-ai'))
+                ),
+                $('<div class="seokar-ai-settings-fields"></div>').append(
+                    field('tone', __('Tone', 'seokar-ai'), choices(seokarAi.presets.TONES)),
+                    field('length', __('Target length', 'seokar-ai'), choices(seokarAi.presets.LENGTHS)),
+                    field('audience', __('Audience', 'seokar-ai'), $('<input type="text" maxlength="100">').attr('placeholder', __('e.g. beginners, developers', 'seokar-ai'))),
+                    field('language', __('Output language', 'seokar-ai'), $('<input type="text" maxlength="50">').attr('placeholder', __('Site language', 'seokar-ai'))),
+                    field('variants', __('Variants', 'seokar-ai'), $('<input type="number" min="1" step="1">').attr({ max: seokarAi.presets.MAX_VARIANTS, placeholder: __('Default', 'seokar-ai') }))
+                ),
+                $('<p class="description"></p>').text(__('The focus keyphrase of the SEO fields is sent too.', 'seokar-ai')),
+                $('<p class="seokar-ai-preset-save"></p>').append(
+                    $('<input type="text" class="seokar-ai-preset-name" maxlength="50">').attr({ placeholder: __('Preset name', 'seokar-ai'), 'aria-label': __('Preset name', 'seokar-ai') }),
+                    ' ',
+                    $('<select class="seokar-ai-preset-scope"></select>').attr('aria-label', __('Save for', 'seokar-ai')).append(
+                        $('<option value="user"></option>').text(__('Just me', 'seokar-ai')),
+                        $('<option value="post_type"></option>').text(__('Everyone editing this post type', 'seokar-ai'))
+                    ),
+                    ' ',
+                    $('<label></label>').append($('<input type="checkbox" class="seokar-ai-preset-make-default">'), ' ', __('Load by default', 'seokar-ai')),
+                    ' ',
+                    $('<button type="button" class="button button-small seokar-ai-preset-save-btn"></button>').text(__('Save Preset', 'seokar-ai')),
+                    ' ',
+                    $('<span class="seokar-ai-preset-status" aria-live="polite"></span>')
+                )
+            );
+        }
+
+        /**
+         * The current generation settings.
+         * @returns {Object} { tone, length, audience, language, variants }
+         */
+        function getGenerationSettings() {
+            const settings = {};
+            $settings.find('.seokar-ai-setting-input').each(function () {
+                settings[$(this).data('setting')] = $(this).val();
+            });
+            return seokarAi.presets.normalize(settings);
+        }
+
+        /**
+         * Shows settings in the panel.
+         * @param {Object} settings The settings (missing ones are reset to the default).
+         */
+        function setGenerationSettings(settings) {
+            settings = seokarAi.presets.normalize(settings);
+            $settings.find('.seokar-ai-setting-input').each(function () {
+                $(this).val(settings[$(this).data('setting')]);
+            });
+            updateSettingsSummary();
+        }
+
+        /**
+         * Sums up the settings next to the panel title, so they show while it is closed.
+         */
+        function updateSettingsSummary() {
+            const settings = getGenerationSettings();
+            const preset = presetStore.get($settings.find('.seokar-ai-preset-select').val());
+            const parts = [
+                preset ? preset.name : '',
+                seokarAi.presets.TONES[settings.tone] || '',
+                seokarAi.presets.LENGTHS[settings.length] || '',
+                settings.language,
+                /* translators: %s: Number of suggestions */
+                settings.variants ? wp.i18n.sprintf(__('%s variants', 'seokar-ai'), settings.variants) : ''
+            ].filter(Boolean);
+            $settings.find('.seokar-ai-settings-summary').text(parts.length ? '(' + parts.join(' \u00b7 ') + ')' : '');
+        }
+
+        /**
+         * Fills the preset picker: the user's presets, then the shared ones.
+         * @param {string} selectedId The preset to select.
+         */
+        function renderPresetOptions(selectedId) {
+            const $select = $settings.find('.seokar-ai-preset-select').empty().append(
+                $('<option value=""></option>').text(__('No preset', 'seokar-ai'))
+            );
+            const groups = {
+                user: $('<optgroup></optgroup>').attr('label', __('My presets', 'seokar-ai')),
+                post_type: $('<optgroup></optgroup>').attr('label', __('Shared presets', 'seokar-ai'))
+            };
+            const defaultPreset = presetStore.getDefault();
+            presetStore.list().forEach(function (preset) {
+                const label = preset === defaultPreset ? preset.name + ' ' + __('(default)', 'seokar-ai') : preset.name;
+                (groups[preset.scope] || groups.user).append($('<option></option>').val(preset.id).text(label));
+            });
+            $.each(groups, function (scope, $group) {
+                if ($group.children().length) {
+                    $select.append($group);
                 }
             });
+            $select.val(presetStore.get(selectedId) ? selectedId : '');
+            $settings.find('.seokar-ai-preset-scope').toggle(presetStore.canShare());
+            updatePresetButtons();
+            updateSettingsSummary();
+        }
+
+        /**
+         * Enables the preset buttons that apply to the selected preset.
+         */
+        function updatePresetButtons() {
+            const preset = presetStore.get($settings.find('.seokar-ai-preset-select').val());
+            const defaultPreset = presetStore.getDefault();
+            $settings.find('.seokar-ai-preset-default').prop('disabled', !preset || preset === defaultPreset);
+            $settings.find('.seokar-ai-preset-delete').toggle(!!preset && (preset.scope === 'user' || presetStore.canShare()));
+        }
+
+        /**
+         * Runs a preset request, showing its progress next to the Save button.
+         * @param {Promise} request The request.
+         * @param {string} doneMessage Shown when it succeeds.
+         * @returns {Promise} Resolves with the request's result, or undefined when it failed.
+         */
+        function runPresetRequest(request, doneMessage) {
+            const $status = $settings.find('.seokar-ai-preset-status').text(seokarAiAdmin.i18n.processing);
+            $settings.find('.seokar-ai-preset-picker .button, .seokar-ai-preset-save .button').prop('disabled', true);
+            return request.then(function (result) {
+                $status.text(doneMessage);
+                return result;
+            }).catch(function (err) {
+                console.error('SeoKar AI Request Failed:', err);
+                $status.text(err.message || seokarAiAdmin.i18n.error_generic);
+            }).then(function (result) {
+                $settings.find('.seokar-ai-preset-save .button').prop('disabled', false);
+                updatePresetButtons();
+                return result;
+            });
+        }
+
+        /**
+         * The payload of a suggestion request: the request's own data on top of the generation
+         * settings and the focus keyphrase, through the `seokarAi.requestPayload` filter.
+         * @param {Object} data The request data.
+         * @param {string} actionType The action type.
+         * @returns {Object}
+         */
+        function buildPayload(data, actionType) {
+            return seokarAi.actions.filterPayload($.extend(
+                getGenerationSettings(),
+                { focus_keyword: getSeoFieldValue('focus_keyword') },
+                data
+            ), actionType);
+        }
+
+        const $settings = buildSettingsPanel();
+        $metaboxContent.prepend($settings);
+
+        // The editor starts with the default preset.
+        const initialPreset = presetStore.getDefault();
+        renderPresetOptions(initialPreset ? initialPreset.id : '');
+        setGenerationSettings(initialPreset ? initialPreset.settings : {});
+        $settings.find('.seokar-ai-preset-name').val(initialPreset ? initialPreset.name : '');
+
+        // Presets saved in the sidebar of the same editor
+        presetStore.subscribe(function () {
+            renderPresetOptions($settings.find('.seokar-ai-preset-select').val());
         });
 
-        // Handle click on "Insert into Editor" or "Use as Tags" buttons in results
-        $resultsDiv.on('click', '.seokar-ai-insert-btn', function() {
-            const $button = $(this);
-            const target = $button.data('target');
-            // Get the main content of the suggestion, excluding the action buttons and debug info.
-            // A more robust way would be to wrap the actual suggestion in a specific element.
-            let textToInsert = $resultsDiv.clone().find('.seokar-ai-result-actions, small').remove().end().text().trim();
+        $settings.on('change', '.seokar-ai-preset-select', function () {
+            const preset = presetStore.get($(this).val());
+            setGenerationSettings(preset ? preset.settings : {});
+            $settings.find('.seokar-ai-preset-name').val(preset ? preset.name : '');
+            $settings.find('.seokar-ai-preset-scope').val(preset ? preset.scope : 'user');
+            $settings.find('.seokar-ai-preset-status').text('');
+            updatePresetButtons();
+        });
+
+        $settings.on('input change', '.seokar-ai-setting-input', updateSettingsSummary);
 
-            if (target === 'title') {
-                // For titles, AI often returns a list. We might want to let user pick or take the first.
-                // For simplicity, let's assume the AI returns one title or the user wants the first one from a list.
-                // If the response is a list (e.g., <li>...</li>), try to extract the first item's text.
-                const $lis = $resultsDiv.find('li');
-                if ($lis.length > 0) {
-                    textToInsert = $lis.first().text().trim();
-                } else { // If not a list, use the whole text
-                    textToInsert = $resultsDiv.clone().find('.seokar-ai-result-actions, small').remove().end().text().trim();
+        // Enter in the panel's inputs must not submit the post form.
+        $settings.on('keydown', 'input[type="text"], input[type="number"]', function (e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                if ($(this).hasClass('seokar-ai-preset-name')) {
+                    $settings.find('.seokar-ai-preset-save-btn').trigger('click');
                 }
             }
+        });
+
+        $settings.on('click', '.seokar-ai-preset-save-btn', function () {
+            const name = $settings.find('.seokar-ai-preset-name').val().trim();
+            if (!name) {
+                $settings.find('.seokar-ai-preset-status').text(__('Please give the preset a name.', 'seokar-ai'));
+                $settings.find('.seokar-ai-preset-name').trigger('focus');
+                return;
+            }
+            const scope = presetStore.canShare() ? $settings.find('.seokar-ai-preset-scope').val() : 'user';
+            const makeDefault = $settings.find('.seokar-ai-preset-make-default').is(':checked');
+            runPresetRequest(presetStore.save(name, scope, getGenerationSettings(), makeDefault), __('Preset saved.', 'seokar-ai')).then(function (preset) {
+                if (preset) {
+                    renderPresetOptions(preset.id);
+                    $settings.find('.seokar-ai-preset-make-default').prop('checked', false);
+                }
+            });
+        });
 
+        $settings.on('click', '.seokar-ai-preset-default', function () {
+            const id = $settings.find('.seokar-ai-preset-select').val();
+            runPresetRequest(presetStore.setDefault(id), __('The editor will start with this preset.', 'seokar-ai'));
+        });
 
-            if (textToInsert) {
-                insertIntoEditor(textToInsert, target);
-                $button.text(seokarAiAdmin.i18n.copied).prop('disabled', true); // Give feedback
-                setTimeout(function() { $button.text(seokarAiAdmin.i18n.insert_into_editor + (target === 'title' ? ' (Title)' : ' (Content)')).prop('disabled', false); }, 2000);
+        $settings.on('click', '.seokar-ai-preset-delete', function () {
+            const preset = presetStore.get($settings.find('.seokar-ai-preset-select').val());
+            /* translators: %s: Preset name */
+            if (!preset || !confirm(wp.i18n.sprintf(__('Delete the preset "%s"?', 'seokar-ai'), preset.name))) {
+                return;
             }
+            runPresetRequest(presetStore.remove(preset.id), __('Preset deleted.', 'seokar-ai')).then(function () {
+                // The settings stay as they are, so they can be saved again under another name.
+                renderPresetOptions('');
+            });
         });
 
-        // Handle click on "Copy to Clipboard" buttons in results
-        $resultsDiv.on('click', '.seokar-ai-copy-btn', async function() {
-            const $button = $(this);
-            // Get the main content of the suggestion, excluding the action buttons and debug info
-            const textToCopy = $resultsDiv.clone().find('.seokar-ai-result-actions, small').remove().end().text().trim();
 
-            if (textToCopy) {
-                const success = await copyToClipboard(textToCopy);
-                if (success) {
-                    const originalText = $button.text();
-                    $button.text(seokarAiAdmin.i18n.copied).prop('disabled', true);
-                    setTimeout(function() { $button.text(originalText).prop('disabled', false); }, 2000);
-                } else {
-                    alert(__('Failed to copy. Please try manually.', 'seokar-ai'));
+        // --- Selection Rewrites ---
+
+        // Rewrite actions work on the editor selection instead of the whole post:
+        // they are the registered actions with the 'selection' placement.
+
+        const REWRITE_TONES = seokarAi.presets.TONES;
+
+        // Characters of surrounding text sent along with a selection.
+        const REWRITE_CONTEXT_LENGTH = 600;
+
+        /**
+         * Converts an HTML fragment to plain text without running any of it.
+         * @param {string} html The HTML.
+         * @returns {string} The text.
+         */
+        function htmlToText(html) {
+            return new DOMParser().parseFromString(html, 'text/html').body.textContent;
+        }
+
+        /**
+         * Captures the current editor selection so it can be sent and later replaced.
+         * In Gutenberg the selected blocks are used as a whole.
+         * @returns {Object|null} { mode, html, text, contextBefore, contextAfter, ... } or null without a selection.
+         */
+        function getEditorSelection() {
+            if (typeof tinymce !== 'undefined' && tinymce.get('content') && tinymce.get('content').isVisible()) { // Classic TinyMCE
+                const mce = tinymce.get('content');
+                const range = mce.selection.getRng();
+                const text = mce.selection.getContent({ format: 'text' });
+                if (!text.trim()) {
+                    return null;
                 }
+                const beforeRange = mce.dom.createRng();
+                beforeRange.setStart(mce.getBody(), 0);
+                beforeRange.setEnd(range.startContainer, range.startOffset);
+                const afterRange = mce.dom.createRng();
+                afterRange.setStart(range.endContainer, range.endOffset);
+                afterRange.setEnd(mce.getBody(), mce.getBody().childNodes.length);
+                return {
+                    mode: 'tinymce',
+                    range: range.cloneRange(),
+                    html: mce.selection.getContent(),
+                    text: text,
+                    contextBefore: beforeRange.toString().slice(-REWRITE_CONTEXT_LENGTH),
+                    contextAfter: afterRange.toString().slice(0, REWRITE_CONTEXT_LENGTH)
+                };
+            }
+
+            if ($('#content').length && $('#content').is(':visible')) { // Classic Text
+                const editor = document.getElementById('content');
+                const start = editor.selectionStart;
+                const end = editor.selectionEnd;
+                const html = editor.value.substring(start, end);
+                if (!html.trim()) {
+                    return null;
+                }
+                return {
+                    mode: 'text',
+                    start: start,
+                    end: end,
+                    html: html,
+                    text: htmlToText(html),
+                    contextBefore: htmlToText(editor.value.substring(Math.max(0, start - REWRITE_CONTEXT_LENGTH), start)),
+                    contextAfter: htmlToText(editor.value.substring(end, end + REWRITE_CONTEXT_LENGTH))
+                };
+            }
+
+            if (typeof wp !== 'undefined' && wp.data && wp.data.select('core/block-editor')) { // Gutenberg
+                const blockEditor = wp.data.select('core/block-editor');
+                const clientIds = blockEditor.getSelectedBlockClientIds();
+                if (!clientIds.length) {
+                    return null;
+                }
+                const rootClientId = blockEditor.getBlockRootClientId(clientIds[0]);
+                const order = blockEditor.getBlockOrder(rootClientId);
+                const first = order.indexOf(clientIds[0]);
+                const last = order.indexOf(clientIds[clientIds.length - 1]);
+                const blocksHtml = function (ids) {
+                    return ids.map(function (id) { return wp.blocks.getBlockContent(blockEditor.getBlock(id)); }).join('\n');
+                };
+                const html = blocksHtml(clientIds);
+                if (!htmlToText(html).trim()) {
+                    return null;
+                }
+                return {
+                    mode: 'blocks',
+                    clientIds: clientIds,
+                    html: html,
+                    text: htmlToText(html),
+                    contextBefore: htmlToText(blocksHtml(order.slice(0, Math.max(first, 0)))).slice(-REWRITE_CONTEXT_LENGTH),
+                    contextAfter: htmlToText(blocksHtml(order.slice(last + 1))).slice(0, REWRITE_CONTEXT_LENGTH)
+                };
+            }
+
+            return null;
+        }
+
+        /**
+         * Replaces exactly the captured selection with the rewrite.
+         * Fails if the selected text was changed or removed in the meantime.
+         * @param {Object} selection The selection from getEditorSelection().
+         * @param {string} html The replacement (HTML or Markdown).
+         * @returns {boolean} True if replaced.
+         */
+        function replaceEditorSelection(selection, html) {
+            html = seokarAi.content.toHtml(html);
+            // A selection inside a paragraph must not get a paragraph of its own.
+            const inlineHtml = /<(p|h[1-6]|ul|ol|li|blockquote|div)\b/i.test(selection.html) ? html : html.replace(/^\s*<p>([\s\S]*?)<\/p>\s*$/i, '$1');
+
+            if (selection.mode === 'tinymce') {
+                const mce = tinymce.get('content');
+                try {
+                    mce.selection.setRng(selection.range);
+                } catch (e) {
+                    return false; // The range points to nodes that are gone.
+                }
+                if (mce.selection.getContent({ format: 'text' }) !== selection.text) {
+                    return false;
+                }
+                mce.undoManager.transact(function () {
+                    mce.selection.setContent(inlineHtml);
+                });
+                return true;
+            }
+
+            if (selection.mode === 'text') {
+                const editor = document.getElementById('content');
+                let start = selection.start;
+                if (editor.value.substring(start, selection.end) !== selection.html) {
+                    // The text moved; only replace it if it can be found exactly once.
+                    start = editor.value.indexOf(selection.html);
+                    if (start === -1 || editor.value.indexOf(selection.html, start + 1) !== -1) {
+                        return false;
+                    }
+                }
+                editor.value = editor.value.substring(0, start) + inlineHtml + editor.value.substring(start + selection.html.length);
+                $(editor).trigger('input'); // For WP to detect change
+                return true;
             }
-        });
 
-        // Make sure nonce is updated if the post ID changes (e.g. after first save of a new post)
-        // This is a bit advanced and might need integration with WordPress save events.
-        // For now, the nonce created on page load is used. If a new post is saved,
-        // the user might need to reload the page for the metabox nonce to be perfectly in sync
-        // with the new post_id for subsequent AJAX calls, though the 'new_post' nonce should generally work.
-        // $(document).on('wp-saving-post', function(event, jqXHR, data) {
-            // Potentially update seokarAiAdmin.nonce and seokarAiAdmin.post_id here if needed and possible
-            // This requires deeper digging into WP core JS events.
-        // });
-        // For Gutenberg, wp.data.subscribe could be used to listen for post save and update nonce.
-        if (typeof wp !== 'undefined' && wp.data && wp.data.subscribe) {
-            let currentPostId = seokarAiAdmin.post_id;
-            const unsubscribe = wp.data.subscribe(() => {
-                const newPostId = wp.data.select('core/editor')?.getCurrentPostId?.();
-                if (newPostId && newPostId !== currentPostId) {
-                    // Post ID has changed (likely a new post was saved)
-                    // console.log('SeoKar AI: Post ID changed from', currentPostId, 'to', newPostId);
-                    currentPostId = newPostId;
-                    seokarAiAdmin.post_id = newPostId; // Update our global JS object
-                    // Regenerate nonce. This requires an AJAX call or a pre-loaded list of nonces which isn't practical.
-                    // The safest bet is that the initial nonce ('seokar_ai_metabox_action_new_post')
-                    // or the one generated with the initial post ID is still validated correctly on the server
-                    // if the context (new post vs existing post) is handled.
-                    // For now, we'll rely on the initial nonce and server-side flexibility.
-                    // A more robust solution would be to re-fetch the nonce if the post_id changes from 0.
-                }
-            });
-            // Note: Remember to unsubscribe if the component/metabox is unmounted, though for classic metaboxes it's usually not an issue.
+            if (selection.mode === 'blocks') {
+                const blockEditor = wp.data.select('core/block-editor');
+                const stillThere = selection.clientIds.every(function (clientId) { return !!blockEditor.getBlock(clientId); });
+                if (!stillThere) {
+                    return false;
+                }
+                wp.data.dispatch('core/block-editor').replaceBlocks(selection.clientIds, seokarAi.content.toBlocks(html));
+                return true;
+            }
+
+            return false;
+        }
+
+        /**
+         * Shows a rewrite as an inline diff against the original selection, with Accept/Reject.
+         * @param {jQuery} $body The body of the result card.
+         * @param {Object} selection The selection from getEditorSelection().
+         * @param {string} html The rewritten HTML.
+         */
+        function renderRewriteResult($body, selection, html) {
+            const ops = seokarAi.diff.diffWords(selection.text.trim(), htmlToText(seokarAi.content.toHtml(html)).trim());
+            const $acceptButton = $('<button type="button" class="button button-small button-primary seokar-ai-rewrite-accept-btn"></button>').text(__('Accept', 'seokar-ai'));
+            const $rejectButton = $('<button type="button" class="button button-small seokar-ai-rewrite-reject-btn"></button>').text(__('Reject', 'seokar-ai'));
+
+            $acceptButton.on('click', function () {
+                const restore = captureEditorState('content');
+                if (replaceEditorSelection(selection, html)) {
+                    rememberForUndo('content', restore);
+                    $body.html('<p>' + __('The selection was replaced.', 'seokar-ai') + '</p>');
+                } else {
+                    $body.find('.seokar-ai-error').remove();
+                    $body.prepend('<p class="seokar-ai-error">' + __('The selected text has changed since the request. Please select it again.', 'seokar-ai') + '</p>');
+                }
+            });
+            $rejectButton.on('click', function () {
+                $body.html('<p>' + __('Suggestion discarded.', 'seokar-ai') + '</p>');
+            });
+
+            $body.empty().append(
+                $('<div class="seokar-ai-diff"></div>').html(seokarAi.diff.toHtml(ops)),
+                $('<div class="seokar-ai-result-actions"></div>').append($acceptButton, ' ', $rejectButton)
+            );
+        }
+
+        /**
+         * Sends the current selection for a rewrite and shows the diff when it comes back.
+         * @param {string} actionType A registered action with the 'selection' placement.
+         */
+        function sendRewriteRequest(actionType) {
+            const selection = getEditorSelection();
+            if (!selection) {
+                showResultNotice(seokarAiAdmin.i18n.no_content_selected || __('Please select some text in the editor first.', 'seokar-ai'), true);
+                return;
+            }
+
+            const requestData = {
+                action: 'seokar_ai_editor_suggestion',
+                post_id: seokarAiAdmin.post_id,
+                action_type: actionType,
+                current_title: getCurrentPostTitle(),
+                selected_text: selection.html,
+                context_before: selection.contextBefore,
+                context_after: selection.contextAfter
+            };
+            if (seokarAi.actions.get(actionType).withTone) {
+                requestData.tone = $metaboxContent.find('.seokar-ai-rewrite-tone').val(); // Instead of the tone of the settings
+            }
+            sendSuggestionRequest(actionType, buildPayload(requestData, actionType), function (result, $body) {
+                renderRewriteResult($body, selection, result.html);
+            });
+        }
+
+        /**
+         * Builds the "Rewrite selection" tools that go above the results. Their buttons are added
+         * with the other registered actions, by addActionButton().
+         * @returns {jQuery}
+         */
+        function buildRewriteTools() {
+            const $tools = $('<div class="seokar-ai-rewrite-tools"></div>').append(
+                $('<p class="seokar-ai-rewrite-tools-title"></p>').append($('<strong></strong>').text(__('Rewrite selection', 'seokar-ai')))
+            );
+            const $tone = $('<select class="seokar-ai-rewrite-tone"></select>').attr('aria-label', __('Tone', 'seokar-ai'));
+            $.each(REWRITE_TONES, function (tone, label) {
+                $tone.append($('<option></option>').val(tone).text(label));
+            });
+            return $tools.append($tone);
+        }
+
+        // The metabox markup only has the whole-post actions; the selection tools go right after them.
+        $spinner.before(buildRewriteTools());
+
+        /**
+         * Adds the button of a registered action the metabox does not show yet: whole-post actions
+         * after the built-in buttons, selection actions under "Rewrite selection". Field actions get
+         * their button with their SEO field.
+         * @param {Object} action The registered action.
+         */
+        function addActionButton(action) {
+            const exists = $metaboxContent.find('.seokar-ai-action-btn').filter(function () {
+                return $(this).data('action') === action.type;
+            }).length > 0;
+            if (exists) {
+                return;
+            }
+            if (action.placement === 'selection') {
+                $metaboxContent.find('.seokar-ai-rewrite-tone').before(
+                    $('<button type="button" class="button button-small seokar-ai-action-btn"></button>').attr('data-action', action.type).text(action.label),
+                    ' '
+                );
+            } else if (action.placement === 'post') {
+                $metaboxContent.find('.seokar-ai-rewrite-tools').before($('<p></p>').append(
+                    $('<button type="button" class="button seokar-ai-action-btn"></button>').attr('data-action', action.type).text(action.label)
+                ));
+            }
+        }
+
+        seokarAi.actions.list().forEach(addActionButton);
+
+        // Actions registered later, e.g. by a script that loads after this one
+        if (typeof wp !== 'undefined' && wp.hooks) {
+            wp.hooks.addAction('seokarAi.registryChanged', 'seokar-ai/metabox', function (kind, name) {
+                if (kind === 'action' && seokarAi.actions.get(name)) {
+                    addActionButton(seokarAi.actions.get(name));
+                }
+            });
+        }
+
+
+        // --- SEO Fields ---
+
+        /**
+         * Short SEO fields edited from the metabox, each with its length limits. Their suggestion
+         * actions are the registered 'field' actions that target them.
+         * `metaKey` fields are post meta (registered by SeoKar_AI_Post_Meta); the others are core post fields.
+         */
+        const SEO_FIELDS = {
+            focus_keyword: {
+                label: __('Focus keyphrase', 'seokar-ai'),
+                metaKey: '_seokar_ai_focus_keyword',
+                max: 60,
+                maxWords: 4
+            },
+            meta_description: {
+                label: __('Meta description', 'seokar-ai'),
+                metaKey: '_seokar_ai_meta_description',
+                min: seokarAi.analyzer.LIMITS.metaMin,
+                max: seokarAi.analyzer.LIMITS.metaMax,
+                multiline: true
+            },
+            excerpt: {
+                label: __('Excerpt', 'seokar-ai'),
+                max: 300,
+                multiline: true
+            },
+            slug: {
+                label: __('URL slug', 'seokar-ai'),
+                max: 75
+            }
+        };
+
+        /**
+         * Whether the page is the block editor (the metabox is then rendered below the blocks).
+         * @returns {boolean}
+         */
+        function isBlockEditor() {
+            return document.body.classList.contains('block-editor-page') &&
+                typeof wp !== 'undefined' && wp.data && !!wp.data.select('core/editor');
+        }
+
+        /**
+         * Whether a field can be edited on this screen (the post type may lack excerpts or custom fields).
+         * @param {string} key The field key.
+         * @returns {boolean}
+         */
+        function isSeoFieldAvailable(key) {
+            const field = SEO_FIELDS[key];
+            if (isBlockEditor()) {
+                return !field.metaKey || field.metaKey in (wp.data.select('core/editor').getEditedPostAttribute('meta') || {});
+            }
+            if (key === 'excerpt') {
+                return $('#excerpt').length > 0;
+            }
+            if (key === 'slug') {
+                return $('#post_name').length > 0;
+            }
+            return true;
+        }
+
+        /**
+         * Reads a field from the editor: the data store in Gutenberg, the post form in the classic editor.
+         * @param {string} key The field key.
+         * @returns {string}
+         */
+        function readSeoField(key) {
+            const field = SEO_FIELDS[key];
+            if (key === 'excerpt') {
+                return getCurrentPostExcerpt();
+            }
+            if (key === 'slug') {
+                return getCurrentPostSlug();
+            }
+            if (isBlockEditor()) {
+                return (wp.data.select('core/editor').getEditedPostAttribute('meta') || {})[field.metaKey] || '';
+            }
+            // Classic editor: the localized values the metabox inputs start with.
+            return isSeoFieldLoaded(key) ? seokarAiAdmin.post_meta[key] : '';
+        }
+
+        /**
+         * Whether the stored value of a classic meta field was localized (`post_meta`). Without it
+         * the input cannot show what is saved, so it is never posted over the stored value.
+         * @param {string} key The field key.
+         * @returns {boolean}
+         */
+        function isSeoFieldLoaded(key) {
+            return !!seokarAiAdmin.post_meta && typeof seokarAiAdmin.post_meta[key] === 'string';
+        }
+
+        /**
+         * Writes a field to the editor so it is saved with the post.
+         * @param {string} key The field key.
+         * @param {string} value The value.
+         */
+        function writeSeoField(key, value) {
+            const field = SEO_FIELDS[key];
+            if (isBlockEditor()) {
+                const edits = {};
+                if (field.metaKey) {
+                    edits.meta = {};
+                    edits.meta[field.metaKey] = value;
+                } else {
+                    edits[key] = value;
+                }
+                wp.data.dispatch('core/editor').editPost(edits);
+            } else if (key === 'excerpt') {
+                $('#excerpt').val(value).trigger('input');
+            } else if (key === 'slug') {
+                // The Slug box holds the value that is saved; the permalink line only shows it.
+                $('#post_name').val(value);
+                $('#editable-post-name').text(value);
+                $('#editable-post-name-full').text(value);
+            }
+            // Classic meta fields are saved straight from the metabox input.
+        }
+
+        /**
+         * Cleans up a suggested slug the way WordPress would: lowercase, hyphens between words,
+         * letters and digits of any script kept.
+         * @param {string} text The text.
+         * @returns {string}
+         */
+        function toSlug(text) {
+            return String(text).toLowerCase()
+                .replace(/[^\p{L}\p{M}\p{N}\s\u200c_-]+/gu, '')
+                .trim()
+                .replace(/[\s\u200c_-]+/g, '-');
+        }
+
+        /**
+         * Current value of a field as shown in the metabox.
+         * @param {string} key The field key.
+         * @returns {string}
+         */
+        function getSeoFieldValue(key) {
+            const $input = $seoFields.find('.seokar-ai-seo-field-input[data-field="' + key + '"]');
+            return $input.length ? String($input.val()).trim() : '';
+        }
+
+        /**
+         * Sets a field (e.g. from a suggestion) in the metabox and in the editor.
+         * @param {string} key The field key.
+         * @param {string} value The value.
+         */
+        function setSeoFieldValue(key, value) {
+            value = key === 'slug' ? toSlug(value) : value.replace(/\s+/g, ' ').trim();
+            $seoFields.find('.seokar-ai-seo-field-input[data-field="' + key + '"]').val(value).trigger('input');
+        }
+
+        /**
+         * Updates the character count and length warning of a field.
+         * @param {string} key The field key.
+         */
+        function updateSeoFieldCounter(key) {
+            const field = SEO_FIELDS[key];
+            const $field = $seoFields.find('.seokar-ai-seo-field[data-field="' + key + '"]');
+            const value = getSeoFieldValue(key);
+            const length = seokarAi.analyzer.countCharacters(value); // Same count as the checklist
+            let warning = '';
+
+            if (length && field.min && length < field.min) {
+                /* translators: %d: Minimum number of characters */
+                warning = wp.i18n.sprintf(__('Too short, aim for at least %d characters.', 'seokar-ai'), field.min);
+            } else if (field.max && length > field.max) {
+                /* translators: %d: Maximum number of characters */
+                warning = wp.i18n.sprintf(__('Too long, keep it under %d characters.', 'seokar-ai'), field.max);
+            } else if (field.maxWords && seokarAi.analyzer.getWords(value).length > field.maxWords) {
+                /* translators: %d: Maximum number of words */
+                warning = wp.i18n.sprintf(__('Use at most %d words.', 'seokar-ai'), field.maxWords);
+            }
+
+            $field.find('.seokar-ai-seo-field-count')
+                .text(field.max ? length + ' / ' + field.max : String(length))
+                .toggleClass('is-warning', !!warning);
+            $field.find('.seokar-ai-seo-field-warning').text(warning);
+            $field.toggleClass('has-warning', !!warning);
+        }
+
+        /**
+         * Builds the SEO fields panel: an input, a suggest button and a live counter per field.
+         * @returns {jQuery}
+         */
+        function buildSeoFields() {
+            const $panel = $('<div class="seokar-ai-seo-fields"></div>').append(
+                $('<p class="seokar-ai-seo-fields-title"></p>').append($('<strong></strong>').text(__('SEO Fields', 'seokar-ai')))
+            );
+            $.each(SEO_FIELDS, function (key, field) {
+                const action = seokarAi.actions.list('field').find(function (fieldAction) { return fieldAction.target === key; });
+                const inputId = 'seokar-ai-seo-field-' + key;
+                const $input = $(field.multiline ? '<textarea rows="3"></textarea>' : '<input type="text">')
+                    .attr({ id: inputId, 'data-field': key, autocomplete: 'off' })
+                    .addClass('widefat seokar-ai-seo-field-input');
+                if (field.metaKey && !isBlockEditor()) {
+                    // From here on the input is the source of truth; it gets its name once edited.
+                    $input.val(readSeoField(key));
+                }
+                $panel.append($('<div class="seokar-ai-seo-field"></div>').attr('data-field', key).append(
+                    $('<div class="seokar-ai-seo-field-header"></div>').append(
+                        $('<label></label>').attr('for', inputId).text(field.label),
+                        action ? $('<button type="button" class="button-link seokar-ai-action-btn"></button>').attr('data-action', action.type).text(__('Suggest', 'seokar-ai')) : null
+                    ),
+                    $input,
+                    $('<div class="seokar-ai-seo-field-footer"></div>').append(
+                        $('<span class="seokar-ai-seo-field-warning" aria-live="polite"></span>'),
+                        $('<span class="seokar-ai-seo-field-count"></span>')
+                    )
+                ));
+            });
+            return $panel;
+        }
+
+        /**
+         * Copies the editor's values into the metabox inputs (skipping the one being typed in).
+         */
+        function syncSeoFieldsFromEditor() {
+            $.each(SEO_FIELDS, function (key, field) {
+                if (field.metaKey && !isBlockEditor()) {
+                    return; // Classic meta fields only live in the metabox
+                }
+                const $input = $seoFields.find('.seokar-ai-seo-field-input[data-field="' + key + '"]');
+                const available = isSeoFieldAvailable(key);
+                $input.closest('.seokar-ai-seo-field').toggle(available);
+                if (available && !$input.is(':focus') && $input.val() !== readSeoField(key)) {
+                    $input.val(readSeoField(key));
+                    updateSeoFieldCounter(key);
+                }
+            });
+        }
+
+        const $seoFields = buildSeoFields();
+        $metaboxContent.append($seoFields);
+        syncSeoFieldsFromEditor();
+        $.each(SEO_FIELDS, function (key) { updateSeoFieldCounter(key); });
+
+        $seoFields.on('input', '.seokar-ai-seo-field-input', function () {
+            const key = $(this).data('field');
+            if (SEO_FIELDS[key].metaKey && !isBlockEditor() && isSeoFieldLoaded(key)) {
+                // Posted with the classic editor form, so a field left alone is never saved over.
+                $(this).attr('name', 'seokar_ai_' + key);
+            }
+            writeSeoField(key, key === 'slug' ? toSlug($(this).val()) : $(this).val());
+            updateSeoFieldCounter(key);
+        });
+
+        // Keep the slug tidy once the author is done typing.
+        $seoFields.on('change', '.seokar-ai-seo-field-input[data-field="slug"]', function () {
+            $(this).val(toSlug($(this).val()));
+            updateSeoFieldCounter('slug');
+        });
+
+        // Edits made in the editor's own Excerpt and Slug boxes
+        $('#excerpt, #post_name').on('input change', syncSeoFieldsFromEditor);
+
+        if (isBlockEditor() && wp.data.subscribe) {
+            let lastFieldState = [];
+            wp.data.subscribe(function () {
+                const editor = wp.data.select('core/editor');
+                const state = [
+                    editor.getEditedPostAttribute('excerpt'),
+                    editor.getEditedPostAttribute('slug'),
+                    editor.getEditedPostAttribute('meta')
+                ];
+                if (state.some(function (value, index) { return value !== lastFieldState[index]; })) {
+                    lastFieldState = state;
+                    syncSeoFieldsFromEditor();
+                }
+            });
+        }
+
+
+        // --- Live Analysis ---
+
+        /**
+         * Gets the current excerpt, which stands in for a missing meta description in the analysis.
+         * @returns {string}
+         */
+        function getCurrentPostExcerpt() {
+            if ($('#excerpt').length) { // Classic editor
+                return $('#excerpt').val();
+            }
+            if (typeof wp !== 'undefined' && wp.data && wp.data.select('core/editor')) {
+                return wp.data.select('core/editor').getEditedPostAttribute('excerpt') || '';
+            }
+            return '';
+        }
+
+        /**
+         * Gets the current URL slug.
+         * @returns {string}
+         */
+        function getCurrentPostSlug() {
+            if ($('#post_name').length) { // Classic editor (Slug box)
+                return $('#post_name').val();
+            }
+            if (typeof wp !== 'undefined' && wp.data && wp.data.select('core/editor')) {
+                return wp.data.select('core/editor').getEditedPostAttribute('slug') || '';
+            }
+            return '';
+        }
+
+        const $analysis = $('<div class="seokar-ai-analysis"></div>').append(
+            $('<p class="seokar-ai-analysis-header"></p>').append(
+                $('<strong></strong>').text(__('Live SEO Analysis', 'seokar-ai')),
+                ' ',
+                $('<span class="seokar-ai-analysis-score"></span>')
+            ),
+            $('<ul class="seokar-ai-analysis-checks" aria-live="polite"></ul>')
+        );
+        $metaboxContent.append($analysis);
+
+        let analysisTimer = null;
+
+        /**
+         * Runs the analyzer on the current editor state and renders the checklist.
+         */
+        function runAnalysis() {
+            const report = seokarAi.analyzer.analyze({
+                title: getCurrentPostTitle(),
+                content: getCurrentPostContent(),
+                metaDescription: getSeoFieldValue('meta_description') || getCurrentPostExcerpt(),
+                slug: getCurrentPostSlug(),
+                focusKeyword: getSeoFieldValue('focus_keyword')
+            });
+
+            let scoreStatus = 'bad';
+            if (report.score >= 70) {
+                scoreStatus = 'good';
+            } else if (report.score >= 40) {
+                scoreStatus = 'ok';
+            }
+            $analysis.find('.seokar-ai-analysis-score')
+                .text(report.score + '/100')
+                .attr('class', 'seokar-ai-analysis-score is-' + scoreStatus);
+
+            $analysis.find('.seokar-ai-analysis-checks').empty().append(report.checks.map(function (item) {
+                return $('<li class="seokar-ai-check"></li>').addClass('is-' + item.status).attr('data-check', item.id).text(item.message);
+            }));
+        }
+
+        /**
+         * Re-runs the analysis shortly after the author stops typing.
+         */
+        function scheduleAnalysis() {
+            clearTimeout(analysisTimer);
+            analysisTimer = setTimeout(runAnalysis, 500);
+        }
+
+        // Classic editor fields and the SEO fields
+        $('#title, #content, #excerpt').on('input', scheduleAnalysis);
+        $seoFields.on('input', '.seokar-ai-seo-field-input', scheduleAnalysis);
+
+        // TinyMCE may be initialized before or after this script runs.
+        function watchTinyMce(editor) {
+            editor.on('input keyup change SetContent Undo Redo', scheduleAnalysis);
+        }
+        if (typeof tinymce !== 'undefined' && tinymce.get('content')) {
+            watchTinyMce(tinymce.get('content'));
+        }
+        $(document).on('tinymce-editor-init', function (event, editor) {
+            if (editor.id === 'content') {
+                watchTinyMce(editor);
+            }
+        });
+
+        // Gutenberg: compare cheap references on every store change before scheduling a run.
+        if (typeof wp !== 'undefined' && wp.data && wp.data.subscribe && wp.data.select('core/block-editor')) {
+            let lastState = [];
+            wp.data.subscribe(function () {
+                const editor = wp.data.select('core/editor');
+                const state = [
+                    wp.data.select('core/block-editor').getBlocks(),
+                    editor.getEditedPostAttribute('title'),
+                    editor.getEditedPostAttribute('excerpt'),
+                    editor.getEditedPostAttribute('slug'),
+                    editor.getEditedPostAttribute('meta')
+                ];
+                if (state.some(function (value, index) { return value !== lastState[index]; })) {
+                    lastState = state;
+                    scheduleAnalysis();
+                }
+            });
+        }
+
+        scheduleAnalysis();
+
+
+        // --- Tags and Categories ---
+
+        /**
+         * Shows a short success or error message at the top of the results, above the cards.
+         * @param {string} message The message.
+         * @param {boolean} isError Whether it is an error.
+         */
+        function showResultNotice(message, isError) {
+            $resultsDiv.children('.seokar-ai-result-notice').remove();
+            $resultsDiv.prepend($('<p class="seokar-ai-result-notice"></p>').toggleClass('seokar-ai-error', !!isError).text(message));
+        }
+
+        /**
+         * Matches suggested categories against the existing ones and asks which to tick.
+         * Exact and fuzzy matches are pre-selected; suggestions without a match are listed for reference.
+         * @param {string[]} names Suggested category names.
+         */
+        function showCategoryConfirmation(names) {
+            $resultsDiv.children('.seokar-ai-category-confirm').remove();
+            const $confirm = $('<div class="seokar-ai-category-confirm"></div>')
+                .append($('<p></p>').text(seokarAiAdmin.i18n.processing))
+                .prependTo($resultsDiv);
+
+            seokarAi.terms.matchCategories(names).then(function (matches) {
+                const $list = $('<ul class="seokar-ai-category-matches"></ul>');
+                const seen = {};
+                matches.forEach(function (match) {
+                    const $item = $('<li></li>');
+                    if (!match.category) {
+                        $item.addClass('is-unmatched').text(match.suggestion + ': ' + __('no matching category', 'seokar-ai'));
+                    } else if (seen[match.category.id]) {
+                        return; // Two suggestions for the same category
+                    } else {
+                        seen[match.category.id] = true;
+                        $item.append($('<label></label>').append(
+                            $('<input type="checkbox" class="seokar-ai-category-select" checked>').val(match.category.id),
+                            ' ',
+                            $('<span></span>').text(match.path.join(' \u203a '))
+                        ));
+                        if (match.matchType === 'fuzzy') {
+                            $item.append(' ', $('<small class="seokar-ai-match-type"></small>').text(__('similar to', 'seokar-ai') + ' "' + match.suggestion + '"'));
+                        }
+                    }
+                    $list.append($item);
+                });
+
+                const $assignButton = $('<button type="button" class="button button-small button-primary"></button>').text(__('Assign Selected Categories', 'seokar-ai'));
+                const $cancelButton = $('<button type="button" class="button button-small"></button>').text(__('Cancel', 'seokar-ai'));
+                $assignButton.prop('disabled', !$list.find('.seokar-ai-category-select').length).on('click', function () {
+                    const ids = $list.find('.seokar-ai-category-select:checked').map(function () { return parseInt($(this).val(), 10); }).get();
+                    seokarAi.terms.assignCategories(ids);
+                    $confirm.remove();
+                    showResultNotice(ids.length ? __('Categories assigned.', 'seokar-ai') : __('No category was selected.', 'seokar-ai'));
+                });
+                $cancelButton.on('click', function () { $confirm.remove(); });
+
+                $confirm.empty().append(
+                    $('<p></p>').append($('<strong></strong>').text(__('Assign these categories?', 'seokar-ai'))),
+                    $list,
+                    $('<div class="seokar-ai-result-actions"></div>').append($assignButton, ' ', $cancelButton)
+                );
+            }).catch(function (err) {
+                console.error('SeoKar AI: Failed to load categories.', err);
+                $confirm.html('<p class="seokar-ai-error">' + seokarAiAdmin.i18n.error_generic + '</p>');
+            });
+        }
+
+
+        // --- Insert Targets ---
+
+        /**
+         * Whether the block editor's data store is there.
+         * @returns {boolean}
+         */
+        function hasEditorStore() {
+            return typeof wp !== 'undefined' && !!wp.data && !!wp.data.select('core/editor');
+        }
+
+        /**
+         * The built-in insert targets, each working in both editors. A target a site registered
+         * under the same name before the metabox loaded is kept.
+         */
+        const BUILT_IN_INSERT_TARGETS = {
+            title: {
+                label: __('Title', 'seokar-ai'),
+                format: 'first',
+                insert: function (text) {
+                    if ($('#titlewrap #title').length) { // Classic
+                        $('#titlewrap #title').val(text).trigger('input'); // Trigger input for WP to detect change
+                    } else if (typeof wp !== 'undefined' && wp.data && wp.data.dispatch('core/editor')) { // Gutenberg
+                        try {
+                            wp.data.dispatch('core/editor').editPost({ title: text });
+                        } catch (e) { console.error('SeoKar AI: Failed to insert title in Gutenberg.', e); }
+                    }
+                },
+                capture: function () {
+                    const title = getCurrentPostTitle();
+                    return function () {
+                        if ($('#titlewrap #title').length) {
+                            $('#titlewrap #title').val(title).trigger('input');
+                        } else if (hasEditorStore()) {
+                            wp.data.dispatch('core/editor').editPost({ title: title });
+                        }
+                    };
+                }
+            },
+            content: {
+                label: __('Content', 'seokar-ai'),
+                format: 'html',
+                insert: function (text, options) {
+                    const position = options.position;
+                    const html = seokarAi.content.toHtml(text); // Markdown from the AI becomes HTML
+                    if (typeof tinymce !== 'undefined' && tinymce.get('content') && tinymce.get('content').isVisible()) { // Classic TinyMCE
+                        const mce = tinymce.get('content');
+                        if (position === 'append') {
+                            mce.selection.select(mce.getBody(), true);
+                            mce.selection.collapse(false);
+                        } else if (position === 'selection') {
+                            mce.selection.collapse(false); // Insert after the selected text instead of over it
+                        }
+                        mce.insertContent(html);
+                    } else if ($('#content').length && $('#content').is(':visible')) { // Classic Text
+                        const editor = document.getElementById('content');
+                        const value = editor.value;
+                        let start = editor.selectionStart;
+                        let end = editor.selectionEnd;
+                        if (position === 'append') {
+                            start = end = value.length;
+                        } else if (position === 'selection') {
+                            start = end;
+                        }
+                        const separator = start > 0 && value.charAt(start - 1) !== '\n' ? '\n\n' : '';
+                        editor.value = value.substring(0, start) + separator + html + value.substring(end);
+                        $(editor).trigger('input'); // For WP to detect change
+                    } else if (typeof wp !== 'undefined' && wp.blocks && wp.data && wp.data.dispatch('core/block-editor')) { // Gutenberg
+                        try {
+                            seokarAi.content.insertBlocks(html, position);
+                        } catch (e) { console.error('SeoKar AI: Failed to insert content in Gutenberg.', e); }
+                    }
+                },
+                capture: function () {
+                    if (typeof tinymce !== 'undefined' && tinymce.get('content') && tinymce.get('content').isVisible()) {
+                        const mce = tinymce.get('content');
+                        const html = mce.getContent();
+                        return function () {
+                            mce.undoManager.transact(function () { mce.setContent(html); }); // Ctrl+Z can bring the insertion back
+                        };
+                    }
+                    if ($('#content').length && $('#content').is(':visible')) {
+                        const text = $('#content').val();
+                        return function () { $('#content').val(text).trigger('input'); };
+                    }
+                    if (hasEditorStore() && wp.data.select('core/block-editor')) {
+                        const blocks = wp.data.select('core/block-editor').getBlocks();
+                        return function () { wp.data.dispatch('core/editor').resetEditorBlocks(blocks); };
+                    }
+                    return null;
+                }
+            },
+            tags: {
+                label: __('Tags', 'seokar-ai'),
+                format: 'list',
+                insert: function (text) {
+                    seokarAi.terms.addTags(seokarAi.terms.splitTerms(text)).then(function (result) {
+                        let message = __('Tags added:', 'seokar-ai') + ' ' + result.added.join(', ');
+                        if (result.created.length) {
+                            message += ' (' + __('new:', 'seokar-ai') + ' ' + result.created.join(', ') + ')';
+                        }
+                        showResultNotice(message);
+                    }).catch(function (err) {
+                        console.error('SeoKar AI: Failed to add tags.', err);
+                        showResultNotice((err && err.message) || seokarAiAdmin.i18n.error_generic, true);
+                    });
+                },
+                capture: function () {
+                    if ($('#post_tag .the-tags').length && window.tagBox) {
+                        const tags = $('#post_tag .the-tags').val();
+                        return function () {
+                            $('#post_tag .the-tags').val(tags);
+                            window.tagBox.quickClicks($('#post_tag'));
+                        };
+                    }
+                    if (hasEditorStore()) {
+                        const tagIds = wp.data.select('core/editor').getEditedPostAttribute('tags') || [];
+                        return function () { wp.data.dispatch('core/editor').editPost({ tags: tagIds }); };
+                    }
+                    return null;
+                }
+            },
+            categories: {
+                label: __('Categories', 'seokar-ai'),
+                format: 'list',
+                insert: function (text) {
+                    showCategoryConfirmation(seokarAi.terms.splitTerms(text));
+                },
+                capture: function () {
+                    if ($('#categorychecklist').length) {
+                        const checked = $('#categorychecklist input:checked').map(function () { return $(this).val(); }).get();
+                        return function () {
+                            $('#categorychecklist input, #categorychecklist-pop input').each(function () {
+                                $(this).prop('checked', checked.indexOf($(this).val()) !== -1);
+                            });
+                        };
+                    }
+                    if (hasEditorStore()) {
+                        const categoryIds = wp.data.select('core/editor').getEditedPostAttribute('categories') || [];
+                        return function () { wp.data.dispatch('core/editor').editPost({ categories: categoryIds }); };
+                    }
+                    return null;
+                }
+            }
+        };
+
+        // Every SEO field is a target of its own.
+        $.each(SEO_FIELDS, function (key, field) {
+            BUILT_IN_INSERT_TARGETS[key] = {
+                label: field.label,
+                format: 'first',
+                insert: function (text) { setSeoFieldValue(key, text); },
+                capture: function () {
+                    const value = getSeoFieldValue(key);
+                    return function () { setSeoFieldValue(key, value); };
+                }
+            };
+        });
+
+        $.each(BUILT_IN_INSERT_TARGETS, function (name, target) {
+            if (!seokarAi.actions.getInsertTarget(name)) {
+                seokarAi.registerInsertTarget(name, target);
+            }
+        });
+
+
+        // --- Outline to Draft ---
+
+        // Characters of the sections written so far that go with each section request.
+        const DRAFT_CONTEXT_LENGTH = 3000;
+
+        let draftSections = []; // See seokarAi.outline
+        let draftController = null; // AbortController of the section being written
+        let draftQueue = []; // IDs of the sections still to write with "Write All Sections"
+
+        /**
+         * Builds the "Outline to Draft" panel: the outline as a list of editable headings, and
+         * the buttons that write the sections one at a time.
+         * @returns {jQuery}
+         */
+        function buildDraftPanel() {
+            return $('<details class="seokar-ai-draft"></details>').append(
+                $('<summary></summary>').append($('<strong></strong>').text(__('Outline to Draft', 'seokar-ai'))),
+                $('<p class="description"></p>').text(__('Generate or write an outline, arrange its sections, then let the AI write them one at a time. Each section goes into the editor under its heading.', 'seokar-ai')),
+                $('<p class="seokar-ai-draft-toolbar"></p>').append(
+                    $('<button type="button" class="button button-small seokar-ai-draft-generate"></button>').text(__('Generate Outline', 'seokar-ai')),
+                    ' ',
+                    $('<button type="button" class="button button-small seokar-ai-draft-add"></button>').text(__('Add Section', 'seokar-ai'))
+                ),
+                $('<ol class="seokar-ai-draft-sections"></ol>'),
+                $('<p class="seokar-ai-draft-footer"></p>').append(
+                    $('<button type="button" class="button button-primary seokar-ai-draft-write-all"></button>').text(__('Write All Sections', 'seokar-ai')),
+                    ' ',
+                    $('<button type="button" class="button seokar-ai-draft-stop"></button>').text(__('Stop', 'seokar-ai')).hide(),
+                    ' ',
+                    $('<span class="seokar-ai-draft-status" aria-live="polite"></span>')
+                )
+            );
+        }
+
+        /**
+         * Renders the outline. Subsections are indented by their heading level.
+         */
+        function renderDraft() {
+            const $list = $draft.find('.seokar-ai-draft-sections').empty();
+            const writing = !!draftController;
+
+            draftSections.forEach(function (section, index) {
+                const $level = $('<select class="seokar-ai-draft-level"></select>').attr('aria-label', __('Heading level', 'seokar-ai'));
+                for (let level = seokarAi.outline.MIN_LEVEL; level <= seokarAi.outline.MAX_LEVEL; level++) {
+                    $level.append($('<option></option>').val(level).text('H' + level));
+                }
+                $list.append($('<li class="seokar-ai-draft-section"></li>')
+                    .attr('data-id', section.id)
+                    .toggleClass('is-written', !!section.html)
+                    .toggleClass('is-writing', section.status === 'writing')
+                    .css('margin-inline-start', (section.level - seokarAi.outline.MIN_LEVEL) * 16 + 'px')
+                    .append(
+                        $('<div class="seokar-ai-draft-heading"></div>').append(
+                            $level.val(section.level),
+                            $('<input type="text" class="seokar-ai-draft-title">').val(section.title).attr('aria-label', __('Section heading', 'seokar-ai'))
+                        ),
+                        $('<div class="seokar-ai-draft-actions"></div>').append(
+                            $('<button type="button" class="button-link seokar-ai-draft-up"></button>').text('\u2191').attr('aria-label', __('Move up', 'seokar-ai')).prop('disabled', index === 0),
+                            $('<button type="button" class="button-link seokar-ai-draft-down"></button>').text('\u2193').attr('aria-label', __('Move down', 'seokar-ai')).prop('disabled', index === draftSections.length - 1),
+                            $('<button type="button" class="button button-small seokar-ai-draft-write"></button>')
+                                .text(section.html ? __('Regenerate', 'seokar-ai') : __('Write', 'seokar-ai'))
+                                .prop('disabled', writing),
+                            $('<button type="button" class="button-link button-link-delete seokar-ai-draft-remove"></button>').text(__('Remove', 'seokar-ai')),
+                            $('<span class="seokar-ai-draft-section-status"></span>').text(section.message || '')
+                        )
+                    ));
+            });
+
+            if (!draftSections.length) {
+                $list.append($('<li class="seokar-ai-draft-empty"></li>').text(__('No sections yet.', 'seokar-ai')));
+            }
+            $draft.find('.seokar-ai-draft-generate, .seokar-ai-draft-write-all').prop('disabled', writing);
+            $draft.find('.seokar-ai-draft-write-all').prop('disabled', writing || !draftSections.length);
+            $draft.find('.seokar-ai-draft-stop').toggle(writing);
+        }
+
+        /**
+         * Replaces the outline, asking first when sections have been written.
+         * @param {Array<Object>} sections The new sections.
+         * @returns {boolean} Whether the outline was replaced.
+         */
+        function setDraftOutline(sections) {
+            const written = draftSections.some(function (section) { return section.html; });
+            if (written && !confirm(__('Replace the current outline? Sections already in the editor stay there.', 'seokar-ai'))) {
+                return false;
+            }
+            draftSections = sections;
+            $draft.prop('open', true);
+            renderDraft();
+            return true;
+        }
+
+        /**
+         * Sections of an outline result: its structured outline, or the headings of its HTML.
+         * @param {Object} result The result: { html, suggestions }.
+         * @returns {Array<Object>}
+         */
+        function draftSectionsFromResult(result) {
+            const tree = result.suggestions && result.suggestions.outline;
+            return tree && tree.length ? seokarAi.outline.fromTree(tree) : seokarAi.outline.fromHtml(result.html);
+        }
+
+        /**
+         * Finds a section by ID.
+         * @param {string} id The section ID.
+         * @returns {Object|undefined}
+         */
+        function getDraftSection(id) {
+            return draftSections.find(function (section) { return section.id === id; });
+        }
+
+        /**
+         * Writes a section into the editor: replaces it when it is already there, otherwise
+         * adds it after the written section before it (or at the end).
+         * @param {Object} section The section with its new `html`.
+         */
+        function placeDraftSection(section) {
+            rememberForUndo('content');
+            if (typeof tinymce !== 'undefined' && tinymce.get('content') && tinymce.get('content').isVisible()) { // Classic TinyMCE
+                const mce = tinymce.get('content');
+                mce.setContent(seokarAi.outline.placeInHtml(mce.getContent(), section, draftSections));
+                mce.undoManager.add();
+                mce.fire('change');
+            } else if ($('#content').length && $('#content').is(':visible')) { // Classic Text
+                const editor = document.getElementById('content');
+                editor.value = seokarAi.outline.placeInHtml(editor.value, section, draftSections);
+                $(editor).trigger('input');
+            } else if (typeof wp !== 'undefined' && wp.blocks && wp.data && wp.data.dispatch('core/block-editor')) { // Gutenberg
+                seokarAi.outline.placeInBlocks(section, draftSections);
+            }
+            section.placedTitle = section.title;
+        }
+
+        /**
+         * Asks for the text of one section, with the outline and the sections before it as context,
+         * and writes it into the editor.
+         * @param {Object} section The section.
+         * @returns {Promise<boolean>} Resolves with whether the section was written.
+         */
+        function writeDraftSection(section) {
+            if (!section.title) {
+                section.message = __('Give the section a heading first.', 'seokar-ai');
+                renderDraft();
+                return Promise.resolve(false);
+            }
+
+            const index = draftSections.indexOf(section);
+            const requestData = buildPayload({
+                action: 'seokar_ai_editor_suggestion',
+                post_id: seokarAiAdmin.post_id,
+                action_type: 'expand_outline_section',
+                current_title: getCurrentPostTitle(),
+                section_title: section.title,
+                section_level: section.level,
+                outline: seokarAi.outline.toText(draftSections),
+                previous_sections: seokarAi.outline.previousText(draftSections, index, DRAFT_CONTEXT_LENGTH)
+            }, 'expand_outline_section');
+
+            draftController = new AbortController();
+            section.status = 'writing';
+            section.message = __('Writing\u2026', 'seokar-ai');
+            renderDraft();
+
+            return requestClient.post(requestData, {
+                signal: draftController.signal,
+                onRetry: function (retry) {
+                    section.message = wp.i18n.sprintf(__('Retrying in %d s\u2026', 'seokar-ai'), Math.ceil(retry.delay / 1000));
+                    renderDraft();
+                }
+            }).then(function (data) {
+                const result = data && data.html ? seokarAi.actions.filterResult({ html: data.html, suggestions: data.suggestions }, 'expand_outline_section') : null;
+                if (!result || !result.html) {
+                    throw new Error(seokarAiAdmin.i18n.error_generic);
+                }
+                recordHistory('expand_outline_section', requestData, result);
+                section.html = result.html;
+                placeDraftSection(section);
+                section.message = __('In the editor.', 'seokar-ai');
+                return true;
+            }).catch(function (err) {
+                if (seokarAi.request.isAbort(err)) {
+                    section.message = __('Stopped.', 'seokar-ai');
+                } else {
+                    console.error('SeoKar AI Request Failed:', err);
+                    section.message = err.message || seokarAiAdmin.i18n.error_generic;
+                }
+                return false;
+            }).then(function (written) {
+                section.status = '';
+                draftController = null;
+                renderDraft();
+                return written;
+            });
+        }
+
+        /**
+         * Writes the queued sections one after the other, so each one sees the ones before it.
+         * Stops at the first section that fails.
+         */
+        function writeNextDraftSection() {
+            const section = getDraftSection(draftQueue.shift());
+            if (!section) {
+                if (draftQueue.length) {
+                    writeNextDraftSection(); // Removed while waiting
+                } else {
+                    $draft.find('.seokar-ai-draft-status').text(__('All sections are written.', 'seokar-ai'));
+                }
+                return;
+            }
+            writeDraftSection(section).then(function (written) {
+                if (written) {
+                    writeNextDraftSection();
+                } else {
+                    draftQueue = [];
+                    $draft.find('.seokar-ai-draft-status').text('');
+                }
+            });
+        }
+
+        const $draft = buildDraftPanel();
+        $spinner.before($draft);
+        renderDraft();
+
+        $draft.on('click', '.seokar-ai-draft-generate', function () {
+            const currentTitle = getCurrentPostTitle();
+            if (!currentTitle) {
+                showResultNotice(__('Please enter a title first for this action.', 'seokar-ai'), true);
+                return;
+            }
+            const $button = $(this).prop('disabled', true);
+            $draft.find('.seokar-ai-draft-status').text(seokarAiAdmin.i18n.processing);
+            const requestData = buildPayload({
+                action: 'seokar_ai_editor_suggestion',
+                post_id: seokarAiAdmin.post_id,
+                action_type: 'generate_content_outline',
+                current_title: currentTitle,
+                current_content: getCurrentPostContent()
+            }, 'generate_content_outline');
+
+            requestClient.post(requestData).then(function (data) {
+                const result = data && data.html ? seokarAi.actions.filterResult({ html: data.html, suggestions: data.suggestions }, 'generate_content_outline') : null;
+                if (!result || !result.html) {
+                    throw new Error(seokarAiAdmin.i18n.error_generic);
+                }
+                recordHistory('generate_content_outline', requestData, result);
+                setDraftOutline(draftSectionsFromResult(result));
+                $draft.find('.seokar-ai-draft-status').text('');
+            }).catch(function (err) {
+                console.error('SeoKar AI Request Failed:', err);
+                $draft.find('.seokar-ai-draft-status').text(err.message || seokarAiAdmin.i18n.error_generic);
+            }).then(function () {
+                $button.prop('disabled', false);
+            });
+        });
+
+        $draft.on('click', '.seokar-ai-draft-add', function () {
+            const last = draftSections[draftSections.length - 1];
+            draftSections.push(seokarAi.outline.createSection('', last ? last.level : seokarAi.outline.MIN_LEVEL));
+            renderDraft();
+            $draft.find('.seokar-ai-draft-title').last().trigger('focus');
+        });
+
+        $draft.on('input', '.seokar-ai-draft-title', function () {
+            getDraftSection($(this).closest('li').data('id')).title = $(this).val().trim();
+        });
+
+        $draft.on('change', '.seokar-ai-draft-level', function () {
+            getDraftSection($(this).closest('li').data('id')).level = parseInt($(this).val(), 10);
+            renderDraft();
+        });
+
+        $draft.on('click', '.seokar-ai-draft-up, .seokar-ai-draft-down', function () {
+            const index = draftSections.indexOf(getDraftSection($(this).closest('li').data('id')));
+            draftSections = seokarAi.outline.move(draftSections, index, $(this).hasClass('seokar-ai-draft-up') ? -1 : 1);
+            renderDraft();
+        });
+
+        $draft.on('click', '.seokar-ai-draft-remove', function () {
+            const section = getDraftSection($(this).closest('li').data('id'));
+            if (section.status === 'writing' && draftController) {
+                draftController.abort();
+            }
+            draftSections.splice(draftSections.indexOf(section), 1);
+            renderDraft();
+        });
+
+        $draft.on('click', '.seokar-ai-draft-write', function () {
+            writeDraftSection(getDraftSection($(this).closest('li').data('id')));
+        });
+
+        // Writes the sections that have no text yet; written ones are regenerated one by one.
+        $draft.on('click', '.seokar-ai-draft-write-all', function () {
+            draftQueue = draftSections.filter(function (section) { return !section.html; }).map(function (section) { return section.id; });
+            if (!draftQueue.length) {
+                $draft.find('.seokar-ai-draft-status').text(__('All sections are written.', 'seokar-ai'));
+                return;
+            }
+            $draft.find('.seokar-ai-draft-status').text('');
+            writeNextDraftSection();
+        });
+
+        $draft.on('click', '.seokar-ai-draft-stop', function () {
+            draftQueue = [];
+            if (draftController) {
+                draftController.abort();
+            }
+        });
+
+        // Outline results offer to continue in the "Outline to Draft" panel.
+        if (!seokarAi.actions.getResultRenderer('outline')) {
+            seokarAi.registerResultRenderer('outline', function ($body, result, context) {
+                context.renderDefault();
+                $body.append($('<div class="seokar-ai-result-actions"></div>').append(
+                    $('<button type="button" class="button button-small"></button>').text(__('Write Section by Section', 'seokar-ai')).on('click', function () {
+                        if (setDraftOutline(draftSectionsFromResult(result))) {
+                            $draft[0].scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+                        }
+                    })
+                ));
+            });
+        }
+
+
+        // --- Internal Links ---
+
+        /**
+         * Wraps the first linkable occurrence of a phrase in the editor in a link: in the TinyMCE
+         * content, the Text tab or the block it sits in (see seokarAi.links).
+         * @param {string} phrase The exact phrase.
+         * @param {string} url The link target.
+         * @returns {boolean} Whether the phrase was found and linked.
+         */
+        function linkPhraseInEditor(phrase, url) {
+            if (typeof tinymce !== 'undefined' && tinymce.get('content') && tinymce.get('content').isVisible()) { // Classic TinyMCE
+                const mce = tinymce.get('content');
+                const linked = seokarAi.links.linkInHtml(mce.getContent(), phrase, url);
+                if (linked === null) {
+                    return false;
+                }
+                mce.undoManager.transact(function () {
+                    mce.setContent(linked);
+                });
+                mce.fire('change');
+                return true;
+            }
+            if ($('#content').length && $('#content').is(':visible')) { // Classic Text
+                const editor = document.getElementById('content');
+                const linked = seokarAi.links.linkInHtml(editor.value, phrase, url);
+                if (linked === null) {
+                    return false;
+                }
+                editor.value = linked;
+                $(editor).trigger('input');
+                return true;
+            }
+            if (typeof wp !== 'undefined' && wp.data && wp.data.select('core/block-editor')) { // Gutenberg
+                return seokarAi.links.linkInBlocks(phrase, url);
+            }
+            return false;
+        }
+
+        /**
+         * Adds one suggested link and shows the outcome in its row.
+         * @param {jQuery} $item The row of the link.
+         * @returns {boolean} Whether the link was added.
+         */
+        function addSuggestedLink($item) {
+            const link = $item.data('link');
+            const linked = linkPhraseInEditor(link.anchor, link.url);
+            $item.toggleClass('is-linked', linked);
+            $item.find('.seokar-ai-link-add').prop('disabled', linked);
+            $item.find('.seokar-ai-link-status')
+                .toggleClass('seokar-ai-error', !linked)
+                .text(linked ? __('Linked.', 'seokar-ai') : __('The phrase is no longer in the text, or it is already a link or a heading.', 'seokar-ai'));
+            return linked;
+        }
+
+        // Internal link results: one row per phrase and page, each added with one click.
+        if (!seokarAi.actions.getResultRenderer('internal_links')) {
+            seokarAi.registerResultRenderer('internal_links', function ($body, result, context) {
+                const links = (result.suggestions && result.suggestions.links) || [];
+                if (!links.length) {
+                    context.renderDefault();
+                    return;
+                }
+
+                const $list = $('<ul class="seokar-ai-links"></ul>');
+                links.forEach(function (link) {
+                    $list.append($('<li class="seokar-ai-link"></li>').data('link', link).append(
+                        $('<span class="seokar-ai-link-anchor"></span>').text('\u201c' + link.anchor + '\u201d'),
+                        ' \u2192 ',
+                        $('<a target="_blank" rel="noopener noreferrer"></a>').attr('href', link.url).text(link.title),
+                        link.type === 'term' ? $('<span class="seokar-ai-link-type"></span>').text(__('term', 'seokar-ai')) : null,
+                        $('<span class="seokar-ai-link-actions"></span>').append(
+                            $('<button type="button" class="button button-small seokar-ai-link-add"></button>').text(__('Add Link', 'seokar-ai')),
+                            ' ',
+                            $('<span class="seokar-ai-link-status" aria-live="polite"></span>')
+                        )
+                    ));
+                });
+
+                $list.on('click', '.seokar-ai-link-add', function () {
+                    const restore = captureEditorState('content');
+                    if (addSuggestedLink($(this).closest('.seokar-ai-link'))) {
+                        rememberForUndo('content', restore);
+                    }
+                });
+
+                const $addAll = $('<button type="button" class="button button-small button-primary"></button>').text(__('Add All Links', 'seokar-ai')).on('click', function () {
+                    const restore = captureEditorState('content');
+                    let added = 0;
+                    $list.children('.seokar-ai-link:not(.is-linked)').each(function () {
+                        added += addSuggestedLink($(this)) ? 1 : 0;
+                    });
+                    if (added) {
+                        rememberForUndo('content', restore); // One undo for all of them
+                    }
+                });
+
+                $body.empty().append(
+                    $('<p class="description"></p>').text(__('Each link goes on the first place the phrase is written, outside links and headings.', 'seokar-ai')),
+                    $list,
+                    $('<div class="seokar-ai-result-actions"></div>').append($addAll)
+                );
+                if (context.note) {
+                    $body.append($('<small class="seokar-ai-stream-note"></small>').text(context.note));
+                }
+            });
+        }
+
+
+        // --- Image Alt Text ---
+
+        let imageItems = []; // Images with weak alt text, see seokarAi.images; plus { status, message, suggestion, updateMedia }
+        let imageController = null; // AbortController of the image being described
+        let imageQueue = []; // Keys of the images still to describe with "Suggest for All"
+
+        /**
+         * Builds the "Image Alt Text" panel: the images whose alt text is missing or weak, each
+         * with its suggestion to edit and apply.
+         * @returns {jQuery}
+         */
+        function buildImagesPanel() {
+            return $('<details class="seokar-ai-images"></details>').append(
+                $('<summary></summary>').append(
+                    $('<strong></strong>').text(__('Image Alt Text', 'seokar-ai')),
+                    ' ',
+                    $('<span class="seokar-ai-images-count"></span>')
+                ),
+                $('<p class="description"></p>').text(__('Finds the images of the post without alt text or with a weak one, and suggests alt text and a caption from the file name, the text around the image and the title.', 'seokar-ai')),
+                $('<p class="seokar-ai-images-toolbar"></p>').append(
+                    $('<button type="button" class="button button-small seokar-ai-images-scan"></button>').text(__('Check Images', 'seokar-ai')),
+                    ' ',
+                    $('<button type="button" class="button button-small button-primary seokar-ai-images-suggest-all"></button>').text(__('Suggest for All', 'seokar-ai')),
+                    ' ',
+                    $('<button type="button" class="button button-small seokar-ai-images-stop"></button>').text(__('Stop', 'seokar-ai')).hide(),
+                    ' ',
+                    $('<span class="seokar-ai-images-status" aria-live="polite"></span>')
+                ),
+                $('<ul class="seokar-ai-images-list"></ul>')
+            );
+        }
+
+        /**
+         * Where the images are edited: 'tinymce', 'text' (the classic editor's tabs), 'blocks' or ''.
+         * @returns {string}
+         */
+        function getImageEditorMode() {
+            if (typeof tinymce !== 'undefined' && tinymce.get('content') && tinymce.get('content').isVisible()) {
+                return 'tinymce';
+            }
+            if ($('#content').length && $('#content').is(':visible')) {
+                return 'text';
+            }
+            if (typeof wp !== 'undefined' && wp.data && wp.data.select('core/block-editor')) {
+                return 'blocks';
+            }
+            return '';
+        }
+
+        /**
+         * Finds an image of the list by key.
+         * @param {string} key The image key.
+         * @returns {Object|undefined}
+         */
+        function getImageItem(key) {
+            return imageItems.find(function (item) { return item.key === key; });
+        }
+
+        /**
+         * Lists the images of the post whose alt text is missing or weak. Suggestions already
+         * written for an image that is still listed are kept.
+         * @returns {number} The number of images in the post.
+         */
+        function scanImages() {
+            const mode = getImageEditorMode();
+            const options = { title: getCurrentPostTitle() };
+            let images = [];
+            if (mode === 'blocks') {
+                images = seokarAi.images.findInBlocks(options);
+            } else if (mode) {
+                images = seokarAi.images.findInHtml(mode === 'tinymce' ? tinymce.get('content').getContent() : document.getElementById('content').value, options);
+            }
+            imageItems = images.filter(function (image) {
+                return image.issue;
+            }).map(function (image) {
+                const previous = getImageItem(image.key);
+                return $.extend(image, previous ? { suggestion: previous.suggestion, updateMedia: previous.updateMedia } : { updateMedia: true });
+            });
+            return images.length;
+        }
+
+        /**
+         * Renders the list of images.
+         */
+        function renderImages() {
+            const $list = $images.find('.seokar-ai-images-list').empty();
+            const busy = !!imageController;
+
+            imageItems.forEach(function (item) {
+                const suggestion = item.suggestion;
+                $list.append($('<li class="seokar-ai-image"></li>')
+                    .attr('data-key', item.key)
+                    .toggleClass('is-done', item.status === 'done')
+                    .toggleClass('is-working', item.status === 'working')
+                    .append(
+                        $('<img class="seokar-ai-image-thumb" alt="" loading="lazy">').attr('src', item.src),
+                        $('<div class="seokar-ai-image-body"></div>').append(
+                            $('<div class="seokar-ai-image-meta"></div>').append(
+                                $('<strong class="seokar-ai-image-name"></strong>').text(item.filename),
+                                ' ',
+                                $('<span class="seokar-ai-image-issue"></span>').text(seokarAi.images.ISSUES[item.issue] || '')
+                            ),
+                            item.alt ? $('<div class="seokar-ai-image-current"></div>').text(__('Current alt text:', 'seokar-ai') + ' \u201c' + item.alt + '\u201d') : null,
+                            suggestion ? $('<div class="seokar-ai-image-fields"></div>').append(
+                                $('<label></label>').append(
+                                    $('<span></span>').text(__('Alt text', 'seokar-ai')),
+                                    $('<input type="text" class="seokar-ai-image-alt">').val(suggestion.alt)
+                                ),
+                                $('<label></label>').append(
+                                    $('<span></span>').text(__('Caption', 'seokar-ai')),
+                                    $('<textarea rows="2" class="seokar-ai-image-caption"></textarea>').val(suggestion.caption)
+                                ),
+                                item.attachmentId ? $('<label class="seokar-ai-image-media"></label>').append(
+                                    $('<input type="checkbox" class="seokar-ai-image-update-media">').prop('checked', !!item.updateMedia),
+                                    ' ',
+                                    __('Also update the image in the media library', 'seokar-ai')
+                                ) : null
+                            ) : null,
+                            $('<div class="seokar-ai-image-actions"></div>').append(
+                                $('<button type="button" class="button button-small seokar-ai-image-suggest"></button>')
+                                    .text(suggestion ? __('Regenerate', 'seokar-ai') : __('Suggest', 'seokar-ai'))
+                                    .prop('disabled', busy),
+                                suggestion ? $('<button type="button" class="button button-small button-primary seokar-ai-image-apply"></button>')
+                                    .text(__('Apply', 'seokar-ai'))
+                                    .prop('disabled', item.status === 'done') : null,
+                                $('<button type="button" class="button-link seokar-ai-image-skip"></button>').text(__('Skip', 'seokar-ai')),
+                                $('<span class="seokar-ai-image-status"></span>').text(item.message || '')
+                            )
+                        )
+                    ));
+            });
+
+            $images.find('.seokar-ai-images-count').text(imageItems.length ? '(' + imageItems.length + ')' : '');
+            $images.find('.seokar-ai-images-scan').prop('disabled', busy);
+            $images.find('.seokar-ai-images-suggest-all').prop('disabled', busy || !imageItems.length);
+            $images.find('.seokar-ai-images-stop').toggle(busy);
+        }
+
+        /**
+         * Asks for the alt text and caption of one image.
+         * @param {Object} item The image.
+         * @returns {Promise<boolean>} Resolves with whether a suggestion arrived.
+         */
+        function describeImage(item) {
+            const requestData = buildPayload({
+                action: 'seokar_ai_editor_suggestion',
+                post_id: seokarAiAdmin.post_id,
+                action_type: 'suggest_image_text',
+                current_title: getCurrentPostTitle(),
+                image_url: item.src,
+                image_alt: item.alt,
+                image_caption: item.caption,
+                image_context: item.context
+            }, 'suggest_image_text');
+
+            imageController = new AbortController();
+            item.status = 'working';
+            item.message = __('Writing\u2026', 'seokar-ai');
+            renderImages();
+
+            return requestClient.post(requestData, {
+                signal: imageController.signal,
+                onRetry: function (retry) {
+                    item.message = wp.i18n.sprintf(__('Retrying in %d s\u2026', 'seokar-ai'), Math.ceil(retry.delay / 1000));
+                    renderImages();
+                }
+            }).then(function (data) {
+                const result = data && data.html ? seokarAi.actions.filterResult({ html: data.html, suggestions: data.suggestions }, 'suggest_image_text') : null;
+                const fields = result && result.suggestions && result.suggestions.image_text;
+                if (!fields || !fields.alt) {
+                    throw new Error(seokarAiAdmin.i18n.error_generic);
+                }
+                recordHistory('suggest_image_text', requestData, result);
+                item.suggestion = { alt: fields.alt, caption: fields.caption || '' };
+                item.message = '';
+                return true;
+            }).catch(function (err) {
+                if (seokarAi.request.isAbort(err)) {
+                    item.message = __('Stopped.', 'seokar-ai');
+                } else {
+                    console.error('SeoKar AI Request Failed:', err);
+                    item.message = err.message || seokarAiAdmin.i18n.error_generic;
+                }
+                return false;
+            }).then(function (described) {
+                item.status = '';
+                imageController = null;
+                renderImages();
+                return described;
+            });
+        }
+
+        /**
+         * Describes the queued images one after the other. Stops at the first one that fails.
+         */
+        function describeNextImage() {
+            const item = getImageItem(imageQueue.shift());
+            if (!item) {
+                if (imageQueue.length) {
+                    describeNextImage(); // Skipped while waiting
+                } else {
+                    $images.find('.seokar-ai-images-status').text(__('Review the suggestions and apply the ones you want.', 'seokar-ai'));
+                }
+                return;
+            }
+            describeImage(item).then(function (described) {
+                if (described) {
+                    describeNextImage();
+                } else {
+                    imageQueue = [];
+                }
+            });
+        }
+
+        /**
+         * Puts an alt text and caption on an image in the editor: on its block, or on its tag in the
+         * TinyMCE content or the Text tab.
+         * @param {Object} item The image.
+         * @param {Object} values { alt, caption }.
+         * @returns {boolean} Whether the image was found.
+         */
+        function applyImageText(item, values) {
+            if (item.clientId) {
+                return getImageEditorMode() === 'blocks' && seokarAi.images.applyToBlock(item, values);
+            }
+            const mode = getImageEditorMode();
+            if (mode === 'tinymce') {
+                const mce = tinymce.get('content');
+                const updated = seokarAi.images.applyToHtml(mce.getContent(), item, values);
+                if (updated === null) {
+                    return false;
+                }
+                mce.undoManager.transact(function () {
+                    mce.setContent(updated);
+                });
+                mce.fire('change');
+                return true;
+            }
+            if (mode === 'text') {
+                const editor = document.getElementById('content');
+                const updated = seokarAi.images.applyToHtml(editor.value, item, values);
+                if (updated === null) {
+                    return false;
+                }
+                editor.value = updated;
+                $(editor).trigger('input');
+                return true;
+            }
+            return false;
+        }
+
+        const $images = buildImagesPanel();
+        $spinner.before($images);
+        renderImages();
+
+        $images.on('click', '.seokar-ai-images-scan', function () {
+            const total = scanImages();
+            let status = __('No images need attention.', 'seokar-ai');
+            if (!total) {
+                status = __('The post has no images.', 'seokar-ai');
+            } else if (imageItems.length) {
+                status = wp.i18n.sprintf(__('%1$d of %2$d images need better alt text.', 'seokar-ai'), imageItems.length, total);
+            }
+            $images.find('.seokar-ai-images-status').text(status);
+            renderImages();
+        });
+
+        // Asks for the images without a suggestion; the others keep theirs until regenerated.
+        $images.on('click', '.seokar-ai-images-suggest-all', function () {
+            imageQueue = imageItems.filter(function (item) {
+                return !item.suggestion && item.status !== 'done';
+            }).map(function (item) { return item.key; });
+            $images.find('.seokar-ai-images-status').text('');
+            describeNextImage();
+        });
+
+        $images.on('click', '.seokar-ai-images-stop', function () {
+            imageQueue = [];
+            if (imageController) {
+                imageController.abort();
+            }
+        });
+
+        $images.on('click', '.seokar-ai-image-suggest', function () {
+            describeImage(getImageItem($(this).closest('li').data('key')));
+        });
+
+        $images.on('input', '.seokar-ai-image-alt, .seokar-ai-image-caption', function () {
+            const item = getImageItem($(this).closest('li').data('key'));
+            item.suggestion[$(this).hasClass('seokar-ai-image-alt') ? 'alt' : 'caption'] = $(this).val();
+        });
+
+        $images.on('change', '.seokar-ai-image-update-media', function () {
+            getImageItem($(this).closest('li').data('key')).updateMedia = $(this).is(':checked');
+        });
+
+        $images.on('click', '.seokar-ai-image-skip', function () {
+            const item = getImageItem($(this).closest('li').data('key'));
+            if (item.status === 'working' && imageController) {
+                imageController.abort();
+            }
+            imageItems.splice(imageItems.indexOf(item), 1);
+            renderImages();
+        });
+
+        // Applies in the editor first (one undo step), then to the attachment when asked to.
+        $images.on('click', '.seokar-ai-image-apply', function () {
+            const item = getImageItem($(this).closest('li').data('key'));
+            const values = { alt: item.suggestion.alt.trim(), caption: item.suggestion.caption.trim() };
+            if (!values.alt) {
+                item.message = __('Write an alt text first.', 'seokar-ai');
+                renderImages();
+                return;
+            }
+
+            const restore = captureEditorState('content');
+            if (!applyImageText(item, values)) {
+                item.message = __('The image is no longer in the editor. Check the images again.', 'seokar-ai');
+                renderImages();
+                return;
+            }
+            rememberForUndo('content', restore);
+            item.status = 'done';
+            item.message = __('Applied in the editor.', 'seokar-ai');
+            renderImages();
+
+            if (item.updateMedia && item.attachmentId) {
+                requestClient.post({
+                    action: 'seokar_ai_update_attachment',
+                    post_id: seokarAiAdmin.post_id,
+                    attachment_id: item.attachmentId,
+                    alt: values.alt,
+                    caption: values.caption
+                }).then(function () {
+                    item.message = __('Applied in the editor and the media library.', 'seokar-ai');
+                }).catch(function (err) {
+                    console.error('SeoKar AI Request Failed:', err);
+                    item.message = __('Applied in the editor, but the media library was not updated:', 'seokar-ai') + ' ' + (err.message || seokarAiAdmin.i18n.error_generic);
+                }).then(renderImages);
+            }
+        });
+
+
+        // --- History and Undo ---
+
+        // Request fields shown for a history entry, in this order.
+        const HISTORY_INPUT_LABELS = {
+            current_title: __('Title', 'seokar-ai'),
+            selected_text: __('Selection', 'seokar-ai'),
+            tone: __('Tone', 'seokar-ai'),
+            length: __('Target length', 'seokar-ai'),
+            audience: __('Audience', 'seokar-ai'),
+            language: __('Output language', 'seokar-ai'),
+            variants: __('Variants', 'seokar-ai'),
+            focus_keyword: __('Focus keyphrase', 'seokar-ai'),
+            section_title: __('Section', 'seokar-ai'),
+            image_url: __('Image', 'seokar-ai')
+        };
+
+        // The last insertion that can be undone: { target, restore }.
+        let lastInsertion = null;
+
+        /**
+         * The insert target of an action.
+         * @param {string} actionType The action type.
+         * @returns {string|null}
+         */
+        function getActionTarget(actionType) {
+            const action = seokarAi.actions.get(actionType);
+            return (action && action.target) || null;
+        }
+
+        /**
+         * A readable name for an action: its registered label, or the text of its button
+         * for an action that is no longer registered.
+         * @param {string} actionType The action type.
+         * @returns {string}
+         */
+        function getActionLabel(actionType) {
+            const action = seokarAi.actions.get(actionType);
+            if (action && action.placement === 'selection') {
+                return __('Rewrite selection', 'seokar-ai') + ': ' + action.label;
+            }
+            if (action) {
+                return action.label;
+            }
+            if (actionType === 'expand_outline_section') {
+                return __('Outline to Draft', 'seokar-ai');
+            }
+            if (actionType === 'suggest_image_text') {
+                return __('Image Alt Text', 'seokar-ai');
+            }
+            const $button = $metaboxContent.find('.seokar-ai-action-btn').filter(function () {
+                return $(this).data('action') === actionType;
+            }).first();
+            return $button.length ? $button.text().trim() : actionType;
+        }
+
+        /**
+         * Stores a finished (or partial) result in the post's history.
+         * @param {string} actionType The action type.
+         * @param {Object} requestData The AJAX payload that produced it.
+         * @param {Object} result The result: { html, suggestions }.
+         * @param {boolean} partial Whether the generation was stopped or failed half-way.
+         */
+        function recordHistory(actionType, requestData, result, partial) {
+            const inputs = $.extend({}, requestData);
+            delete inputs.action;
+            delete inputs.nonce;
+            delete inputs.post_id;
+            delete inputs.action_type;
+            seokarAi.history.add(seokarAiAdmin.post_id, { actionType: actionType, inputs: inputs, result: result, partial: partial });
+            renderHistory();
+        }
+
+        /**
+         * Text to insert for a structured result: all headings of an outline, all terms,
+         * or the first option for single values. Null when the result has no structured data.
+         * @param {Object} suggestions The `suggestions` of a result.
+         * @returns {string|null}
+         */
+        function getStructuredInsertText(suggestions) {
+            const kind = Object.keys(SUGGESTION_KINDS).find(function (key) {
+                return suggestions && Array.isArray(suggestions[key]) && suggestions[key].length;
+            });
+            if (!kind) {
+                return null;
+            }
+            if (kind === 'outline') {
+                return (function headings(nodes) {
+                    return nodes.map(function (node) {
+                        const level = node.level || 2;
+                        return '<h' + level + '>' + escapeHtml(node.title) + '</h' + level + '>' +
+                            (node.children && node.children.length ? '\n' + headings(node.children) : '');
+                    }).join('\n');
+                })(suggestions.outline);
+            }
+            return SUGGESTION_KINDS[kind].multiple ? suggestions[kind].join(', ') : suggestions[kind][0];
+        }
+
+        /**
+         * Captures the current value of an insert target so the insertion can be undone.
+         * @param {string} targetField The insert target.
+         * @returns {function|null} Restores the captured value; null when the target cannot be restored.
+         */
+        function captureEditorState(targetField) {
+            const target = seokarAi.actions.getInsertTarget(targetField);
+            return target && target.capture ? target.capture() : null;
+        }
+
+        /**
+         * Remembers the state before an insertion and offers to undo it.
+         * Only the last insertion can be undone.
+         * @param {string} targetField The insert target.
+         * @param {function} restore Optional restore function captured earlier; by default the state is captured now.
+         */
+        function rememberForUndo(targetField, restore = captureEditorState(targetField)) {
+            lastInsertion = restore ? { target: targetField, restore: restore } : null;
+            $undoButton.toggle(!!lastInsertion);
+            if (lastInsertion) {
+                const label = seokarAi.actions.getInsertTarget(targetField).label;
+                $undoButton.text(__('Undo last insertion', 'seokar-ai') + ' (' + label + ')');
+            }
+        }
+
+        /**
+         * A short summary of the inputs of a history entry.
+         * @param {Object} inputs The stored request inputs.
+         * @returns {string}
+         */
+        function summarizeInputs(inputs) {
+            return Object.keys(HISTORY_INPUT_LABELS).filter(function (key) {
+                return inputs[key];
+            }).map(function (key) {
+                let value = key === 'selected_text' ? htmlToText(inputs[key]) : String(inputs[key]);
+                value = value.replace(/\s+/g, ' ').trim();
+                if (value.length > 80) {
+                    value = value.slice(0, 80) + '\u2026';
+                }
+                return HISTORY_INPUT_LABELS[key] + ': "' + value + '"';
+            }).join(' \u00b7 ');
+        }
+
+        /**
+         * Renders the history list of the current post.
+         */
+        function renderHistory() {
+            const entries = seokarAi.history.list(seokarAiAdmin.post_id);
+            const $list = $history.find('.seokar-ai-history-list').empty();
+
+            $history.find('.seokar-ai-history-count').text('(' + entries.length + ')');
+            $history.find('.seokar-ai-history-clear').toggle(entries.length > 0);
+            if (!entries.length) {
+                $list.append($('<li class="seokar-ai-history-empty"></li>').text(__('No suggestions yet.', 'seokar-ai')));
+                return;
+            }
+
+            entries.forEach(function (entry) {
+                const $item = $('<li class="seokar-ai-history-item"></li>').attr('data-id', entry.id);
+                $item.append(
+                    $('<div class="seokar-ai-history-meta"></div>').append(
+                        $('<strong></strong>').text(getActionLabel(entry.actionType)),
+                        ' ',
+                        $('<time></time>').attr('datetime', new Date(entry.time).toISOString()).text(new Date(entry.time).toLocaleString()),
+                        entry.partial ? $('<span class="seokar-ai-history-partial"></span>').text(__('partial', 'seokar-ai')) : null
+                    ),
+                    $('<div class="seokar-ai-history-inputs"></div>').text(summarizeInputs(entry.inputs || {})),
+                    $('<div class="seokar-ai-history-actions"></div>').append(
+                        $('<button type="button" class="button-link seokar-ai-history-open-btn"></button>').text(__('Reopen', 'seokar-ai')),
+                        getActionTarget(entry.actionType) ? $('<button type="button" class="button-link seokar-ai-history-insert-btn"></button>').text(__('Reinsert', 'seokar-ai')) : null,
+                        $('<button type="button" class="button-link button-link-delete seokar-ai-history-delete-btn"></button>').text(__('Delete', 'seokar-ai'))
+                    )
+                );
+                $list.append($item);
+            });
+        }
+
+        const $undoButton = $('<button type="button" class="button button-small seokar-ai-undo-btn"></button>').hide();
+        const $history = $('<details class="seokar-ai-history"></details>').append(
+            $('<summary></summary>').append(
+                $('<strong></strong>').text(__('History', 'seokar-ai')),
+                ' ',
+                $('<span class="seokar-ai-history-count"></span>')
+            ),
+            $('<ul class="seokar-ai-history-list"></ul>'),
+            $('<button type="button" class="button-link button-link-delete seokar-ai-history-clear"></button>').text(__('Clear history', 'seokar-ai'))
+        );
+        $resultsDiv.after($undoButton, $history);
+        renderHistory();
+        $history.on('toggle', renderHistory); // Picks up results added from the block editor sidebar
+
+        $undoButton.on('click', function () {
+            if (lastInsertion) {
+                lastInsertion.restore();
+                lastInsertion = null;
+                showResultNotice(__('The last insertion was undone.', 'seokar-ai'));
+            }
+            $undoButton.hide();
+        });
+
+        // Reopen a past result in a new card, as if it had just arrived
+        $history.on('click', '.seokar-ai-history-open-btn', function () {
+            const entry = seokarAi.history.get(seokarAiAdmin.post_id, $(this).closest('.seokar-ai-history-item').data('id'));
+            if (entry) {
+                const card = createResultCard(entry.actionType);
+                card.finish();
+                renderResult(card.$body, entry.actionType, entry.result, __('From the history:', 'seokar-ai') + ' ' + new Date(entry.time).toLocaleString());
+            }
+        });
+
+        // Insert a past result straight into its target
+        $history.on('click', '.seokar-ai-history-insert-btn', function () {
+            const entry = seokarAi.history.get(seokarAiAdmin.post_id, $(this).closest('.seokar-ai-history-item').data('id'));
+            if (!entry) {
+                return;
+            }
+            const target = getActionTarget(entry.actionType);
+            const textToInsert = getStructuredInsertText(entry.result.suggestions) || getResultInsertText($('<div></div>').html(entry.result.html), target);
+            if (textToInsert) {
+                insertIntoEditor(textToInsert, target);
+                flashButton($(this));
+            }
+        });
+
+        $history.on('click', '.seokar-ai-history-delete-btn', function () {
+            seokarAi.history.remove(seokarAiAdmin.post_id, $(this).closest('.seokar-ai-history-item').data('id'));
+            renderHistory();
+        });
+
+        $history.on('click', '.seokar-ai-history-clear', function () {
+            if (confirm(__('Delete all saved suggestions for this post?', 'seokar-ai'))) {
+                seokarAi.history.clear(seokarAiAdmin.post_id);
+                renderHistory();
+            }
+        });
+
+
+        // --- Event Handlers ---
+
+        // Handle click on action buttons within the metabox
+        $metaboxContent.on('click', '.seokar-ai-action-btn', function (e) {
+            e.preventDefault();
+            const $button = $(this);
+            const actionType = $button.data('action');
+            const action = seokarAi.actions.get(actionType);
+
+            if (!action) {
+                console.error('SeoKar AI: Unknown action "' + actionType + '".');
+                return;
+            }
+            if (action.placement === 'selection') {
+                sendRewriteRequest(actionType);
+                return;
+            }
+
+            // Confirm for potentially destructive actions
+            const confirmMessage = seokarAi.actions.getConfirmMessage(action);
+            if (confirmMessage && !confirm(confirmMessage)) {
+                return;
+            }
+
+            const currentTitle = getCurrentPostTitle();
+            const currentContent = getCurrentPostContent();
+
+            if (action.requires === 'title' && !currentTitle) {
+                 showResultNotice(__('Please enter a title first for this action.', 'seokar-ai'), true);
+                 return;
+            }
+            if (action.requires === 'content' && !currentContent) {
+                 showResultNotice(__('Please write some content first.', 'seokar-ai'), true);
+                 return;
+            }
+            if (action.requires === 'title_or_content' && !currentTitle && !currentContent) {
+                 showResultNotice(__('Please write a title or some content first.', 'seokar-ai'), true);
+                 return;
+            }
+
+            $resultsDiv.children('.seokar-ai-result-notice').remove();
+
+            const requestData = buildPayload({
+                action: 'seokar_ai_editor_suggestion', // WP AJAX action defined in PHP
+                post_id: seokarAiAdmin.post_id,
+                action_type: actionType,
+                current_title: currentTitle,
+                current_content: currentContent
+            }, actionType);
+
+            // Long generations are streamed so the text shows up while it is being written.
+            if (action.prepare) {
+                sendPreparedSuggestionRequest(actionType, requestData);
+            } else if (action.stream && canStream()) {
+                sendStreamingSuggestionRequest(actionType, requestData);
+            } else {
+                sendSuggestionRequest(actionType, requestData);
+            }
+        });
+
+        // Handle click on "Insert into Editor" or "Use as Tags" buttons in results
+        $resultsDiv.on('click', '.seokar-ai-insert-btn', function() {
+            const $button = $(this);
+            const target = $button.data('target');
+            const textToInsert = getResultInsertText($button.closest('.seokar-ai-result-body'), target);
+
+            if (textToInsert) {
+                insertIntoEditor(textToInsert, target);
+                flashButton($button); // Give feedback
+            }
+        });
+
+        // Handle click on "Copy to Clipboard" buttons in results
+        $resultsDiv.on('click', '.seokar-ai-copy-btn', async function() {
+            const $button = $(this);
+            // Get the main content of the suggestion, excluding the action buttons and debug info
+            const textToCopy = $button.closest('.seokar-ai-result-body').clone().find(RESULT_EXTRAS_SELECTOR).remove().end().text().trim();
+
+            if (textToCopy) {
+                const success = await copyToClipboard(textToCopy);
+                if (success) {
+                    const originalText = $button.text();
+                    $button.text(seokarAiAdmin.i18n.copied).prop('disabled', true);
+                    setTimeout(function() { $button.text(originalText).prop('disabled', false); }, 2000);
+                } else {
+                    alert(__('Failed to copy. Please try manually.', 'seokar-ai'));
+                }
+            }
+        });
+
+        // Structured results: the radios have no name (named inputs would be posted with the classic
+        // editor form, and would form one group across cards), so keep one picked per list here.
+        $resultsDiv.on('change', '.seokar-ai-item-select[type="radio"]', function () {
+            $(this).closest('.seokar-ai-items').find('.seokar-ai-item-select[type="radio"]').not(this).prop('checked', false);
+        });
+
+        // Structured results: toggle the inline edit box of an item
+        $resultsDiv.on('click', '.seokar-ai-item-edit-btn', function () {
+            const $button = $(this);
+            const $item = $button.closest('.seokar-ai-item');
+            const $edit = $item.children('.seokar-ai-item-edit');
+            const $text = $item.children('.seokar-ai-item-label').children('.seokar-ai-item-text');
+
+            if ($edit.is(':visible')) {
+                $text.text($edit.val().trim());
+                $edit.hide();
+                $text.show();
+                $button.text(__('Edit', 'seokar-ai'));
+            } else {
+                $edit.val($text.text()).show().trigger('focus');
+                $text.hide();
+                $button.text(__('Done', 'seokar-ai'));
+            }
+        });
+
+        // Enter keeps the edit, Escape discards it
+        $resultsDiv.on('keydown', '.seokar-ai-item-edit', function (e) {
+            const $item = $(this).closest('.seokar-ai-item');
+            if (e.key === 'Enter') {
+                e.preventDefault(); // Don't submit the post form
+                $item.children('.seokar-ai-item-actions').children('.seokar-ai-item-edit-btn').trigger('click');
+            } else if (e.key === 'Escape' || e.key === 'Esc') {
+                $(this).val($item.children('.seokar-ai-item-label').children('.seokar-ai-item-text').text());
+                $item.children('.seokar-ai-item-actions').children('.seokar-ai-item-edit-btn').trigger('click');
+            }
+        });
+
+        // Structured results: insert or copy a single item
+        $resultsDiv.on('click', '.seokar-ai-item-insert-btn', function () {
+            const $item = $(this).closest('.seokar-ai-item');
+            const textToInsert = getItemsInsertText($item);
+            if (textToInsert) {
+                insertIntoEditor(textToInsert, $item.data('target'));
+                flashButton($(this));
+            }
+        });
+
+        $resultsDiv.on('click', '.seokar-ai-item-copy-btn', async function () {
+            const textToCopy = getItemText($(this).closest('.seokar-ai-item'));
+            if (textToCopy) {
+                if (await copyToClipboard(textToCopy)) {
+                    flashButton($(this));
+                } else {
+                    alert(__('Failed to copy. Please try manually.', 'seokar-ai'));
+                }
+            }
+        });
+
+        // Structured results: insert or copy every selected item at once
+        $resultsDiv.on('click', '.seokar-ai-items-insert-btn, .seokar-ai-items-copy-btn', async function () {
+            const $button = $(this);
+            const $selected = $button.closest('.seokar-ai-structured-result').find('.seokar-ai-item').filter(function () {
+                return $(this).children('.seokar-ai-item-label').find('.seokar-ai-item-select').is(':checked');
+            });
+
+            if (!$selected.length) {
+                alert(__('Please select at least one suggestion.', 'seokar-ai'));
+                return;
+            }
+
+            if ($button.hasClass('seokar-ai-items-insert-btn')) {
+                insertIntoEditor(getItemsInsertText($selected), $selected.first().data('target'));
+                flashButton($button);
+                return;
+            }
+
+            const separator = $selected.first().data('target') === 'tags' || $selected.first().data('target') === 'categories' ? ', ' : '\n';
+            const textToCopy = $selected.map(function () { return getItemText($(this)); }).get().filter(Boolean).join(separator);
+            if (await copyToClipboard(textToCopy)) {
+                flashButton($button);
+            } else {
+                alert(__('Failed to copy. Please try manually.', 'seokar-ai'));
+            }
+        });
+
+        // A new post gets its ID on the first save. The nonce made for the old ID would be
+        // rejected from then on, and the history is kept per post ID.
+        if (typeof wp !== 'undefined' && wp.data && wp.data.subscribe && wp.data.select('core/editor')) {
+            wp.data.subscribe(function () {
+                const newPostId = wp.data.select('core/editor').getCurrentPostId();
+                if (newPostId && String(newPostId) !== String(seokarAiAdmin.post_id)) {
+                    seokarAi.history.move(seokarAiAdmin.post_id, newPostId);
+                    requestClient.setPostId(newPostId).catch(function (err) {
+                        console.error('SeoKar AI: Could not refresh the nonce.', err);
+                    });
+                    renderHistory();
+                }
+            });
         }
 
     }); // End document.ready
@@ -0,0 +1,234 @@
+/**
+ * SeoKar AI Actions
+ *
+ * The registry of AI actions, insert targets and result renderers shared by the metabox and
+ * the block editor sidebar. The built-in actions are registered here; sites add their own from
+ * a script that depends on this one:
+ *
+ *     seokarAi.registerAction('write_faq', { label: 'Write FAQ Section', target: 'content', requires: 'title' });
+ *
+ * The server answers custom action types through the `seokar_ai_pre_get_suggestion` PHP filter.
+ * Insert targets and result renderers are used by the metabox; the sidebar shows results as HTML
+ * and inserts into custom targets through their `insert()`.
+ *
+ * wp.hooks filters:
+ * - `seokarAi.requestPayload` (payload, actionType, action): the data sent to `seokar_ai_editor_suggestion`.
+ * - `seokarAi.response` (result, actionType, action): the result ({ html, suggestions }) before it is
+ *   shown, stored in the history and inserted.
+ * wp.hooks actions:
+ * - `seokarAi.registryChanged` (kind, name): something was registered after the UI was built.
+ *
+ * Exposed as `window.seokarAi.registerAction()`, `registerInsertTarget()`, `registerResultRenderer()`
+ * and `window.seokarAi.actions`. Needs wp-i18n and wp-hooks; the internal links action needs
+ * seokar-ai-links.js (window.seokarAi.links) by the time it runs.
+ */
+(function (window) {
+    'use strict';
+
+    const seokarAi = window.seokarAi = window.seokarAi || {};
+    const { __ } = window.wp.i18n;
+    const hooks = window.wp.hooks;
+
+    const PLACEMENTS = ['post', 'selection', 'field'];
+    const REQUIREMENTS = ['title', 'content', 'title_or_content'];
+
+    const actions = new Map();
+    const insertTargets = new Map();
+    const resultRenderers = new Map();
+
+    /**
+     * Tells open UIs about a registration.
+     * @param {string} kind 'action', 'insertTarget' or 'resultRenderer'.
+     * @param {string} name The registered name.
+     */
+    function changed(kind, name) {
+        if (hooks) {
+            hooks.doAction('seokarAi.registryChanged', kind, name);
+        }
+    }
+
+    // --- Registration ---
+
+    /**
+     * Registers an action, or replaces the one with the same type.
+     * @param {string} type The action type sent as `action_type` (lowercase letters, digits and underscores).
+     * @param {Object} definition {
+     *     label:       Button label (required),
+     *     placement:   'post' (a button with the other actions, default), 'selection' (works on the
+     *                  selected text, shown under "Rewrite selection") or 'field' (the Suggest button of an SEO field),
+     *     target:      Insert target of the result (see registerInsertTarget()); none offers Copy only,
+     *     insertLabel: Label of the insert button (default "Insert into Editor (<target label>)"),
+     *     requires:    'title', 'content' or 'title_or_content' to block the request while the post lacks them,
+     *     confirm:     Question to confirm before the request (string, or function returning one),
+     *     stream:      Show the text while it is generated, when streaming is on (`streaming: true`),
+     *     withTone:    Send the tone chosen under "Rewrite selection" (selection actions),
+     *     renderer:    Name of the result renderer (see registerResultRenderer()),
+     *     prepare:     function (payload, { signal }) returning the payload to send, or a promise of it,
+     *                  run after the `seokarAi.requestPayload` filter, e.g. to look things up in the
+     *                  browser first; a rejection is shown as the error of the request
+     * }
+     * @returns {Object|null} The registered action, or null when the definition is invalid.
+     */
+    function registerAction(type, definition) {
+        if (!/^[a-z0-9_]+$/.test(type) || !definition || !definition.label) {
+            console.error('SeoKar AI: Invalid action "' + type + '". It needs a lowercase type and a label.');
+            return null;
+        }
+        const action = Object.assign({ placement: 'post', target: null }, definition, { type: type });
+        if (PLACEMENTS.indexOf(action.placement) === -1) {
+            console.error('SeoKar AI: Unknown placement "' + action.placement + '" for action "' + type + '".');
+            return null;
+        }
+        if (action.requires && REQUIREMENTS.indexOf(action.requires) === -1) {
+            console.error('SeoKar AI: Unknown requirement "' + action.requires + '" for action "' + type + '".');
+            return null;
+        }
+        actions.set(type, action);
+        changed('action', type);
+        return action;
+    }
+
+    /**
+     * Registers a place results can be inserted into, or replaces the one with the same name.
+     * @param {string} name The target name used by actions.
+     * @param {Object} definition {
+     *     label:   Name shown on insert buttons (required),
+     *     insert:  function (text, options) that inserts a result; `options.position` is the
+     *              chosen insert position for content (required),
+     *     capture: Optional function returning a function that restores the current value, for Undo,
+     *     format:  How a plain result becomes the text to insert: 'html' (the markup), 'first'
+     *              (the first list item), 'list' (the list items joined by commas) or 'text' (default)
+     * }
+     * @returns {Object|null} The registered target, or null when the definition is invalid.
+     */
+    function registerInsertTarget(name, definition) {
+        if (!name || !definition || !definition.label || typeof definition.insert !== 'function') {
+            console.error('SeoKar AI: Invalid insert target "' + name + '". It needs a label and an insert() function.');
+            return null;
+        }
+        const target = Object.assign({ format: 'text' }, definition, { name: name });
+        insertTargets.set(name, target);
+        changed('insertTarget', name);
+        return target;
+    }
+
+    /**
+     * Registers a result renderer, or replaces the one with the same name.
+     * The metabox calls it with the jQuery body of the result card, the result ({ html, suggestions })
+     * and a context: { actionType, action, note, renderDefault() }. renderDefault() draws the
+     * result the built-in way, so a renderer can add to it.
+     * @param {string} name The renderer name used by actions.
+     * @param {function(jQuery, Object, Object)} render The renderer.
+     * @returns {boolean} Whether it was registered.
+     */
+    function registerResultRenderer(name, render) {
+        if (!name || typeof render !== 'function') {
+            console.error('SeoKar AI: Invalid result renderer "' + name + '".');
+            return false;
+        }
+        resultRenderers.set(name, render);
+        changed('resultRenderer', name);
+        return true;
+    }
+
+    // --- Lookup ---
+
+    /**
+     * Registered actions in registration order.
+     * @param {string} placement Optional placement to filter by.
+     * @returns {Array<Object>}
+     */
+    function list(placement) {
+        return Array.from(actions.values()).filter(function (action) {
+            return !placement || action.placement === placement;
+        });
+    }
+
+    /**
+     * Runs the `seokarAi.requestPayload` filter.
+     * @param {Object} payload The request data.
+     * @param {string} actionType The action type.
+     * @returns {Object}
+     */
+    function filterPayload(payload, actionType) {
+        return hooks ? hooks.applyFilters('seokarAi.requestPayload', payload, actionType, actions.get(actionType)) : payload;
+    }
+
+    /**
+     * Runs the `seokarAi.response` filter.
+     * @param {Object} result The result: { html, suggestions }.
+     * @param {string} actionType The action type.
+     * @returns {Object}
+     */
+    function filterResult(result, actionType) {
+        return hooks ? hooks.applyFilters('seokarAi.response', result, actionType, actions.get(actionType)) : result;
+    }
+
+    /**
+     * The confirmation question of an action, if it has one.
+     * @param {Object} action The action.
+     * @returns {string}
+     */
+    function getConfirmMessage(action) {
+        return typeof action.confirm === 'function' ? action.confirm() : (action.confirm || '');
+    }
+
+    /**
+     * Runs the `prepare` step of an action, if it has one.
+     * @param {Object} payload The (filtered) request data.
+     * @param {string} actionType The action type.
+     * @param {AbortSignal} signal Optional signal that cancels the request.
+     * @returns {Promise<Object>} Resolves with the payload to send.
+     */
+    function prepare(payload, actionType, signal) {
+        const action = actions.get(actionType);
+        return new Promise(function (resolve) {
+            resolve(action && action.prepare ? action.prepare(payload, { signal: signal }) : payload);
+        });
+    }
+
+    // --- Built-in Actions ---
+
+    registerAction('suggest_title', { label: __('Suggest Title', 'seokar-ai'), target: 'title' });
+    registerAction('suggest_keywords', { label: __('Suggest Keywords', 'seokar-ai'), target: 'tags', insertLabel: __('Use as Tags', 'seokar-ai') });
+    registerAction('generate_content_outline', { label: __('Generate Content Outline', 'seokar-ai'), target: 'content', requires: 'title', stream: true, renderer: 'outline' });
+    registerAction('generate_full_content', {
+        label: __('Generate Full Content', 'seokar-ai'),
+        target: 'content',
+        requires: 'title',
+        stream: true,
+        confirm: function () { return window.seokarAiAdmin.i18n.confirm_generate_full_content; }
+    });
+    registerAction('suggest_tags', { label: __('Suggest Tags', 'seokar-ai'), target: 'tags', insertLabel: __('Use as Tags', 'seokar-ai') });
+    registerAction('suggest_categories', { label: __('Suggest Categories', 'seokar-ai'), target: 'categories', insertLabel: __('Assign Categories', 'seokar-ai') });
+    registerAction('suggest_internal_links', {
+        label: __('Suggest Internal Links', 'seokar-ai'),
+        requires: 'content',
+        renderer: 'internal_links',
+        prepare: function (payload, options) { return seokarAi.links.preparePayload(payload, options); }
+    });
+
+    registerAction('suggest_meta_description', { label: __('Suggest Meta Description', 'seokar-ai'), placement: 'field', target: 'meta_description', requires: 'title_or_content' });
+    registerAction('suggest_focus_keyword', { label: __('Suggest Focus Keyphrase', 'seokar-ai'), placement: 'field', target: 'focus_keyword', requires: 'title_or_content' });
+    registerAction('suggest_excerpt', { label: __('Suggest Excerpt', 'seokar-ai'), placement: 'field', target: 'excerpt', requires: 'title_or_content' });
+    registerAction('suggest_slug', { label: __('Suggest Slug', 'seokar-ai'), placement: 'field', target: 'slug', requires: 'title_or_content' });
+
+    registerAction('rewrite_rephrase', { label: __('Rephrase', 'seokar-ai'), placement: 'selection', target: 'content' });
+    registerAction('rewrite_expand', { label: __('Expand', 'seokar-ai'), placement: 'selection', target: 'content' });
+    registerAction('rewrite_shorten', { label: __('Shorten', 'seokar-ai'), placement: 'selection', target: 'content' });
+    registerAction('rewrite_tone', { label: __('Change Tone', 'seokar-ai'), placement: 'selection', target: 'content', withTone: true });
+
+    seokarAi.registerAction = registerAction;
+    seokarAi.registerInsertTarget = registerInsertTarget;
+    seokarAi.registerResultRenderer = registerResultRenderer;
+    seokarAi.actions = {
+        get: function (type) { return actions.get(type); },
+        list: list,
+        getInsertTarget: function (name) { return insertTargets.get(name); },
+        getResultRenderer: function (name) { return resultRenderers.get(name); },
+        getConfirmMessage: getConfirmMessage,
+        prepare: prepare,
+        filterPayload: filterPayload,
+        filterResult: filterResult
+    };
+})(window);
@@ -0,0 +1,440 @@
+/**
+ * SeoKar AI Content Analyzer
+ *
+ * Scores a post for SEO and readability in the browser, without any network call.
+ * Persian (and other Arabic-script) text is normalized before it is counted and
+ * matched, since word boundaries, the zero-width non-joiner and Arabic/Persian
+ * letter variants all break naive matching. Exposed as `window.seokarAi.analyzer`.
+ */
+(function (window) {
+    'use strict';
+
+    const seokarAi = window.seokarAi = window.seokarAi || {};
+    const { __, sprintf } = window.wp.i18n;
+
+    const ZWNJ = '\u200c';
+    // Letters, combining marks, digits and the ZWNJ that joins parts of one Persian word ("می‌شود").
+    const WORD_PATTERN = /[\p{L}\p{M}\p{N}\u200c]+/gu;
+    const ARABIC_SCRIPT_PATTERN = /[\u0600-\u06ff\u0750-\u077f\ufb50-\ufdff\ufe70-\ufeff]/g;
+    // Latin and Persian/Arabic sentence endings.
+    const SENTENCE_END_PATTERN = /[.!?\u061f\u06d4\u2026]+(?=\s|$)/;
+
+    /**
+     * Thresholds used by the checks. Persian sentences run longer on average, hence the separate limit.
+     */
+    const LIMITS = {
+        titleMin: 30,
+        titleMax: 60,
+        titleHardMax: 70,
+        metaMin: 120,
+        metaMax: 160,
+        metaHardMax: 180,
+        wordsGood: 300,
+        wordsMin: 150,
+        densityMin: 0.5,
+        densityMax: 2.5,
+        densityHardMax: 3.5,
+        paragraphMaxWords: 150,
+        sentenceMaxWords: 20,
+        sentenceMaxWordsRtl: 25
+    };
+
+    // --- Text helpers ---
+
+    /**
+     * Normalizes text for matching: Arabic kaf/yeh and Arabic-Indic digits become their Persian
+     * forms, diacritics and tatweel are dropped, ZWNJ counts as a space and case is folded.
+     * @param {string} text The text.
+     * @returns {string} Normalized text.
+     */
+    function normalize(text) {
+        return String(text)
+            .replace(/\u0643/g, '\u06a9') // Arabic kaf -> Persian keheh
+            .replace(/[\u064a\u0649]/g, '\u06cc') // Arabic yeh, alef maksura -> Farsi yeh
+            .replace(/[\u0660-\u0669]/g, function (digit) { return String.fromCharCode(digit.charCodeAt(0) + 0x90); }) // Arabic-Indic -> Persian digits
+            .replace(/[\u064b-\u065f\u0670\u0640]/g, '') // Harakat, superscript alef, tatweel
+            .replace(new RegExp(ZWNJ, 'g'), ' ')
+            .toLocaleLowerCase();
+    }
+
+    /**
+     * Number of characters in a text, counting code points rather than UTF-16 units
+     * (an emoji or a rare CJK character is one character). The SEO field counters use it too.
+     * @param {string} text The text.
+     * @returns {number}
+     */
+    function countCharacters(text) {
+        return Array.from(String(text)).length;
+    }
+
+    /**
+     * Splits text into words. A ZWNJ keeps a Persian word together.
+     * @param {string} text The text.
+     * @returns {string[]} Words.
+     */
+    function getWords(text) {
+        return String(text).match(WORD_PATTERN) || [];
+    }
+
+    /**
+     * Words used for keyword matching (normalized, so ZWNJ-joined parts become separate tokens).
+     * @param {string} text The text.
+     * @returns {string[]} Tokens.
+     */
+    function getTokens(text) {
+        return getWords(normalize(text));
+    }
+
+    /**
+     * Counts how often a token sequence (the keyphrase) occurs in another.
+     * @param {string[]} haystack Tokens of the text.
+     * @param {string[]} needle Tokens of the keyphrase.
+     * @returns {number} Occurrences.
+     */
+    function countSequence(haystack, needle) {
+        if (!needle.length) {
+            return 0;
+        }
+        let count = 0;
+        for (let i = 0; i <= haystack.length - needle.length; i++) {
+            let j = 0;
+            while (j < needle.length && haystack[i + j] === needle[j]) {
+                j++;
+            }
+            if (j === needle.length) {
+                count++;
+                i += needle.length - 1;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Whether the text contains the keyphrase as whole words.
+     * @param {string} text The text.
+     * @param {string[]} keywordTokens Tokens of the keyphrase.
+     * @returns {boolean}
+     */
+    function containsKeyword(text, keywordTokens) {
+        return countSequence(getTokens(text), keywordTokens) > 0;
+    }
+
+    /**
+     * Splits a paragraph into sentences.
+     * @param {string} text The paragraph text.
+     * @returns {string[]} Sentences.
+     */
+    function getSentences(text) {
+        return String(text).split(SENTENCE_END_PATTERN).map(function (sentence) { return sentence.trim(); }).filter(function (sentence) {
+            return getWords(sentence).length > 0;
+        });
+    }
+
+    /**
+     * Whether the text is mostly written in Arabic script (Persian, Arabic, Urdu).
+     * @param {string} text The text.
+     * @returns {boolean}
+     */
+    function isArabicScript(text) {
+        const letters = (String(text).match(/\p{L}/gu) || []).length;
+        return letters > 0 && (String(text).match(ARABIC_SCRIPT_PATTERN) || []).length / letters > 0.5;
+    }
+
+    /**
+     * Rough English syllable count (vowel groups, silent trailing "e").
+     * @param {string} word The word.
+     * @returns {number}
+     */
+    function countSyllables(word) {
+        word = word.toLowerCase().replace(/[^a-z]/g, '');
+        if (word.length <= 3) {
+            return 1;
+        }
+        word = word.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+        const groups = word.match(/[aeiouy]{1,2}/g);
+        return groups ? groups.length : 1;
+    }
+
+    /**
+     * Parses post content into its parts. Handles block markup, TinyMCE HTML and
+     * text-mode content without <p> tags (paragraphs separated by blank lines).
+     * @param {string} html The post content.
+     * @returns {{text: string, paragraphs: string[], headings: Array<{level: number, text: string}>}}
+     */
+    function parseContent(html) {
+        const body = new window.DOMParser().parseFromString(String(html), 'text/html').body;
+        // Keep words of adjacent blocks apart ("<p>one</p><p>two</p>" is not "onetwo").
+        body.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, blockquote, div, br, td, th').forEach(function (node) {
+            node.after('\n');
+        });
+        const text = body.textContent;
+        const headings = Array.prototype.map.call(body.querySelectorAll('h1, h2, h3, h4, h5, h6'), function (node) {
+            return { level: parseInt(node.nodeName.charAt(1), 10), text: node.textContent.trim() };
+        });
+
+        let paragraphs = Array.prototype.map.call(body.querySelectorAll('p'), function (node) { return node.textContent.trim(); });
+        if (!paragraphs.length) {
+            body.querySelectorAll('h1, h2, h3, h4, h5, h6, ul, ol, blockquote').forEach(function (node) { node.remove(); });
+            paragraphs = body.textContent.split(/\n\s*\n/).map(function (text) { return text.trim(); });
+        }
+
+        return {
+            text: text,
+            paragraphs: paragraphs.filter(Boolean),
+            headings: headings
+        };
+    }
+
+    // --- Checks ---
+
+    /**
+     * Builds a check result.
+     * @param {string} id Check identifier.
+     * @param {string} status 'good', 'ok' or 'bad'.
+     * @param {string} message What was found and what to do.
+     * @returns {{id: string, status: string, message: string}}
+     */
+    function check(id, status, message) {
+        return { id: id, status: status, message: message };
+    }
+
+    /**
+     * Grades a length against a good range and a hard maximum.
+     * @returns {string} 'good', 'ok' or 'bad'.
+     */
+    function gradeLength(length, min, max, hardMax) {
+        if (length >= min && length <= max) {
+            return 'good';
+        }
+        return length > 0 && length <= hardMax ? 'ok' : 'bad';
+    }
+
+    /**
+     * Focus keyphrase placement and density.
+     * @returns {Array} Checks.
+     */
+    function checkKeyword(data, content, keywordTokens, wordCount) {
+        const checks = [];
+        if (!keywordTokens.length) {
+            return [check('focus_keyword', 'ok', __('No focus keyphrase set. Add one to get keyword checks.', 'seokar-ai'))];
+        }
+
+        checks.push(containsKeyword(data.title, keywordTokens)
+            ? check('keyword_title', 'good', __('The focus keyphrase appears in the title.', 'seokar-ai'))
+            : check('keyword_title', 'bad', __('The focus keyphrase does not appear in the title.', 'seokar-ai')));
+
+        checks.push(content.paragraphs.length && containsKeyword(content.paragraphs[0], keywordTokens)
+            ? check('keyword_intro', 'good', __('The focus keyphrase appears in the first paragraph.', 'seokar-ai'))
+            : check('keyword_intro', 'bad', __('Use the focus keyphrase in the first paragraph.', 'seokar-ai')));
+
+        const subheadings = content.headings.filter(function (heading) { return heading.level > 1; });
+        checks.push(subheadings.some(function (heading) { return containsKeyword(heading.text, keywordTokens); })
+            ? check('keyword_subheading', 'good', __('The focus keyphrase appears in a subheading.', 'seokar-ai'))
+            : check('keyword_subheading', 'ok', __('Use the focus keyphrase in at least one subheading.', 'seokar-ai')));
+
+        const occurrences = countSequence(getTokens(content.text), keywordTokens);
+        const density = wordCount ? occurrences * keywordTokens.length / wordCount * 100 : 0;
+        let densityStatus = 'good';
+        if (!occurrences || density > LIMITS.densityHardMax) {
+            densityStatus = 'bad';
+        } else if (density < LIMITS.densityMin || density > LIMITS.densityMax) {
+            densityStatus = 'ok';
+        }
+        checks.push(check('keyword_density', densityStatus, sprintf(
+            /* translators: 1: Number of occurrences, 2: Keyword density in percent, 3: Minimum percent, 4: Maximum percent */
+            __('The focus keyphrase was found %1$d times (density %2$s%%). Aim for %3$s%%-%4$s%%.', 'seokar-ai'),
+            occurrences, density.toFixed(1), LIMITS.densityMin, LIMITS.densityMax
+        )));
+
+        if (data.metaDescription) {
+            checks.push(containsKeyword(data.metaDescription, keywordTokens)
+                ? check('keyword_meta', 'good', __('The focus keyphrase appears in the meta description.', 'seokar-ai'))
+                : check('keyword_meta', 'ok', __('Use the focus keyphrase in the meta description.', 'seokar-ai')));
+        }
+
+        if (data.slug) {
+            // Slugs use hyphens and may be percent-encoded.
+            let slug = data.slug;
+            try {
+                slug = decodeURIComponent(slug);
+            } catch (e) { /* Keep the raw slug */ }
+            checks.push(containsKeyword(slug.replace(/[-_]/g, ' '), keywordTokens)
+                ? check('keyword_slug', 'good', __('The focus keyphrase appears in the URL slug.', 'seokar-ai'))
+                : check('keyword_slug', 'ok', __('Use the focus keyphrase in the URL slug.', 'seokar-ai')));
+        }
+
+        return checks;
+    }
+
+    /**
+     * Title, meta description and content length.
+     * @returns {Array} Checks.
+     */
+    function checkLengths(data, wordCount) {
+        const titleLength = countCharacters(String(data.title).trim());
+        const metaLength = countCharacters(String(data.metaDescription || '').trim());
+        const checks = [];
+
+        checks.push(check('title_length', gradeLength(titleLength, LIMITS.titleMin, LIMITS.titleMax, LIMITS.titleHardMax), sprintf(
+            /* translators: 1: Title length, 2: Minimum, 3: Maximum */
+            __('The title is %1$d characters long. Aim for %2$d-%3$d.', 'seokar-ai'),
+            titleLength, LIMITS.titleMin, LIMITS.titleMax
+        )));
+
+        checks.push(metaLength
+            ? check('meta_length', gradeLength(metaLength, LIMITS.metaMin, LIMITS.metaMax, LIMITS.metaHardMax), sprintf(
+                /* translators: 1: Meta description length, 2: Minimum, 3: Maximum */
+                __('The meta description is %1$d characters long. Aim for %2$d-%3$d.', 'seokar-ai'),
+                metaLength, LIMITS.metaMin, LIMITS.metaMax
+            ))
+            : check('meta_length', 'bad', __('No meta description. Search engines will pick a snippet from the content.', 'seokar-ai')));
+
+        let wordsStatus = 'good';
+        if (wordCount < LIMITS.wordsMin) {
+            wordsStatus = 'bad';
+        } else if (wordCount < LIMITS.wordsGood) {
+            wordsStatus = 'ok';
+        }
+        checks.push(check('content_length', wordsStatus, sprintf(
+            /* translators: 1: Word count, 2: Recommended minimum */
+            __('The content has %1$d words. At least %2$d is recommended.', 'seokar-ai'),
+            wordCount, LIMITS.wordsGood
+        )));
+
+        return checks;
+    }
+
+    /**
+     * Heading structure and paragraph length.
+     * @returns {Array} Checks.
+     */
+    function checkStructure(content) {
+        const checks = [];
+        const headings = content.headings;
+
+        if (!headings.length) {
+            checks.push(check('headings', 'bad', __('The content has no subheadings. Break it up with H2/H3 headings.', 'seokar-ai')));
+        } else if (headings.some(function (heading) { return heading.level === 1; })) {
+            checks.push(check('headings', 'ok', __('The content contains an H1. The post title is already the H1; use H2 and below.', 'seokar-ai')));
+        } else {
+            const skipped = headings.some(function (heading, index) {
+                const previousLevel = index ? headings[index - 1].level : 1;
+                return heading.level > previousLevel + 1;
+            });
+            checks.push(skipped
+                ? check('headings', 'ok', __('A heading level is skipped (for example H2 followed by H4).', 'seokar-ai'))
+                : check('headings', 'good', __('The heading structure is well nested.', 'seokar-ai')));
+        }
+
+        const longParagraphs = content.paragraphs.filter(function (paragraph) {
+            return getWords(paragraph).length > LIMITS.paragraphMaxWords;
+        }).length;
+        checks.push(longParagraphs
+            ? check('paragraph_length', longParagraphs > 1 ? 'bad' : 'ok', sprintf(
+                /* translators: 1: Number of paragraphs, 2: Word limit */
+                __('%1$d paragraph(s) are longer than %2$d words.', 'seokar-ai'),
+                longParagraphs, LIMITS.paragraphMaxWords
+            ))
+            : check('paragraph_length', 'good', __('No paragraph is too long.', 'seokar-ai')));
+
+        return checks;
+    }
+
+    /**
+     * Sentence length and overall readability.
+     * @returns {Array} Checks.
+     */
+    function checkReadability(content, rtl) {
+        const sentences = [];
+        content.paragraphs.forEach(function (paragraph) {
+            Array.prototype.push.apply(sentences, getSentences(paragraph));
+        });
+        if (!sentences.length) {
+            return [];
+        }
+
+        const checks = [];
+        const maxWords = rtl ? LIMITS.sentenceMaxWordsRtl : LIMITS.sentenceMaxWords;
+        const sentenceWords = sentences.map(function (sentence) { return getWords(sentence); });
+        const longShare = sentenceWords.filter(function (words) { return words.length > maxWords; }).length / sentences.length * 100;
+        let sentenceStatus = 'good';
+        if (longShare > 35) {
+            sentenceStatus = 'bad';
+        } else if (longShare > 25) {
+            sentenceStatus = 'ok';
+        }
+        checks.push(check('sentence_length', sentenceStatus, sprintf(
+            /* translators: 1: Percentage of sentences, 2: Word limit */
+            __('%1$d%% of the sentences are longer than %2$d words. Keep it under 25%%.', 'seokar-ai'),
+            Math.round(longShare), maxWords
+        )));
+
+        const totalWords = sentenceWords.reduce(function (sum, words) { return sum + words.length; }, 0);
+        const wordsPerSentence = totalWords / sentences.length;
+
+        if (rtl) {
+            // Flesch needs English syllables; for Persian, grade by sentence and word length instead.
+            const lettersPerWord = sentenceWords.reduce(function (sum, words) {
+                return sum + words.join('').replace(new RegExp(ZWNJ, 'g'), '').length;
+            }, 0) / totalWords;
+            const hard = wordsPerSentence > 22 || lettersPerWord > 6;
+            const easy = wordsPerSentence <= 16 && lettersPerWord <= 5;
+            checks.push(check('readability', easy ? 'good' : (hard ? 'bad' : 'ok'), sprintf(
+                /* translators: 1: Average words per sentence, 2: Average letters per word */
+                __('Sentences average %1$s words and words average %2$s letters.', 'seokar-ai'),
+                wordsPerSentence.toFixed(1), lettersPerWord.toFixed(1)
+            )));
+        } else {
+            const syllables = sentenceWords.reduce(function (sum, words) {
+                return sum + words.reduce(function (count, word) { return count + countSyllables(word); }, 0);
+            }, 0);
+            const flesch = 206.835 - 1.015 * wordsPerSentence - 84.6 * (syllables / totalWords);
+            let fleschStatus = 'good';
+            if (flesch < 30) {
+                fleschStatus = 'bad';
+            } else if (flesch < 50) {
+                fleschStatus = 'ok';
+            }
+            checks.push(check('readability', fleschStatus, sprintf(
+                /* translators: %s: Flesch reading ease score */
+                __('Flesch reading ease is %s. 60 or more reads easily.', 'seokar-ai'),
+                flesch.toFixed(0)
+            )));
+        }
+
+        return checks;
+    }
+
+    /**
+     * Analyzes a post.
+     * @param {Object} data { title, content (HTML), metaDescription, slug, focusKeyword }.
+     * @returns {{score: number, rtl: boolean, wordCount: number, checks: Array<{id: string, status: string, message: string}>}}
+     *          `score` is 0-100; each check is 'good' (full marks), 'ok' (half) or 'bad' (none).
+     */
+    function analyze(data) {
+        const content = parseContent(data.content || '');
+        const rtl = isArabicScript(content.text || data.title || '');
+        const wordCount = getWords(content.text).length;
+        const keywordTokens = getTokens(data.focusKeyword || '');
+
+        const checks = [].concat(
+            checkKeyword(data, content, keywordTokens, wordCount),
+            checkLengths(data, wordCount),
+            checkStructure(content),
+            checkReadability(content, rtl)
+        );
+
+        const points = { good: 1, ok: 0.5, bad: 0 };
+        const score = checks.length ? Math.round(checks.reduce(function (sum, item) { return sum + points[item.status]; }, 0) / checks.length * 100) : 0;
+
+        return { score: score, rtl: rtl, wordCount: wordCount, checks: checks };
+    }
+
+    seokarAi.analyzer = {
+        LIMITS: LIMITS,
+        normalize: normalize,
+        countCharacters: countCharacters,
+        getWords: getWords,
+        analyze: analyze
+    };
+})(window);
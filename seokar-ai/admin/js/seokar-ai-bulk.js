@@ -0,0 +1,465 @@
+/**
+ * SeoKar AI Bulk Suggestions
+ *
+ * Handles the "Get AI Suggestions" bulk action of the posts list (edit.php). Instead of
+ * submitting the list form, the selected posts go through a queue that runs a few requests at
+ * a time and can be paused. Every suggestion ends up in a review table, where it is approved
+ * (saved to the post), edited first or rejected. The server side is SeoKar_AI_Bulk.
+ * Needs seokar-ai-request.js (window.seokarAi.request) to be loaded first.
+ */
+(function ($) {
+    'use strict';
+
+    $(function () {
+
+        const $listForm = $('#posts-filter');
+        if (!$listForm.length || typeof seokarAiBulk === 'undefined') {
+            // Not a posts list with the bulk action, do nothing.
+            return;
+        }
+
+        const { __, _n, sprintf } = wp.i18n;
+        const requestClient = seokarAi.request.getClient(seokarAiBulk, 'bulk');
+        const concurrency = Math.max(1, parseInt(seokarAiBulk.concurrency, 10) || 1);
+
+        let $panel = null;
+        let queue = null;
+        const controllers = new Set(); // AbortControllers of the running requests
+        const stats = { total: 0, done: 0, failed: 0, cancelled: 0 };
+
+        // --- Queue ---
+
+        /**
+         * A first-in, first-out queue that runs at most `limit` jobs at a time.
+         * Pausing keeps new jobs from starting; the running ones finish.
+         * @param {number} limit The number of jobs run at the same time.
+         * @param {function(Object): Promise} worker Runs one job; it handles its own errors.
+         * @param {function()} onChange Called whenever a job starts or ends and on pause/resume.
+         * @returns {Object} { add(jobs), pause(), resume(), clear(), isPaused(), running(), pending() }
+         */
+        function createQueue(limit, worker, onChange) {
+            const waiting = [];
+            let running = 0;
+            let paused = false;
+
+            function next() {
+                while (!paused && running < limit && waiting.length) {
+                    running++;
+                    worker(waiting.shift()).then(function () {
+                        running--;
+                        next();
+                    });
+                }
+                onChange();
+            }
+
+            return {
+                add: function (jobs) {
+                    waiting.push.apply(waiting, jobs);
+                    next();
+                },
+                pause: function () {
+                    paused = true;
+                    onChange();
+                },
+                resume: function () {
+                    paused = false;
+                    next();
+                },
+                clear: function () {
+                    return waiting.splice(0, waiting.length);
+                },
+                isPaused: function () { return paused; },
+                running: function () { return running; },
+                pending: function () { return waiting.length; }
+            };
+        }
+
+        /**
+         * Requests the suggestion of one job and adds it to the review table.
+         * @param {Object} job { postId, postTitle, type } where `type` is one of `seokarAiBulk.types`.
+         * @returns {Promise} Settles when the job is finished; never rejects.
+         */
+        function runJob(job) {
+            const controller = new AbortController();
+            controllers.add(controller);
+
+            return requestClient.post({
+                action: 'seokar_ai_bulk_suggestion',
+                post_id: job.postId,
+                action_type: job.type.type
+            }, { signal: controller.signal }).then(function (data) {
+                if (!data || !data.values || !data.values.length) {
+                    throw new Error(__('No suggestion was returned for this post.', 'seokar-ai'));
+                }
+                stats.done++;
+                addReviewRow(job, data);
+            }).catch(function (err) {
+                if (seokarAi.request.isAbort(err)) {
+                    return; // Counted by cancelRun()
+                }
+                console.error('SeoKar AI Bulk Request Failed:', err);
+                stats.failed++;
+                addErrorRow(job, err.message || __('An error occurred. Please try again.', 'seokar-ai'));
+            }).then(function () {
+                controllers.delete(controller);
+            });
+        }
+
+        // --- Panel ---
+
+        /**
+         * Builds the panel above the list on first use: the setup, the progress bar and the review table.
+         * @returns {jQuery}
+         */
+        function getPanel() {
+            if ($panel) {
+                return $panel;
+            }
+
+            $panel = $('<div id="seokar-ai-bulk" class="seokar-ai-bulk"></div>').append(
+                $('<div class="seokar-ai-bulk-header"></div>').append(
+                    $('<h2></h2>').text(__('AI Suggestions', 'seokar-ai')),
+                    $('<button type="button" class="button-link seokar-ai-bulk-close"></button>').text(__('Close', 'seokar-ai'))
+                ),
+                $('<div class="seokar-ai-bulk-setup" hidden></div>').append(
+                    $('<p class="seokar-ai-bulk-selection"></p>'),
+                    $('<fieldset class="seokar-ai-bulk-types"></fieldset>').append(
+                        $('<legend></legend>').text(__('Suggest:', 'seokar-ai')),
+                        seokarAiBulk.types.map(function (type) {
+                            return $('<label></label>').append(
+                                $('<input type="checkbox" checked>').val(type.type),
+                                ' ',
+                                document.createTextNode(type.label)
+                            );
+                        })
+                    ),
+                    $('<p></p>').append(
+                        $('<button type="button" class="button button-primary seokar-ai-bulk-start"></button>').text(__('Start', 'seokar-ai'))
+                    )
+                ),
+                $('<div class="seokar-ai-bulk-progress" hidden></div>').append(
+                    $('<div class="seokar-ai-bulk-progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0"></div>').append('<span></span>'),
+                    $('<span class="seokar-ai-bulk-progress-text" aria-live="polite"></span>'),
+                    $('<button type="button" class="button seokar-ai-bulk-pause"></button>').text(__('Pause', 'seokar-ai')),
+                    $('<button type="button" class="button seokar-ai-bulk-cancel"></button>').text(__('Cancel', 'seokar-ai'))
+                ),
+                $('<table class="wp-list-table widefat fixed striped seokar-ai-bulk-review" hidden></table>').append(
+                    $('<thead></thead>').append($('<tr></tr>').append(
+                        $('<th scope="col" class="column-post"></th>').text(__('Post', 'seokar-ai')),
+                        $('<th scope="col" class="column-field"></th>').text(__('Field', 'seokar-ai')),
+                        $('<th scope="col" class="column-current"></th>').text(__('Current', 'seokar-ai')),
+                        $('<th scope="col" class="column-suggestion"></th>').text(__('Suggestion', 'seokar-ai')),
+                        $('<th scope="col" class="column-review"></th>').text(__('Review', 'seokar-ai'))
+                    )),
+                    '<tbody></tbody>'
+                )
+            );
+
+            $listForm.before($panel);
+            bindPanelEvents();
+            return $panel;
+        }
+
+        /**
+         * Shows the setup for the selected posts.
+         * @param {Array<Object>} posts { id, title } of each selected post.
+         */
+        function openSetup(posts) {
+            const $setup = getPanel().find('.seokar-ai-bulk-setup');
+            $setup.data('posts', posts).prop('hidden', false);
+            $setup.find('.seokar-ai-bulk-selection').text(sprintf(
+                /* translators: %d: number of selected posts. */
+                _n('Get AI suggestions for %d selected post.', 'Get AI suggestions for %d selected posts.', posts.length, 'seokar-ai'),
+                posts.length
+            ));
+            $panel.prop('hidden', false);
+            $setup.find('.seokar-ai-bulk-start').trigger('focus');
+        }
+
+        /**
+         * Queues one job per selected post and chosen type. Jobs of a later selection join
+         * the same queue and progress bar, behind the ones still waiting.
+         */
+        function startRun() {
+            const $setup = $panel.find('.seokar-ai-bulk-setup');
+            const posts = $setup.data('posts') || [];
+            const chosen = $setup.find('.seokar-ai-bulk-types input:checked').map(function () { return $(this).val(); }).get();
+            const types = seokarAiBulk.types.filter(function (type) { return chosen.indexOf(type.type) !== -1; });
+
+            if (!types.length) {
+                window.alert(__('Choose at least one suggestion type.', 'seokar-ai'));
+                return;
+            }
+
+            const jobs = [];
+            posts.forEach(function (post) {
+                types.forEach(function (type) {
+                    jobs.push({ postId: post.id, postTitle: post.title, type: type });
+                });
+            });
+
+            if (!queue) {
+                queue = createQueue(concurrency, runJob, updateProgress);
+            }
+
+            stats.total += jobs.length;
+            $setup.prop('hidden', true);
+            $panel.find('.seokar-ai-bulk-progress').prop('hidden', false);
+            queue.add(jobs);
+        }
+
+        /**
+         * Drops the waiting jobs and cancels the running requests.
+         */
+        function cancelRun() {
+            if (!queue) {
+                return;
+            }
+            stats.cancelled += queue.clear().length + controllers.size;
+            controllers.forEach(function (controller) { controller.abort(); });
+            queue.resume(); // Nothing is left to start, so a paused run ends here
+            updateProgress();
+        }
+
+        /**
+         * Whether every queued job has ended.
+         * @returns {boolean}
+         */
+        function isFinished() {
+            return stats.done + stats.failed + stats.cancelled >= stats.total;
+        }
+
+        /**
+         * Updates the progress bar, its text and the Pause/Resume button.
+         */
+        function updateProgress() {
+            if (!$panel) {
+                return;
+            }
+            const ended = Math.min(stats.total, stats.done + stats.failed + stats.cancelled);
+            const percent = stats.total ? Math.round(ended / stats.total * 100) : 0;
+            const finished = isFinished();
+            const parts = [
+                /* translators: 1: number of finished suggestions, 2: number of queued suggestions. */
+                sprintf(__('%1$d of %2$d suggestions', 'seokar-ai'), ended, stats.total)
+            ];
+
+            if (stats.failed) {
+                /* translators: %d: number of failed suggestions. */
+                parts.push(sprintf(__('%d failed', 'seokar-ai'), stats.failed));
+            }
+            if (stats.cancelled) {
+                /* translators: %d: number of cancelled suggestions. */
+                parts.push(sprintf(__('%d cancelled', 'seokar-ai'), stats.cancelled));
+            }
+            if (finished) {
+                parts.push(__('Done.', 'seokar-ai'));
+            } else if (queue.isPaused()) {
+                parts.push(queue.running() ? __('Pausing\u2026', 'seokar-ai') : __('Paused.', 'seokar-ai'));
+            }
+
+            const $progress = $panel.find('.seokar-ai-bulk-progress');
+            $progress.toggleClass('is-paused', !finished && queue.isPaused());
+            $progress.find('.seokar-ai-bulk-progress-bar').attr('aria-valuenow', percent)
+                .children('span').css('width', percent + '%');
+            $progress.find('.seokar-ai-bulk-progress-text').text(parts.join(' \u00b7 '));
+            $progress.find('.seokar-ai-bulk-pause')
+                .text(queue.isPaused() ? __('Resume', 'seokar-ai') : __('Pause', 'seokar-ai'))
+                .prop('disabled', finished);
+            $progress.find('.seokar-ai-bulk-cancel').prop('disabled', finished);
+        }
+
+        // --- Review Table ---
+
+        /**
+         * Starts a review table row with the post and field cells.
+         * @param {Object} job The finished job.
+         * @returns {jQuery}
+         */
+        function createRow(job) {
+            const $table = $panel.find('.seokar-ai-bulk-review').prop('hidden', false);
+            const $row = $('<tr class="seokar-ai-bulk-row"></tr>').data('job', job).append(
+                $('<td class="column-post"></td>').append($('<strong></strong>').text(job.postTitle)),
+                $('<td class="column-field"></td>').text(job.type.label)
+            );
+            $table.children('tbody').append($row);
+            return $row;
+        }
+
+        /**
+         * Adds a suggestion to review: the current value, an editable suggestion (with the
+         * other suggested values to pick from) and the Approve/Reject buttons.
+         * @param {Object} job The finished job.
+         * @param {Object} data The response: { html, values, current }.
+         */
+        function addReviewRow(job, data) {
+            const $row = createRow(job);
+            // Tags are added together; the other fields take one of the values.
+            const values = job.type.field === 'tags' ? [data.values.join(', ')] : data.values;
+            const $input = job.type.multiline
+                ? $('<textarea class="seokar-ai-bulk-value" rows="3"></textarea>')
+                : $('<input type="text" class="seokar-ai-bulk-value">');
+            const $suggestion = $('<td class="column-suggestion"></td>');
+
+            if (values.length > 1) {
+                $suggestion.append($('<select class="seokar-ai-bulk-choice"></select>')
+                    .attr('aria-label', __('Other suggestions', 'seokar-ai'))
+                    .append(values.map(function (value) { return $('<option></option>').val(value).text(value); })));
+            }
+            $suggestion.append($input.val(values[0]).attr('aria-label', job.type.label));
+
+            $row.append(
+                $('<td class="column-current"></td>').text(data.current || '\u2014'),
+                $suggestion,
+                $('<td class="column-review"></td>').append(
+                    $('<button type="button" class="button button-primary button-small seokar-ai-bulk-approve"></button>').text(__('Approve', 'seokar-ai')),
+                    ' ',
+                    $('<button type="button" class="button button-small seokar-ai-bulk-reject"></button>').text(__('Reject', 'seokar-ai')),
+                    ' ',
+                    '<span class="seokar-ai-bulk-status"></span>'
+                )
+            );
+        }
+
+        /**
+         * Adds a failed job with its error and a Retry button.
+         * @param {Object} job The failed job.
+         * @param {string} message The error message.
+         */
+        function addErrorRow(job, message) {
+            const $row = createRow(job).addClass('is-failed');
+            $row.append(
+                $('<td class="column-current"></td>'),
+                $('<td class="column-suggestion"></td>').append($('<span class="seokar-ai-error-message"></span>').text(message)),
+                $('<td class="column-review"></td>').append(
+                    $('<button type="button" class="button button-small seokar-ai-bulk-retry"></button>').text(__('Retry', 'seokar-ai'))
+                )
+            );
+        }
+
+        /**
+         * Sets the review state of a row.
+         * @param {jQuery} $row The row.
+         * @param {string} state 'saving', 'approved', 'rejected' or '' (waiting for review).
+         * @param {string} message The status text.
+         */
+        function setRowState($row, state, message) {
+            $row.removeClass('is-saving is-approved is-rejected');
+            if (state) {
+                $row.addClass('is-' + state);
+            }
+            const locked = state !== '';
+            $row.find('.seokar-ai-bulk-value, .seokar-ai-bulk-choice, .seokar-ai-bulk-approve').prop('disabled', locked);
+            $row.find('.seokar-ai-bulk-reject')
+                .prop('disabled', state === 'saving' || state === 'approved')
+                .text(state === 'rejected' ? __('Undo', 'seokar-ai') : __('Reject', 'seokar-ai'));
+            $row.find('.seokar-ai-bulk-status').text(message || '');
+        }
+
+        /**
+         * Saves the reviewed value of a row to its post.
+         * @param {jQuery} $row The row.
+         */
+        function approveRow($row) {
+            const job = $row.data('job');
+            const value = String($row.find('.seokar-ai-bulk-value').val()).trim();
+            if (!value) {
+                setRowState($row, '', __('The suggestion is empty.', 'seokar-ai'));
+                return;
+            }
+
+            setRowState($row, 'saving', __('Saving\u2026', 'seokar-ai'));
+            requestClient.post({
+                action: 'seokar_ai_bulk_save',
+                post_id: job.postId,
+                field: job.type.field,
+                value: value
+            }).then(function (data) {
+                setRowState($row, 'approved', __('Saved.', 'seokar-ai'));
+                $row.find('.column-current').text(data.current || '\u2014');
+                if (job.type.field === 'title') {
+                    $('#post-' + job.postId).find('.row-title').text(data.current);
+                }
+            }, function (err) {
+                console.error('SeoKar AI Bulk Save Failed:', err);
+                setRowState($row, '', err.message || __('An error occurred. Please try again.', 'seokar-ai'));
+            });
+        }
+
+        // --- Event Handlers ---
+
+        /**
+         * Binds the panel buttons; called once the panel exists.
+         */
+        function bindPanelEvents() {
+            $panel.on('click', '.seokar-ai-bulk-start', startRun);
+
+            $panel.on('click', '.seokar-ai-bulk-pause', function () {
+                if (queue.isPaused()) {
+                    queue.resume();
+                } else {
+                    queue.pause();
+                }
+            });
+
+            $panel.on('click', '.seokar-ai-bulk-cancel', cancelRun);
+
+            $panel.on('click', '.seokar-ai-bulk-close', function () {
+                if (queue && !isFinished()) {
+                    if (!window.confirm(__('Stop the suggestions that have not finished yet?', 'seokar-ai'))) {
+                        return;
+                    }
+                    cancelRun();
+                }
+                $panel.prop('hidden', true);
+            });
+
+            $panel.on('change', '.seokar-ai-bulk-choice', function () {
+                $(this).closest('tr').find('.seokar-ai-bulk-value').val($(this).val());
+            });
+
+            $panel.on('click', '.seokar-ai-bulk-approve', function () {
+                approveRow($(this).closest('tr'));
+            });
+
+            $panel.on('click', '.seokar-ai-bulk-reject', function () {
+                const $row = $(this).closest('tr');
+                if ($row.hasClass('is-rejected')) {
+                    setRowState($row, '');
+                } else {
+                    setRowState($row, 'rejected', __('Rejected.', 'seokar-ai'));
+                }
+            });
+
+            $panel.on('click', '.seokar-ai-bulk-retry', function () {
+                const $row = $(this).closest('tr');
+                const job = $row.data('job');
+                $row.remove();
+                stats.failed--;
+                queue.add([job]);
+            });
+        }
+
+        // Run the bulk action here instead of submitting the list form.
+        $listForm.on('click', '#doaction, #doaction2', function (event) {
+            if ($(this).siblings('select').val() !== seokarAiBulk.bulk_action) {
+                return;
+            }
+            event.preventDefault();
+
+            const posts = $listForm.find('input[name="post[]"]:checked').map(function () {
+                const id = parseInt($(this).val(), 10);
+                const title = $('#post-' + id).find('.row-title').first().text().trim();
+                /* translators: %d: post ID. */
+                return { id: id, title: title || sprintf(__('#%d (no title)', 'seokar-ai'), id) };
+            }).get();
+
+            if (!posts.length) {
+                window.alert(__('Select the posts to get suggestions for first.', 'seokar-ai'));
+                return;
+            }
+            openSetup(posts);
+        });
+    });
+})(jQuery);
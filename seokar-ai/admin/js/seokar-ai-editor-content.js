@@ -0,0 +1,238 @@
+/**
+ * SeoKar AI Editor Content Helpers
+ *
+ * Turns generated HTML or Markdown into editor markup and real blocks
+ * (core/heading, core/list, core/paragraph, core/quote), and inserts those blocks
+ * at the chosen position. Shared by the metabox script and the block editor sidebar
+ * through `window.seokarAi.content`.
+ */
+(function (window) {
+    'use strict';
+
+    const seokarAi = window.seokarAi = window.seokarAi || {};
+
+    /**
+     * Where generated content goes in the editor.
+     * `selection`: after the selected block(s) or at the cursor,
+     * `replace`: instead of the selected block(s) or text,
+     * `append`: at the end of the post.
+     */
+    const POSITIONS = ['selection', 'replace', 'append'];
+
+    // --- Markdown ---
+
+    /**
+     * Escapes text for use inside HTML.
+     * @param {string} text The text.
+     * @returns {string} The escaped text.
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Converts inline Markdown (code, bold, italic, links) in one line of text.
+     * @param {string} text The text.
+     * @returns {string} HTML.
+     */
+    function inlineMarkdownToHtml(text) {
+        return escapeHtml(text)
+            .replace(/`([^`]+)`/g, '<code>$1</code>')
+            .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, function (match, stars, underscores) {
+                return '<strong>' + (stars || underscores) + '</strong>';
+            })
+            .replace(/(^|[^*\w])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+            .replace(/(^|[^_\w])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, function (match, label, url) {
+                // Only plain web links, nothing like javascript: URLs.
+                return /^(https?:\/\/|\/|#)/i.test(url) ? '<a href="' + url + '">' + label + '</a>' : label;
+            });
+    }
+
+    /**
+     * Converts the Markdown the AI services tend to return into HTML:
+     * ATX headings, (nested) bullet and numbered lists, block quotes, code fences,
+     * horizontal rules and paragraphs.
+     * @param {string} markdown The Markdown text.
+     * @returns {string} HTML.
+     */
+    function markdownToHtml(markdown) {
+        const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+        const html = [];
+        const lists = []; // Open lists, innermost last: { type: 'ul'|'ol', indent }
+        let paragraph = [];
+        let quote = [];
+        let fence = null;
+
+        function flushParagraph() {
+            if (paragraph.length) {
+                html.push('<p>' + inlineMarkdownToHtml(paragraph.join(' ')) + '</p>');
+                paragraph = [];
+            }
+        }
+
+        function flushQuote() {
+            if (quote.length) {
+                const paragraphs = quote.join('\n').split(/\n\s*\n/).map(function (text) {
+                    return text.replace(/\n/g, ' ').trim();
+                }).filter(Boolean);
+                html.push('<blockquote>' + paragraphs.map(function (text) {
+                    return '<p>' + inlineMarkdownToHtml(text) + '</p>';
+                }).join('') + '</blockquote>');
+                quote = [];
+            }
+        }
+
+        // Closes every open list indented deeper than `indent` (-1 closes all).
+        function closeLists(indent) {
+            while (lists.length && lists[lists.length - 1].indent > indent) {
+                html.push('</li></' + lists.pop().type + '>');
+            }
+        }
+
+        function flushAll() {
+            flushParagraph();
+            flushQuote();
+            closeLists(-1);
+        }
+
+        lines.forEach(function (line) {
+            if (fence !== null) {
+                if (/^\s*```/.test(line)) {
+                    html.push('<pre><code>' + escapeHtml(fence.join('\n')) + '</code></pre>');
+                    fence = null;
+                } else {
+                    fence.push(line);
+                }
+                return;
+            }
+
+            let match;
+            if (/^\s*```/.test(line)) {
+                flushAll();
+                fence = [];
+            } else if (!line.trim()) {
+                // Blank lines end paragraphs but not lists (loose lists) or quotes (multi-paragraph quotes).
+                flushParagraph();
+                if (quote.length) {
+                    quote.push('');
+                }
+            } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                flushAll();
+                html.push('<hr>');
+            } else if ((match = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+                flushAll();
+                html.push('<h' + match[1].length + '>' + inlineMarkdownToHtml(match[2]) + '</h' + match[1].length + '>');
+            } else if ((match = line.match(/^\s*>\s?(.*)$/))) {
+                flushParagraph();
+                closeLists(-1);
+                quote.push(match[1]);
+            } else if ((match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/))) {
+                flushParagraph();
+                flushQuote();
+                const indent = match[1].replace(/\t/g, '    ').length;
+                const type = /\d/.test(match[2]) ? 'ol' : 'ul';
+                const top = lists[lists.length - 1];
+
+                if (!top || indent > top.indent) {
+                    html.push('<' + type + '><li>');
+                    lists.push({ type: type, indent: indent });
+                } else {
+                    closeLists(indent);
+                    const current = lists[lists.length - 1];
+                    if (current.type === type) {
+                        html.push('</li><li>');
+                    } else {
+                        html.push('</li></' + lists.pop().type + '><' + type + '><li>');
+                        lists.push({ type: type, indent: indent });
+                    }
+                }
+                html.push(inlineMarkdownToHtml(match[3]));
+            } else if (lists.length && /^\s+/.test(line)) {
+                html.push(' ' + inlineMarkdownToHtml(line.trim())); // Continuation of a list item
+            } else {
+                flushQuote();
+                closeLists(-1);
+                paragraph.push(line.trim());
+            }
+        });
+
+        if (fence !== null) {
+            html.push('<pre><code>' + escapeHtml(fence.join('\n')) + '</code></pre>');
+        }
+        flushAll();
+
+        // List items are built from several pieces; keep them on one line.
+        return html.join('\n').replace(/\n*(<\/?li>)\n*/g, '$1');
+    }
+
+    /**
+     * Returns editor-ready HTML for a generated result, whether it came back as HTML or Markdown.
+     * @param {string} text HTML or Markdown.
+     * @returns {string} HTML.
+     */
+    function toHtml(text) {
+        text = String(text).trim();
+        if (/<\/?(p|h[1-6]|ul|ol|li|blockquote|strong|em|a|br|div|pre|table)\b[^>]*>/i.test(text)) {
+            return text;
+        }
+        return markdownToHtml(text);
+    }
+
+    // --- Blocks ---
+
+    /**
+     * Converts generated HTML or Markdown into blocks.
+     * @param {string} text HTML or Markdown.
+     * @returns {Array} Blocks.
+     */
+    function toBlocks(text) {
+        return window.wp.blocks.rawHandler({ HTML: toHtml(text) });
+    }
+
+    /**
+     * Inserts generated content into the block editor as real blocks.
+     * @param {string} text HTML or Markdown.
+     * @param {string} position One of POSITIONS. Without a block selection everything is appended.
+     * @returns {Array} The inserted blocks.
+     */
+    function insertBlocks(text, position) {
+        const { select, dispatch } = window.wp.data;
+        const blockEditor = select('core/block-editor');
+        const { insertBlocks: insert, replaceBlocks } = dispatch('core/block-editor');
+        const blocks = toBlocks(text);
+        const selectedIds = blockEditor.getSelectedBlockClientIds();
+
+        if (!blocks.length) {
+            return blocks;
+        }
+
+        if (selectedIds.length && position === 'replace') {
+            replaceBlocks(selectedIds, blocks);
+        } else if (selectedIds.length && position === 'selection') {
+            const lastId = selectedIds[selectedIds.length - 1];
+            const lastBlock = blockEditor.getBlock(lastId);
+            if (selectedIds.length === 1 && window.wp.blocks.isUnmodifiedDefaultBlock(lastBlock)) {
+                replaceBlocks(lastId, blocks); // Fill the empty paragraph the cursor is in
+            } else {
+                insert(blocks, blockEditor.getBlockIndex(lastId) + 1, blockEditor.getBlockRootClientId(lastId) || undefined);
+            }
+        } else {
+            insert(blocks);
+        }
+        return blocks;
+    }
+
+    seokarAi.content = {
+        POSITIONS: POSITIONS,
+        escapeHtml: escapeHtml,
+        markdownToHtml: markdownToHtml,
+        toHtml: toHtml,
+        toBlocks: toBlocks,
+        insertBlocks: insertBlocks
+    };
+})(window);
@@ -0,0 +1,518 @@
+/**
+ * SeoKar AI Editor Sidebar
+ *
+ * Registers the SeoKar AI sidebar in the block editor. Unlike the classic
+ * metabox script, everything here reads and writes the post through the
+ * `core/editor` data store instead of scraping the DOM.
+ * Needs seokar-ai-editor-content.js (window.seokarAi.content), seokar-ai-terms.js
+ * (window.seokarAi.terms), seokar-ai-history.js (window.seokarAi.history), seokar-ai-request.js
+ * (window.seokarAi.request), seokar-ai-actions.js (window.seokarAi.actions), seokar-ai-presets.js
+ * (window.seokarAi.presets) and seokar-ai-links.js (window.seokarAi.links) to be loaded first.
+ */
+(function (wp) {
+    'use strict';
+
+    if (typeof wp === 'undefined' || !wp.plugins || !wp.data || typeof seokarAiAdmin === 'undefined') {
+        // Not the block editor (or the script was not localized), do nothing.
+        return;
+    }
+
+    const { __ } = wp.i18n;
+    const { createElement: el, Fragment, useState, useEffect, useRef, RawHTML } = wp.element;
+    const { registerPlugin } = wp.plugins;
+    const { PanelBody, Button, Spinner, Notice, SelectControl, CheckboxControl } = wp.components;
+    const { useSelect, useDispatch } = wp.data;
+
+    // WordPress 6.6 moved the plugin slots from wp.editPost to wp.editor.
+    const slots = (wp.editor && wp.editor.PluginSidebar) ? wp.editor : wp.editPost;
+    if (!slots || !slots.PluginSidebar) {
+        return;
+    }
+    const { PluginSidebar, PluginSidebarMoreMenuItem, PluginDocumentSettingPanel } = slots;
+
+    const PLUGIN_NAME = 'seokar-ai';
+    const SIDEBAR_NAME = 'seokar-ai-sidebar';
+
+    /**
+     * The short SEO fields the `field` actions fill, by insert target. `metaKey` is the post meta a
+     * field is stored in; the others are post attributes.
+     */
+    const SEO_FIELDS = {
+        meta_description: { label: __('Meta description', 'seokar-ai'), metaKey: '_seokar_ai_meta_description' },
+        focus_keyword: { label: __('Focus keyphrase', 'seokar-ai'), metaKey: '_seokar_ai_focus_keyword' },
+        excerpt: { label: __('Excerpt', 'seokar-ai') },
+        slug: { label: __('URL slug', 'seokar-ai') }
+    };
+
+    /**
+     * The registered actions the sidebar offers. Selection rewrites need the classic editor's
+     * selection and stay in the metabox.
+     * @returns {Array<Object>}
+     */
+    function sidebarActions() {
+        return window.seokarAi.actions.list().filter(function (action) {
+            return action.placement !== 'selection';
+        });
+    }
+
+    // --- Helper Functions ---
+
+    // Shared with the metabox, so both use the same (refreshed) nonce.
+    const requestClient = window.seokarAi.request.getClient(seokarAiAdmin, 'metabox');
+    const presetStore = window.seokarAi.presets.getStore(seokarAiAdmin, 'metabox');
+
+    /**
+     * Sends a suggestion request to the same AJAX endpoint the metabox uses.
+     * @param {string} actionType The suggestion type.
+     * @param {string} title The current post title.
+     * @param {string} content The current post content.
+     * @param {Object} settings The generation settings and the focus keyphrase.
+     * @param {AbortSignal} signal Signal that cancels the request.
+     * @returns {Promise<string>} Resolves with the result HTML, rejects with an Error.
+     */
+    function requestSuggestion(actionType, title, content, settings, signal) {
+        const registry = window.seokarAi.actions;
+        const payload = registry.filterPayload(Object.assign({}, settings, {
+            action: 'seokar_ai_editor_suggestion',
+            post_id: seokarAiAdmin.post_id,
+            action_type: actionType,
+            current_title: title,
+            current_content: content
+        }), actionType);
+        return registry.prepare(payload, actionType, signal).then(function (prepared) {
+            return requestClient.post(prepared, { signal: signal });
+        }).then(function (data) {
+            const result = data && data.html ? registry.filterResult({ html: data.html, suggestions: data.suggestions }, actionType) : null;
+            if (result && result.html) {
+                return result.html;
+            }
+            throw new Error(seokarAiAdmin.i18n.error_generic);
+        });
+    }
+
+    /**
+     * Parses result HTML without running any of it, dropping the debug notes (<small>).
+     * @param {string} html The result HTML.
+     * @returns {HTMLElement} The parsed body.
+     */
+    function parseResult(html) {
+        const doc = new window.DOMParser().parseFromString(html, 'text/html');
+        doc.querySelectorAll('small').forEach(function (node) { node.remove(); });
+        return doc.body;
+    }
+
+    /**
+     * Extracts plain text from result HTML.
+     * @param {string} html The result HTML.
+     * @param {string} selector Optional selector; only the first match is used.
+     * @returns {string} The text.
+     */
+    function htmlToText(html, selector) {
+        const body = parseResult(html);
+        const node = selector ? body.querySelector(selector) : null;
+        return (node || body).textContent.trim();
+    }
+
+    /**
+     * Copies text to the clipboard.
+     * @param {string} text The text to copy.
+     * @returns {Promise<boolean>} True if successful.
+     */
+    function copyToClipboard(text) {
+        if (!window.navigator.clipboard) {
+            return Promise.resolve(false);
+        }
+        return window.navigator.clipboard.writeText(text).then(
+            function () { return true; },
+            function (err) {
+                console.error('SeoKar AI: Could not copy text to clipboard: ', err);
+                return false;
+            }
+        );
+    }
+
+    /**
+     * Term names in a tag/category suggestion: its list items, or its text split on commas.
+     * @param {string} html The result HTML.
+     * @returns {string[]}
+     */
+    function resultTerms(html) {
+        const items = Array.prototype.map.call(parseResult(html).querySelectorAll('li'), function (li) { return li.textContent; });
+        return window.seokarAi.terms.splitTerms(items.length ? items.join('\n') : htmlToText(html));
+    }
+
+    /**
+     * The text a result inserts into a registered insert target, in the target's format.
+     * @param {string} html The result HTML.
+     * @param {string} format 'html', 'first', 'list' or 'text'.
+     * @returns {string}
+     */
+    function resultInsertText(html, format) {
+        switch (format) {
+            case 'html':
+                return parseResult(html).innerHTML;
+            case 'first':
+                return htmlToText(html, 'li');
+            case 'list':
+                return resultTerms(html).join(', ');
+            default:
+                return htmlToText(html);
+        }
+    }
+
+    // --- Components ---
+
+    /**
+     * Button that shows short feedback ("Copied!") after it has been used.
+     */
+    function FeedbackButton(props) {
+        const [done, setDone] = useState(false);
+        return el(Button, {
+            variant: props.variant || 'secondary',
+            size: 'small',
+            disabled: done,
+            onClick: function () {
+                Promise.resolve(props.onClick()).then(function (ok) {
+                    if (ok === false) {
+                        return;
+                    }
+                    setDone(true);
+                    setTimeout(function () { setDone(false); }, 2000);
+                });
+            }
+        }, done ? seokarAiAdmin.i18n.copied : props.children);
+    }
+
+    /**
+     * Matches suggested categories against the existing ones and lets the user confirm which to tick.
+     */
+    function CategoryConfirmation(props) {
+        const [matches, setMatches] = useState(null);
+        const [selected, setSelected] = useState({});
+        const { createNotice } = useDispatch('core/notices');
+
+        useEffect(function () {
+            window.seokarAi.terms.matchCategories(props.names).then(function (result) {
+                const initial = {};
+                result.forEach(function (match) {
+                    if (match.category) {
+                        initial[match.category.id] = true;
+                    }
+                });
+                setSelected(initial);
+                setMatches(result);
+            }).catch(function (err) {
+                console.error('SeoKar AI: Failed to load categories.', err);
+                setMatches([]);
+            });
+        }, [props.names.join('\n')]);
+
+        if (!matches) {
+            return el(Spinner);
+        }
+
+        const seen = {};
+        return el('div', { className: 'seokar-ai-category-confirm' },
+            el('p', null, el('strong', null, __('Assign these categories?', 'seokar-ai'))),
+            matches.map(function (match) {
+                if (!match.category) {
+                    return el('p', { key: 'none-' + match.suggestion, className: 'is-unmatched' }, match.suggestion + ': ' + __('no matching category', 'seokar-ai'));
+                }
+                if (seen[match.category.id]) {
+                    return null;
+                }
+                seen[match.category.id] = true;
+                return el(CheckboxControl, {
+                    key: match.category.id,
+                    label: match.path.join(' \u203a '),
+                    help: match.matchType === 'fuzzy' ? __('similar to', 'seokar-ai') + ' "' + match.suggestion + '"' : undefined,
+                    checked: !!selected[match.category.id],
+                    onChange: function (checked) {
+                        const next = Object.assign({}, selected);
+                        next[match.category.id] = checked;
+                        setSelected(next);
+                    },
+                    __nextHasNoMarginBottom: true
+                });
+            }),
+            el(Button, {
+                variant: 'primary',
+                size: 'small',
+                disabled: !Object.keys(selected).some(function (id) { return selected[id]; }),
+                onClick: function () {
+                    window.seokarAi.terms.assignCategories(Object.keys(selected).filter(function (id) { return selected[id]; }).map(Number));
+                    createNotice('success', __('Categories assigned.', 'seokar-ai'), { type: 'snackbar' });
+                    props.onDone();
+                }
+            }, __('Assign Selected Categories', 'seokar-ai')),
+            ' ',
+            el(Button, { variant: 'tertiary', size: 'small', onClick: props.onDone }, __('Cancel', 'seokar-ai'))
+        );
+    }
+
+    /**
+     * Renders one suggestion result with its insert/copy buttons.
+     */
+    function SuggestionResult(props) {
+        const { action, html } = props;
+        const { editPost } = useDispatch('core/editor');
+        const { createNotice } = useDispatch('core/notices');
+        const [position, setPosition] = useState('selection');
+        const [confirmingCategories, setConfirmingCategories] = useState(false);
+        // Targets registered by other scripts insert through their own insert().
+        const customTarget = action.target && window.seokarAi.actions.getInsertTarget(action.target);
+
+        const buttons = [];
+
+        if (action.target === 'title') {
+            buttons.push(el(FeedbackButton, {
+                key: 'title',
+                variant: 'primary',
+                onClick: function () { editPost({ title: htmlToText(html, 'li') }); }
+            }, seokarAiAdmin.i18n.insert_into_editor + ' (' + __('Title', 'seokar-ai') + ')'));
+        } else if (action.target === 'content') {
+            buttons.push(el(FeedbackButton, {
+                key: 'content',
+                variant: 'primary',
+                onClick: function () { window.seokarAi.content.insertBlocks(parseResult(html).innerHTML, position); }
+            }, seokarAiAdmin.i18n.insert_into_editor + ' (' + __('Content', 'seokar-ai') + ')'));
+        } else if (action.target === 'tags') {
+            buttons.push(el(FeedbackButton, {
+                key: 'tags',
+                variant: 'primary',
+                onClick: function () {
+                    return window.seokarAi.terms.addTags(resultTerms(html)).then(function (result) {
+                        createNotice('success', __('Tags added:', 'seokar-ai') + ' ' + result.added.join(', '), { type: 'snackbar' });
+                    }, function (err) {
+                        createNotice('error', (err && err.message) || seokarAiAdmin.i18n.error_generic, { type: 'snackbar' });
+                        return false;
+                    });
+                }
+            }, __('Use as Tags', 'seokar-ai')));
+        } else if (action.target === 'categories') {
+            buttons.push(el(Button, {
+                key: 'categories',
+                variant: 'primary',
+                size: 'small',
+                onClick: function () { setConfirmingCategories(true); }
+            }, __('Assign Categories', 'seokar-ai')));
+        } else if (SEO_FIELDS[action.target]) {
+            // Excerpt, slug and the SEO meta fields take the first suggestion.
+            const field = SEO_FIELDS[action.target];
+            buttons.push(el(FeedbackButton, {
+                key: 'field',
+                variant: 'primary',
+                onClick: function () {
+                    const value = htmlToText(html, 'li');
+                    editPost(field.metaKey ? { meta: { [field.metaKey]: value } } : { [action.target]: value });
+                }
+            }, seokarAiAdmin.i18n.insert_into_editor + ' (' + field.label + ')'));
+        } else if (customTarget) {
+            buttons.push(el(FeedbackButton, {
+                key: 'custom',
+                variant: 'primary',
+                onClick: function () { return customTarget.insert(resultInsertText(html, customTarget.format), { position: position }); }
+            }, action.insertLabel || (seokarAiAdmin.i18n.insert_into_editor + ' (' + customTarget.label + ')')));
+        }
+
+        buttons.push(el(FeedbackButton, {
+            key: 'copy',
+            onClick: function () {
+                return copyToClipboard(htmlToText(html)).then(function (ok) {
+                    if (!ok) {
+                        createNotice('error', __('Failed to copy. Please try manually.', 'seokar-ai'), { type: 'snackbar' });
+                    }
+                    return ok;
+                });
+            }
+        }, seokarAiAdmin.i18n.copy_to_clipboard));
+
+        return el('div', { className: 'seokar-ai-sidebar-result' },
+            el(RawHTML, { className: 'seokar-ai-sidebar-result-body' }, html),
+            (action.target === 'content' || (customTarget && customTarget.format === 'html')) && el(SelectControl, {
+                label: __('Insert', 'seokar-ai'),
+                value: position,
+                options: [
+                    { value: 'selection', label: __('At the selection', 'seokar-ai') },
+                    { value: 'replace', label: __('Replace the selected blocks', 'seokar-ai') },
+                    { value: 'append', label: __('At the end', 'seokar-ai') }
+                ],
+                onChange: setPosition,
+                __nextHasNoMarginBottom: true
+            }),
+            el('div', { className: 'seokar-ai-result-actions' }, buttons),
+            confirmingCategories && el(CategoryConfirmation, {
+                names: resultTerms(html),
+                onDone: function () { setConfirmingCategories(false); }
+            })
+        );
+    }
+
+    /**
+     * The sidebar body: the preset picker, one button per action plus the result area.
+     */
+    function SeoKarAiPanel() {
+        const { title, content, focusKeyword } = useSelect(function (select) {
+            const editor = select('core/editor');
+            return {
+                title: editor.getEditedPostAttribute('title') || '',
+                content: editor.getEditedPostContent() || '',
+                focusKeyword: (editor.getEditedPostAttribute('meta') || {})._seokar_ai_focus_keyword || ''
+            };
+        }, []);
+
+        const [busyAction, setBusyAction] = useState(null);
+        const [result, setResult] = useState(null); // { action, html } or { action, error }
+        const [actions, setActions] = useState(sidebarActions);
+        const [presets, setPresets] = useState(presetStore.list);
+        const [presetId, setPresetId] = useState(function () {
+            const preset = presetStore.getDefault(); // The editor starts with the default preset
+            return preset ? preset.id : '';
+        });
+        const controllerRef = useRef(null);
+
+        // Presets saved or deleted in the metabox
+        useEffect(function () {
+            return presetStore.subscribe(function () {
+                setPresets(presetStore.list());
+            });
+        }, []);
+
+        // Pick up actions registered after the sidebar was rendered.
+        useEffect(function () {
+            if (!wp.hooks) {
+                return;
+            }
+            wp.hooks.addAction('seokarAi.registryChanged', 'seokar-ai/sidebar', function (kind) {
+                if (kind === 'action') {
+                    setActions(sidebarActions());
+                }
+            });
+            return function () {
+                wp.hooks.removeAction('seokarAi.registryChanged', 'seokar-ai/sidebar');
+            };
+        }, []);
+
+        function runAction(action) {
+            const confirmMessage = window.seokarAi.actions.getConfirmMessage(action);
+            if (confirmMessage && !window.confirm(confirmMessage)) {
+                return;
+            }
+            if (action.requires === 'title' && !title) {
+                setResult({ action: action, error: __('Please enter a title first for this action.', 'seokar-ai') });
+                return;
+            }
+            if (action.requires === 'content' && !content) {
+                setResult({ action: action, error: __('Please write some content first.', 'seokar-ai') });
+                return;
+            }
+            if (action.requires === 'title_or_content' && !title && !content) {
+                setResult({ action: action, error: __('Please write a title or some content first.', 'seokar-ai') });
+                return;
+            }
+
+            const preset = presetStore.get(presetId);
+            const settings = Object.assign(window.seokarAi.presets.normalize(preset && preset.settings), { focus_keyword: focusKeyword });
+
+            setBusyAction(action.type);
+            setResult(null);
+            controllerRef.current = new AbortController();
+            requestSuggestion(action.type, title, content, settings, controllerRef.current.signal)
+                .then(function (html) {
+                    // Same per-post history as the metabox, so the result can be reopened there later.
+                    window.seokarAi.history.add(seokarAiAdmin.post_id, {
+                        actionType: action.type,
+                        inputs: Object.assign({ current_title: title, current_content: content }, settings),
+                        result: { html: html }
+                    });
+                    setResult({ action: action, html: html });
+                })
+                .catch(function (err) {
+                    if (window.seokarAi.request.isAbort(err)) {
+                        return;
+                    }
+                    console.error('SeoKar AI AJAX Call Failed:', err);
+                    setResult({ action: action, error: err.message || seokarAiAdmin.i18n.error_generic });
+                })
+                .then(function () {
+                    controllerRef.current = null;
+                    setBusyAction(null);
+                });
+        }
+
+        return el(Fragment, null,
+            el(PanelBody, { title: __('AI Suggestions', 'seokar-ai'), initialOpen: true },
+                presets.length > 0 && el(SelectControl, {
+                    label: __('Preset', 'seokar-ai'),
+                    help: __('Tone, length, audience, language and variants. Presets are saved in the SeoKar AI box below the editor.', 'seokar-ai'),
+                    value: presetStore.get(presetId) ? presetId : '',
+                    options: [{ value: '', label: __('No preset', 'seokar-ai') }].concat(presets.map(function (preset) {
+                        return { value: preset.id, label: preset.name };
+                    })),
+                    onChange: setPresetId
+                }),
+                actions.map(function (action) {
+                    return el(Button, {
+                        key: action.type,
+                        className: 'seokar-ai-sidebar-action',
+                        variant: 'secondary',
+                        disabled: !!busyAction,
+                        isBusy: busyAction === action.type,
+                        onClick: function () { runAction(action); }
+                    }, action.label);
+                }),
+                busyAction && el('p', { className: 'seokar-ai-sidebar-processing' },
+                    el(Spinner),
+                    seokarAiAdmin.i18n.processing,
+                    el(Button, {
+                        variant: 'link',
+                        onClick: function () { controllerRef.current && controllerRef.current.abort(); }
+                    }, __('Cancel', 'seokar-ai'))
+                )
+            ),
+            result && el(PanelBody, { title: result.action.label, initialOpen: true },
+                result.error
+                    ? el(Notice, { status: 'error', isDismissible: false }, result.error)
+                    : el(SuggestionResult, { action: result.action, html: result.html })
+            )
+        );
+    }
+
+    /**
+     * Short entry point in the Post settings tab that opens the full sidebar.
+     */
+    function SeoKarAiDocumentPanel() {
+        const { openGeneralSidebar } = useDispatch('core/edit-post');
+        return el(PluginDocumentSettingPanel, { name: 'seokar-ai-document-panel', title: __('SeoKar AI', 'seokar-ai') },
+            el(Button, {
+                variant: 'secondary',
+                onClick: function () { openGeneralSidebar(PLUGIN_NAME + '/' + SIDEBAR_NAME); }
+            }, __('Open AI Suggestions', 'seokar-ai'))
+        );
+    }
+
+    // A new post gets its ID on the first save: refresh the nonce and keep the history with the post.
+    // The metabox script does the same when it is on the page; whichever runs first updates seokarAiAdmin.
+    wp.data.subscribe(function () {
+        const postId = wp.data.select('core/editor').getCurrentPostId();
+        if (postId && String(postId) !== String(seokarAiAdmin.post_id)) {
+            window.seokarAi.history.move(seokarAiAdmin.post_id, postId);
+            requestClient.setPostId(postId).catch(function (err) {
+                console.error('SeoKar AI: Could not refresh the nonce.', err);
+            });
+        }
+    });
+
+    registerPlugin(PLUGIN_NAME, {
+        icon: 'lightbulb',
+        render: function () {
+            return el(Fragment, null,
+                el(PluginSidebarMoreMenuItem, { target: SIDEBAR_NAME, icon: 'lightbulb' }, __('SeoKar AI', 'seokar-ai')),
+                el(PluginSidebar, { name: SIDEBAR_NAME, title: __('SeoKar AI', 'seokar-ai'), icon: 'lightbulb' },
+                    el('div', { className: 'seokar-ai-sidebar' }, el(SeoKarAiPanel))
+                ),
+                PluginDocumentSettingPanel && el(SeoKarAiDocumentPanel)
+            );
+        }
+    });
+})(window.wp);
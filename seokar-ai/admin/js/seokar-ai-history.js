@@ -0,0 +1,162 @@
+/**
+ * SeoKar AI Suggestion History
+ *
+ * Keeps every suggestion request and its result per post in localStorage, so earlier
+ * generations survive new requests and page reloads. Exposed as `window.seokarAi.history`.
+ */
+(function (window) {
+    'use strict';
+
+    const seokarAi = window.seokarAi = window.seokarAi || {};
+
+    const STORAGE_PREFIX = 'seokar_ai_history_';
+
+    // Entries kept per post; the oldest are dropped first.
+    const MAX_ENTRIES = 30;
+
+    // Long inputs (the post content) are cut to this many characters before they are stored.
+    const MAX_INPUT_LENGTH = 1000;
+
+    /**
+     * localStorage key of a post's history.
+     * @param {number|string} postId The post ID.
+     * @returns {string}
+     */
+    function storageKey(postId) {
+        return STORAGE_PREFIX + (parseInt(postId, 10) || 0);
+    }
+
+    /**
+     * Reads a post's entries, newest first. Returns an empty list when storage is unavailable.
+     * @param {number|string} postId The post ID.
+     * @returns {Array<Object>}
+     */
+    function list(postId) {
+        try {
+            const entries = JSON.parse(window.localStorage.getItem(storageKey(postId)));
+            return Array.isArray(entries) ? entries : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Stores a post's entries, dropping the oldest ones while the storage quota is exceeded.
+     * @param {number|string} postId The post ID.
+     * @param {Array<Object>} entries The entries, newest first.
+     * @returns {boolean} Whether anything could be stored.
+     */
+    function write(postId, entries) {
+        entries = entries.slice(0, MAX_ENTRIES);
+        try {
+            if (!entries.length) {
+                window.localStorage.removeItem(storageKey(postId));
+                return true;
+            }
+            for (;;) {
+                try {
+                    window.localStorage.setItem(storageKey(postId), JSON.stringify(entries));
+                    return true;
+                } catch (e) {
+                    if (entries.length === 1) {
+                        throw e; // Not even the newest entry fits
+                    }
+                    entries.pop();
+                }
+            }
+        } catch (e) {
+            console.warn('SeoKar AI: Could not save the suggestion history.', e);
+        }
+        return false;
+    }
+
+    /**
+     * Cuts long string inputs so a history entry stays small.
+     * @param {Object} inputs The request inputs.
+     * @returns {Object}
+     */
+    function trimInputs(inputs) {
+        const trimmed = {};
+        Object.keys(inputs || {}).forEach(function (key) {
+            const value = inputs[key];
+            trimmed[key] = typeof value === 'string' && value.length > MAX_INPUT_LENGTH
+                ? value.slice(0, MAX_INPUT_LENGTH) + '\u2026'
+                : value;
+        });
+        return trimmed;
+    }
+
+    /**
+     * Adds an entry to a post's history.
+     * @param {number|string} postId The post ID.
+     * @param {Object} entry { actionType, inputs, result: { html, suggestions }, partial }.
+     * @returns {Object} The stored entry, with its `id` and `time` (ms since epoch).
+     */
+    function add(postId, entry) {
+        const stored = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            time: Date.now(),
+            actionType: entry.actionType,
+            inputs: trimInputs(entry.inputs),
+            result: entry.result,
+            partial: !!entry.partial
+        };
+        write(postId, [stored].concat(list(postId)));
+        return stored;
+    }
+
+    /**
+     * Finds an entry by ID.
+     * @param {number|string} postId The post ID.
+     * @param {string} id The entry ID.
+     * @returns {Object|undefined}
+     */
+    function get(postId, id) {
+        return list(postId).find(function (entry) { return entry.id === id; });
+    }
+
+    /**
+     * Removes an entry.
+     * @param {number|string} postId The post ID.
+     * @param {string} id The entry ID.
+     */
+    function remove(postId, id) {
+        write(postId, list(postId).filter(function (entry) { return entry.id !== id; }));
+    }
+
+    /**
+     * Removes a post's whole history.
+     * @param {number|string} postId The post ID.
+     */
+    function clear(postId) {
+        try {
+            window.localStorage.removeItem(storageKey(postId));
+        } catch (e) { /* Storage unavailable, nothing to clear */ }
+    }
+
+    /**
+     * Moves a post's entries to another post ID, for a new post that got its ID on the first save.
+     * @param {number|string} fromId The old post ID.
+     * @param {number|string} toId The new post ID.
+     */
+    function move(fromId, toId) {
+        const entries = list(fromId);
+        if (!entries.length || storageKey(fromId) === storageKey(toId)) {
+            return;
+        }
+        const merged = entries.concat(list(toId)).sort(function (a, b) { return b.time - a.time; });
+        if (write(toId, merged)) {
+            clear(fromId);
+        }
+    }
+
+    seokarAi.history = {
+        MAX_ENTRIES: MAX_ENTRIES,
+        list: list,
+        add: add,
+        get: get,
+        remove: remove,
+        clear: clear,
+        move: move
+    };
+})(window);
@@ -0,0 +1,383 @@
+/**
+ * SeoKar AI Images
+ *
+ * The browser side of "Image Alt Text": lists the images of the post (core/image blocks, or the
+ * <img> tags of the classic editor) with what is wrong with their alt text, gathers what the
+ * server writes the suggestion from (the file name and the text around the image), and puts an
+ * accepted alt text and caption back on the image. Captions follow the markup the image sits in:
+ * the [caption] shortcode of the classic editor, or the <figcaption> of a figure.
+ * Exposed as `window.seokarAi.images`.
+ * Needs wp-i18n and seokar-ai-editor-content.js (window.seokarAi.content) to be loaded first.
+ */
+(function (window) {
+    'use strict';
+
+    const seokarAi = window.seokarAi = window.seokarAi || {};
+    const { __ } = window.wp.i18n;
+
+    // What can be wrong with an alt text, by issue key.
+    const ISSUES = {
+        missing: __('No alt text', 'seokar-ai'),
+        filename: __('Alt text is the file name', 'seokar-ai'),
+        generic: __('Alt text is too generic', 'seokar-ai'),
+        title: __('Alt text repeats the post title', 'seokar-ai'),
+        short: __('Alt text is very short', 'seokar-ai')
+    };
+
+    // Alt texts that say nothing about the image ("image", "photo", and the Persian words for them).
+    const GENERIC_ALTS = ['image', 'img', 'photo', 'picture', 'pic', 'graphic', 'icon', 'logo', 'banner', 'thumbnail',
+        'screenshot', 'figure', 'featured image', '\u062a\u0635\u0648\u06cc\u0631', '\u0639\u06a9\u0633'];
+
+    // Alt texts shorter than this (in characters) describe too little.
+    const MIN_ALT_LENGTH = 5;
+
+    // Characters of text taken from each side of an image.
+    const CONTEXT_LENGTH = 300;
+
+    // --- Issues ---
+
+    /**
+     * The file name of an image URL, without the query string.
+     * @param {string} src The image URL.
+     * @returns {string} e.g. "red-bicycle-1024x768.jpg".
+     */
+    function getFilename(src) {
+        const name = String(src || '').split(/[?#]/)[0].split('/').pop();
+        try {
+            return decodeURIComponent(name);
+        } catch (e) {
+            return name;
+        }
+    }
+
+    /**
+     * Lowercases text and drops what makes names differ without meaning: the extension, the size
+     * suffix WordPress adds ("-1024x768", "-scaled"), separators and punctuation.
+     * @param {string} text The text.
+     * @returns {string}
+     */
+    function normalizeName(text) {
+        return String(text).toLowerCase()
+            .replace(/\.(jpe?g|png|gif|webp|avif|svg|bmp|tiff?)$/, '')
+            .replace(/-(\d+x\d+|scaled)$/, '')
+            .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * What is wrong with the alt text of an image.
+     * @param {string} alt The alt text.
+     * @param {string} src The image URL.
+     * @param {string} title Optional post title; an alt text that only repeats it is weak.
+     * @returns {string} A key of ISSUES, or '' when the alt text is fine.
+     */
+    function getAltIssue(alt, src, title) {
+        alt = String(alt || '').trim();
+        if (!alt) {
+            return 'missing';
+        }
+        const normalized = normalizeName(alt);
+        if (normalized === normalizeName(getFilename(src)) || /\.(jpe?g|png|gif|webp|avif|svg)$/i.test(alt) ||
+            /^(img|image|dsc|dscn|dcim|pxl|photo|pic|screenshot|screen shot|capture|untitled|whatsapp image)[\s_-]*[\d\s_.:-]*$/i.test(alt)) {
+            return 'filename';
+        }
+        if (GENERIC_ALTS.indexOf(normalized) !== -1) {
+            return 'generic';
+        }
+        if (title && normalized === normalizeName(title)) {
+            return 'title';
+        }
+        return Array.from(alt).length < MIN_ALT_LENGTH ? 'short' : '';
+    }
+
+    // --- Markup ---
+
+    /**
+     * Plain text of a piece of markup: no tags, comments or shortcodes, entities decoded.
+     * @param {string} markup The markup.
+     * @returns {string}
+     */
+    function toText(markup) {
+        const html = String(markup)
+            .replace(/<!--[\s\S]*?-->/g, ' ')
+            .replace(/\[\/?[a-z_]+[^\]]*\]/gi, ' ')
+            .replace(/<[^>]*>?/g, ' ');
+        const text = new window.DOMParser().parseFromString('<body>' + html + '</body>', 'text/html').body.textContent;
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * The text on both sides of an image, with "[image]" where it stands.
+     * @param {string} before Markup (or text) before the image.
+     * @param {string} after Markup (or text) after the image.
+     * @returns {string}
+     */
+    function textAround(before, after) {
+        before = toText(before).slice(-CONTEXT_LENGTH);
+        after = toText(after).slice(0, CONTEXT_LENGTH);
+        return before || after ? (before + ' [image] ' + after).trim() : '';
+    }
+
+    /**
+     * Reads an <img> tag as an element, so attributes come out decoded.
+     * @param {string} tag The tag.
+     * @returns {Element}
+     */
+    function parseTag(tag) {
+        return new window.DOMParser().parseFromString(tag, 'text/html').body.querySelector('img');
+    }
+
+    /**
+     * The <img> tags of markup in order, with where they are and what they hold.
+     * @param {string} markup The HTML.
+     * @returns {Array<Object>} Tags of { tag, start, end, src, alt, width, className, attachmentId,
+     *     occurrence }, where `occurrence` counts the earlier tags with the same src (to find the
+     *     tag again after edits).
+     */
+    function scanTags(markup) {
+        const pattern = /<img\b[^>]*>/gi;
+        const seen = {};
+        const tags = [];
+        let match;
+        while ((match = pattern.exec(markup)) !== null) {
+            const img = parseTag(match[0]);
+            if (!img || !img.getAttribute('src')) {
+                continue;
+            }
+            const src = img.getAttribute('src');
+            const id = /(?:^|\s)wp-image-(\d+)(?:\s|$)/.exec(img.getAttribute('class') || '');
+            seen[src] = (seen[src] || 0) + 1;
+            tags.push({
+                tag: match[0],
+                start: match.index,
+                end: match.index + match[0].length,
+                src: src,
+                alt: img.getAttribute('alt') || '',
+                width: img.getAttribute('width') || '',
+                className: img.getAttribute('class') || '',
+                attachmentId: id ? parseInt(id[1], 10) : 0,
+                occurrence: seen[src] - 1
+            });
+        }
+        return tags;
+    }
+
+    /**
+     * Where the caption of a tag lives: in a [caption] shortcode around it, in the <figure> it
+     * sits in, or nowhere.
+     * @param {string} markup The HTML.
+     * @param {Object} tag A tag from scanTags().
+     * @returns {Object} { type: 'shortcode'|'figure'|'', start, end, text }, where start and end
+     *     are the bounds of the caption markup (for a figure without a caption, both are the
+     *     position of </figure>).
+     */
+    function findCaption(markup, tag) {
+        // After the image, and after the link around it.
+        const linkEnd = /^\s*<\/a>/i.exec(markup.slice(tag.end));
+        const after = tag.end + (linkEnd ? linkEnd[0].length : 0);
+
+        const open = markup.lastIndexOf('[caption', tag.start);
+        const close = markup.indexOf('[/caption]', after);
+        if (open !== -1 && close !== -1 && markup.lastIndexOf('[/caption]', tag.start) < open) {
+            const next = markup.indexOf('[caption', after);
+            if (next === -1 || next > close) {
+                return { type: 'shortcode', start: after, end: close, text: toText(markup.slice(after, close)) };
+            }
+        }
+
+        const figure = markup.lastIndexOf('<figure', tag.start);
+        const figureEnd = markup.indexOf('</figure>', after);
+        if (figure !== -1 && figureEnd !== -1 && markup.lastIndexOf('</figure>', tag.start) < figure) {
+            const inside = markup.slice(after, figureEnd);
+            const caption = /<figcaption\b[^>]*>([\s\S]*?)<\/figcaption>/i.exec(inside);
+            if (caption) {
+                const start = after + caption.index + caption[0].indexOf('>') + 1;
+                return { type: 'figure', start: start, end: start + caption[1].length, text: toText(caption[1]) };
+            }
+            return { type: 'figure', start: figureEnd, end: figureEnd, text: '' };
+        }
+        return { type: '', start: -1, end: -1, text: '' };
+    }
+
+    /**
+     * The images of editor markup (the classic editor, or any HTML).
+     * @param {string} markup The HTML.
+     * @param {Object} options Optional: { title } (the post title, see getAltIssue()).
+     * @returns {Array<Object>} Images of { key, src, filename, alt, caption, attachmentId, context,
+     *     issue, occurrence }.
+     */
+    function findInHtml(markup, options) {
+        options = options || {};
+        markup = String(markup || '');
+        return scanTags(markup).map(function (tag) {
+            return {
+                key: 'html:' + tag.src + '#' + tag.occurrence,
+                src: tag.src,
+                filename: getFilename(tag.src),
+                alt: tag.alt,
+                caption: findCaption(markup, tag).text,
+                attachmentId: tag.attachmentId,
+                context: textAround(markup.slice(Math.max(0, tag.start - CONTEXT_LENGTH * 4), tag.start), markup.slice(tag.end, tag.end + CONTEXT_LENGTH * 4)),
+                issue: getAltIssue(tag.alt, tag.src, options.title),
+                occurrence: tag.occurrence
+            };
+        });
+    }
+
+    /**
+     * Sets (or adds) an attribute of a tag.
+     * @param {string} tag The tag.
+     * @param {string} name The attribute name.
+     * @param {string} value The value.
+     * @returns {string} The new tag.
+     */
+    function setAttribute(tag, name, value) {
+        const attribute = name + '="' + seokarAi.content.escapeHtml(value) + '"';
+        const existing = new RegExp('(\\s)' + name + '\\s*=\\s*("[^"]*"|\'[^\']*\'|[^\\s>]+)', 'i');
+        if (existing.test(tag)) {
+            return tag.replace(existing, function (match, space) { return space + attribute; });
+        }
+        return tag.replace(/^<img\b/i, '<img ' + attribute);
+    }
+
+    /**
+     * Escapes a caption for markup, and for the [caption] shortcode it may end up in.
+     * @param {string} caption The caption.
+     * @returns {string}
+     */
+    function escapeCaption(caption) {
+        return seokarAi.content.escapeHtml(caption).replace(/\[/g, '&#91;').replace(/\]/g, '&#93;');
+    }
+
+    /**
+     * Puts an alt text (and a caption) on an image of editor markup. A caption replaces the one in
+     * the [caption] shortcode or <figcaption> of the image; an image without either is wrapped in
+     * a [caption] shortcode, as the classic editor does.
+     * @param {string} markup The HTML.
+     * @param {Object} image An image from findInHtml().
+     * @param {Object} values { alt, caption }; an empty caption leaves the caption as it is.
+     * @returns {string|null} The new markup, or null when the image is no longer there.
+     */
+    function applyToHtml(markup, image, values) {
+        markup = String(markup || '');
+        const tag = scanTags(markup).find(function (item) {
+            return item.src === image.src && item.occurrence === image.occurrence;
+        });
+        if (!tag) {
+            return null;
+        }
+        const newTag = setAttribute(tag.tag, 'alt', values.alt);
+        const caption = String(values.caption || '').trim();
+        const withTag = function (from, to) {
+            return markup.slice(from, tag.start) + newTag + markup.slice(tag.end, to);
+        };
+        if (!caption) {
+            return withTag(0, markup.length);
+        }
+
+        const place = findCaption(markup, tag);
+        if (place.type === 'shortcode') {
+            return withTag(0, place.start) + ' ' + escapeCaption(caption) + markup.slice(place.end);
+        }
+        if (place.type === 'figure' && place.start === place.end) {
+            return withTag(0, place.start) + '<figcaption class="wp-element-caption">' + escapeCaption(caption) + '</figcaption>' + markup.slice(place.end);
+        }
+        if (place.type === 'figure') {
+            return withTag(0, place.start) + escapeCaption(caption) + markup.slice(place.end);
+        }
+
+        // No caption yet: wrap the image (and the link around it) in a shortcode.
+        const linkStart = /<a\b[^>]*>\s*$/i.exec(markup.slice(0, tag.start));
+        const linkEnd = /^\s*<\/a>/i.exec(markup.slice(tag.end));
+        const start = linkStart && linkEnd ? linkStart.index : tag.start;
+        const end = linkStart && linkEnd ? tag.end + linkEnd[0].length : tag.end;
+        const align = /(?:^|\s)(align(?:none|left|right|center))(?:\s|$)/.exec(tag.className);
+        let shortcode = '[caption';
+        if (tag.attachmentId) {
+            shortcode += ' id="attachment_' + tag.attachmentId + '"';
+        }
+        shortcode += ' align="' + (align ? align[1] : 'alignnone') + '"';
+        if (/^\d+$/.test(tag.width)) {
+            shortcode += ' width="' + tag.width + '"';
+        }
+        shortcode += ']';
+        return markup.slice(0, start) + shortcode + withTag(start, end) + ' ' + escapeCaption(caption) + '[/caption]' + markup.slice(end);
+    }
+
+    // --- Blocks ---
+
+    /**
+     * Plain text of a block, for the context of the image next to it.
+     * @param {Object} block The block.
+     * @returns {string}
+     */
+    function blockText(block) {
+        const value = block.attributes.content !== undefined ? block.attributes.content : block.attributes.values;
+        return value !== undefined && value !== null ? toText(String(value)) : '';
+    }
+
+    /**
+     * The core/image blocks of the block editor, nested ones included, with the text of the
+     * blocks before and after each as its context (those of the parent for the first and last
+     * block of a group).
+     * @param {Object} options Optional: { title } (the post title, see getAltIssue()).
+     * @returns {Array<Object>} Images of { key, clientId, src, filename, alt, caption, attachmentId,
+     *     context, issue }.
+     */
+    function findInBlocks(options) {
+        options = options || {};
+        const images = [];
+        (function walk(blocks, before, after) {
+            blocks.forEach(function (block, index) {
+                const previous = index > 0 ? blockText(blocks[index - 1]) : before;
+                const next = index < blocks.length - 1 ? blockText(blocks[index + 1]) : after;
+                if (block.name === 'core/image' && block.attributes.url) {
+                    const alt = block.attributes.alt || '';
+                    images.push({
+                        key: 'block:' + block.clientId,
+                        clientId: block.clientId,
+                        src: block.attributes.url,
+                        filename: getFilename(block.attributes.url),
+                        alt: alt,
+                        // Newer versions keep rich text as RichTextData, which turns into its HTML as a string.
+                        caption: block.attributes.caption ? toText(String(block.attributes.caption)) : '',
+                        attachmentId: block.attributes.id || 0,
+                        context: textAround(previous, next),
+                        issue: getAltIssue(alt, block.attributes.url, options.title)
+                    });
+                }
+                walk(block.innerBlocks || [], previous, next);
+            });
+        })(window.wp.data.select('core/block-editor').getBlocks(), '', '');
+        return images;
+    }
+
+    /**
+     * Puts an alt text (and a caption) on a core/image block.
+     * @param {Object} image An image from findInBlocks().
+     * @param {Object} values { alt, caption }; an empty caption leaves the caption as it is.
+     * @returns {boolean} Whether the block is still there.
+     */
+    function applyToBlock(image, values) {
+        const { select, dispatch } = window.wp.data;
+        if (!select('core/block-editor').getBlock(image.clientId)) {
+            return false;
+        }
+        const attributes = { alt: values.alt };
+        if (String(values.caption || '').trim()) {
+            attributes.caption = seokarAi.content.escapeHtml(String(values.caption).trim());
+        }
+        dispatch('core/block-editor').updateBlockAttributes(image.clientId, attributes);
+        return true;
+    }
+
+    seokarAi.images = {
+        ISSUES: ISSUES,
+        getFilename: getFilename,
+        getAltIssue: getAltIssue,
+        findInHtml: findInHtml,
+        applyToHtml: applyToHtml,
+        findInBlocks: findInBlocks,
+        applyToBlock: applyToBlock
+    };
+})(window);
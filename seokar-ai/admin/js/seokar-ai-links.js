@@ -0,0 +1,284 @@
+/**
+ * SeoKar AI Links
+ *
+ * The browser side of "Suggest Internal Links": finds phrases of the post worth linking, looks
+ * them up among the site's posts and terms with the REST search endpoint (/wp/v2/search), and
+ * wraps an accepted phrase in a link where it stands. The server only ranks the pairs it is sent
+ * (see SeoKar_AI_API_Handler::sanitize_link_candidates()). Exposed as `window.seokarAi.links`.
+ * Needs wp-i18n, wp-api-fetch, seokar-ai-editor-content.js (window.seokarAi.content) and
+ * seokar-ai-analyzer.js (window.seokarAi.analyzer) to be loaded first.
+ */
+(function (window) {
+    'use strict';
+
+    const seokarAi = window.seokarAi = window.seokarAi || {};
+    const { __ } = window.wp.i18n;
+
+    // Phrases looked up per request, and pages kept per phrase.
+    const MAX_CANDIDATES = 10;
+    const TARGETS_PER_PHRASE = 3;
+    // Words per phrase; single words only count when they are long.
+    const MAX_PHRASE_WORDS = 4;
+    const MIN_SINGLE_WORD_LENGTH = 6;
+    // Phrases do not start or end with words this short ("the", "of", "and").
+    const MIN_EDGE_WORD_LENGTH = 3;
+
+    // Text that cannot take a link: existing links, headings and code.
+    const SKIP_TAGS = ['a', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'code', 'pre', 'script', 'style', 'textarea', 'button'];
+    const SKIP_BLOCKS = ['core/heading', 'core/code', 'core/preformatted', 'core/html', 'core/shortcode', 'core/button'];
+
+    const LETTER = '\\p{L}\\p{M}\\p{N}';
+
+    // --- Candidates ---
+
+    /**
+     * Characters of a word, counting a Persian letter as one.
+     * @param {string} word The word.
+     * @returns {number}
+     */
+    function wordLength(word) {
+        return Array.from(word).length;
+    }
+
+    /**
+     * The text of post HTML that can take a link, in runs of words separated by whitespace only:
+     * punctuation, digits joined to words and the like end a run, so a phrase never crosses them.
+     * @param {string} html The post HTML (or Markdown).
+     * @returns {string[]}
+     */
+    function getLinkableRuns(html) {
+        const body = new window.DOMParser().parseFromString(seokarAi.content.toHtml(html), 'text/html').body;
+        body.querySelectorAll(SKIP_TAGS.join(',')).forEach(function (node) { node.remove(); });
+        const runs = [];
+        body.querySelectorAll('p, li, td, th, blockquote, figcaption, dd, dt').forEach(function (node) {
+            if (!node.querySelector('p, li')) {
+                runs.push.apply(runs, node.textContent.split(new RegExp('[^' + LETTER + '\\u200c\\s]+', 'u')));
+            }
+        });
+        return runs.filter(function (run) { return run.trim(); });
+    }
+
+    /**
+     * Phrases of the post worth linking, best first: phrases of up to 4 words that start and end
+     * with a real word and are used more than once (a topic of the post, unlike a chance run of
+     * words), and the focus keyphrase. Longer and more frequent phrases rank higher, the focus
+     * keyphrase highest; a phrase inside a better one is dropped.
+     * @param {string} html The post HTML.
+     * @param {Object} options Optional: { focusKeyword, max }.
+     * @returns {string[]} The phrases as they are written in the post.
+     */
+    function findCandidates(html, options) {
+        options = options || {};
+        const found = new Map(); // Normalized phrase -> { phrase, count, words }
+        const analyzer = seokarAi.analyzer;
+
+        getLinkableRuns(html).forEach(function (run) {
+            const words = run.trim().split(/\s+/);
+            for (let start = 0; start < words.length; start++) {
+                if (wordLength(words[start]) < MIN_EDGE_WORD_LENGTH || /^\d+$/.test(words[start])) {
+                    continue;
+                }
+                for (let size = 1; size <= MAX_PHRASE_WORDS && start + size <= words.length; size++) {
+                    const last = words[start + size - 1];
+                    if (wordLength(last) < MIN_EDGE_WORD_LENGTH || /^\d+$/.test(last)) {
+                        continue;
+                    }
+                    const phrase = words.slice(start, start + size).join(' ');
+                    const key = analyzer.normalize(phrase);
+                    const entry = found.get(key) || { phrase: phrase, count: 0, words: size };
+                    entry.count++;
+                    found.set(key, entry);
+                }
+            }
+        });
+
+        const focusKey = options.focusKeyword ? analyzer.normalize(options.focusKeyword.trim()) : '';
+        const ranked = Array.from(found.entries()).filter(function (item) {
+            const entry = item[1];
+            if (item[0] === focusKey) {
+                return true;
+            }
+            return entry.count > 1 && (entry.words > 1 || wordLength(entry.phrase) >= MIN_SINGLE_WORD_LENGTH);
+        }).map(function (item) {
+            const entry = item[1];
+            const score = item[0] === focusKey ? Infinity : entry.count * entry.words;
+            return { key: item[0], phrase: entry.phrase, score: score };
+        }).sort(function (a, b) {
+            return b.score - a.score;
+        });
+
+        const chosen = [];
+        ranked.forEach(function (item) {
+            const overlaps = chosen.some(function (other) {
+                return (' ' + other.key + ' ').indexOf(' ' + item.key + ' ') !== -1 || (' ' + item.key + ' ').indexOf(' ' + other.key + ' ') !== -1;
+            });
+            if (!overlaps && chosen.length < (options.max || MAX_CANDIDATES)) {
+                chosen.push(item);
+            }
+        });
+        return chosen.map(function (item) { return item.phrase; });
+    }
+
+    // --- Search ---
+
+    /**
+     * Decodes the HTML entities of a REST title.
+     * @param {string} text The title.
+     * @returns {string}
+     */
+    function decodeTitle(text) {
+        return new window.DOMParser().parseFromString(String(text), 'text/html').body.textContent;
+    }
+
+    /**
+     * Looks phrases up among the site's posts and terms with the REST search endpoint.
+     * @param {string[]} phrases The phrases.
+     * @param {Object} options Optional: { excludeId (the post being edited), excludeUrls (already
+     *     linked from the post), signal }.
+     * @returns {Promise<Array<Object>>} The phrases that matched: { phrase, targets: [{ id, type, title, url }] }.
+     */
+    function search(phrases, options) {
+        options = options || {};
+        if (!window.wp.apiFetch) {
+            return Promise.reject(new Error(__('The site search is not available in this editor.', 'seokar-ai')));
+        }
+        const excludeUrls = (options.excludeUrls || []).map(function (url) { return url.replace(/\/$/, ''); });
+
+        const lookUp = function (phrase, type) {
+            const query = new URLSearchParams({ search: phrase, type: type, per_page: TARGETS_PER_PHRASE, _fields: 'id,title,url,type' });
+            return window.wp.apiFetch({ path: '/wp/v2/search?' + query.toString(), signal: options.signal });
+        };
+
+        return Promise.all(phrases.map(function (phrase) {
+            return Promise.all([lookUp(phrase, 'post'), lookUp(phrase, 'term')]).then(function (results) {
+                const targets = results[0].concat(results[1]).filter(function (item) {
+                    const isSelf = item.type === 'post' && String(item.id) === String(options.excludeId);
+                    return item.url && !isSelf && excludeUrls.indexOf(item.url.replace(/\/$/, '')) === -1;
+                }).map(function (item) {
+                    return { id: item.id, type: item.type === 'term' ? 'term' : 'post', title: decodeTitle(item.title), url: item.url };
+                });
+                return { phrase: phrase, targets: targets.slice(0, TARGETS_PER_PHRASE) };
+            });
+        })).then(function (matches) {
+            return matches.filter(function (match) { return match.targets.length; });
+        });
+    }
+
+    /**
+     * The URLs the post links to already.
+     * @param {string} html The post HTML.
+     * @returns {string[]}
+     */
+    function getLinkedUrls(html) {
+        const body = new window.DOMParser().parseFromString(seokarAi.content.toHtml(html), 'text/html').body;
+        return Array.prototype.map.call(body.querySelectorAll('a[href]'), function (link) { return link.getAttribute('href'); });
+    }
+
+    /**
+     * Prepares a `suggest_internal_links` request (the `prepare` of the registered action):
+     * adds the matched candidates as `link_candidates`.
+     * @param {Object} payload The request data, with `current_content`, `post_id` and `focus_keyword`.
+     * @param {Object} options Optional: { signal }.
+     * @returns {Promise<Object>} The payload to send. Rejects when nothing matched.
+     */
+    function preparePayload(payload, options) {
+        const phrases = findCandidates(payload.current_content, { focusKeyword: payload.focus_keyword });
+        if (!phrases.length) {
+            return Promise.reject(new Error(__('The post has no phrases to link yet. Write some more content first.', 'seokar-ai')));
+        }
+        return search(phrases, {
+            excludeId: payload.post_id,
+            excludeUrls: getLinkedUrls(payload.current_content),
+            signal: options && options.signal
+        }).then(function (matches) {
+            if (!matches.length) {
+                throw new Error(__('No phrases of this post match other pages of the site.', 'seokar-ai'));
+            }
+            return Object.assign({}, payload, { link_candidates: JSON.stringify(matches) });
+        });
+    }
+
+    // --- Linking ---
+
+    /**
+     * A pattern for a phrase as it can be written in markup: any whitespace (or &nbsp;) between
+     * its words, HTML-escaped characters, and whole words only.
+     * @param {string} phrase The phrase.
+     * @returns {RegExp}
+     */
+    function phrasePattern(phrase) {
+        const words = phrase.trim().split(/\s+/).map(function (word) {
+            return seokarAi.content.escapeHtml(word).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        });
+        return new RegExp('(?<![' + LETTER + '])' + words.join('(?:\\s|&nbsp;|\\u00a0)+') + '(?![' + LETTER + '])', 'u');
+    }
+
+    /**
+     * Wraps the first occurrence of a phrase in markup in a link. Text inside links, headings
+     * and code is skipped, and the phrase must sit in one run of text (not across tags).
+     * @param {string} markup The HTML (editor content, or the content of one block).
+     * @param {string} phrase The exact phrase.
+     * @param {string} url The link target.
+     * @returns {string|null} The new markup, or null when the phrase was not found.
+     */
+    function linkInHtml(markup, phrase, url) {
+        const pattern = phrasePattern(phrase);
+        const tokens = /<!--[\s\S]*?-->|<[^>]*>|[^<]+/g;
+        let skipDepth = 0;
+        let token;
+
+        while ((token = tokens.exec(markup)) !== null) {
+            const text = token[0];
+            if (text.charAt(0) === '<') {
+                const tag = /^<(\/?)([a-z][a-z0-9]*)/i.exec(text);
+                if (tag && SKIP_TAGS.indexOf(tag[2].toLowerCase()) !== -1 && !/\/>$/.test(text)) {
+                    skipDepth = Math.max(0, skipDepth + (tag[1] ? -1 : 1));
+                }
+                continue;
+            }
+            const match = skipDepth ? null : pattern.exec(text);
+            if (match) {
+                const start = token.index + match.index;
+                const link = '<a href="' + seokarAi.content.escapeHtml(url) + '">' + match[0] + '</a>';
+                return markup.slice(0, start) + link + markup.slice(start + match[0].length);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Wraps the first occurrence of a phrase in the block editor in a link, inside the block it
+     * sits in. Blocks are searched in document order, nested ones included.
+     * @param {string} phrase The exact phrase.
+     * @param {string} url The link target.
+     * @returns {boolean} Whether the phrase was found.
+     */
+    function linkInBlocks(phrase, url) {
+        const { select, dispatch } = window.wp.data;
+        return (function walk(blocks) {
+            return blocks.some(function (block) {
+                if (SKIP_BLOCKS.indexOf(block.name) === -1) {
+                    const attribute = block.name === 'core/list' && block.attributes.values !== undefined ? 'values' : 'content';
+                    const value = block.attributes[attribute];
+                    // Newer versions keep rich text as RichTextData, which turns into its HTML as a string.
+                    const linked = value !== undefined && value !== null ? linkInHtml(String(value), phrase, url) : null;
+                    if (linked !== null) {
+                        const attributes = {};
+                        attributes[attribute] = linked;
+                        dispatch('core/block-editor').updateBlockAttributes(block.clientId, attributes);
+                        return true;
+                    }
+                }
+                return walk(block.innerBlocks || []);
+            });
+        })(select('core/block-editor').getBlocks());
+    }
+
+    seokarAi.links = {
+        findCandidates: findCandidates,
+        search: search,
+        preparePayload: preparePayload,
+        linkInHtml: linkInHtml,
+        linkInBlocks: linkInBlocks
+    };
+})(window);
@@ -0,0 +1,290 @@
+/**
+ * SeoKar AI Outline
+ *
+ * The outline behind the "Outline to Draft" workflow of the metabox: a flat list of sections
+ * ({ id, title, level, html }) that is shown as a tree of headings, and the editor side of
+ * writing a section: its text goes under its heading, found again by the heading text, so a
+ * section can be rewritten later without touching the others. Exposed as `window.seokarAi.outline`.
+ * Needs seokar-ai-editor-content.js (window.seokarAi.content) to be loaded first.
+ */
+(function (window) {
+    'use strict';
+
+    const seokarAi = window.seokarAi = window.seokarAi || {};
+
+    // h1 is the post title, so sections use h2 to h6.
+    const MIN_LEVEL = 2;
+    const MAX_LEVEL = 6;
+
+    let lastId = 0;
+
+    // --- Sections ---
+
+    /**
+     * Keeps a heading level within h2-h6.
+     * @param {number} level The level.
+     * @returns {number}
+     */
+    function clampLevel(level) {
+        return Math.min(MAX_LEVEL, Math.max(MIN_LEVEL, parseInt(level, 10) || MIN_LEVEL));
+    }
+
+    /**
+     * Creates a section that has not been written yet.
+     * @param {string} title The heading.
+     * @param {number} level The heading level (2-6).
+     * @returns {Object} { id, title, level, html, placedTitle }; `placedTitle` is the heading the
+     *     section has in the editor, null until it is written.
+     */
+    function createSection(title, level) {
+        lastId++;
+        return { id: 's' + lastId, title: String(title || '').trim(), level: clampLevel(level), html: '', placedTitle: null };
+    }
+
+    /**
+     * Flattens an outline tree, as sent in `suggestions.outline`, into sections.
+     * @param {Array<Object>} nodes Nodes of { title, level, children }.
+     * @returns {Array<Object>}
+     */
+    function fromTree(nodes) {
+        const sections = [];
+        (function walk(list) {
+            (list || []).forEach(function (node) {
+                if (node.title) {
+                    sections.push(createSection(node.title, node.level));
+                }
+                walk(node.children);
+            });
+        })(nodes);
+        return sections;
+    }
+
+    /**
+     * Reads the sections of an outline result without structured data: its headings, or the
+     * items of its (nested) lists.
+     * @param {string} html The outline HTML.
+     * @returns {Array<Object>}
+     */
+    function fromHtml(html) {
+        const body = new window.DOMParser().parseFromString(seokarAi.content.toHtml(html), 'text/html').body;
+        const headings = body.querySelectorAll('h1, h2, h3, h4, h5, h6');
+        if (headings.length) {
+            return Array.prototype.map.call(headings, function (heading) {
+                return createSection(heading.textContent, parseInt(heading.tagName.charAt(1), 10));
+            });
+        }
+        return Array.prototype.map.call(body.querySelectorAll('li'), function (li) {
+            let depth = 0;
+            for (let node = li.parentNode; node && node !== body; node = node.parentNode) {
+                depth += /^(UL|OL)$/.test(node.tagName) ? 1 : 0;
+            }
+            const text = Array.prototype.filter.call(li.childNodes, function (child) {
+                return !/^(UL|OL)$/.test(child.tagName);
+            }).map(function (child) { return child.textContent; }).join('');
+            return createSection(text, depth + 1);
+        }).filter(function (section) { return section.title; });
+    }
+
+    /**
+     * The index after the last subsection of a section.
+     * @param {Array<Object>} sections The sections.
+     * @param {number} index The section.
+     * @returns {number}
+     */
+    function branchEnd(sections, index) {
+        let end = index + 1;
+        while (end < sections.length && sections[end].level > sections[index].level) {
+            end++;
+        }
+        return end;
+    }
+
+    /**
+     * Moves a section, with its subsections, before the previous or after the next section of
+     * the same or a higher level.
+     * @param {Array<Object>} sections The sections.
+     * @param {number} index The section to move.
+     * @param {number} direction -1 (up) or 1 (down).
+     * @returns {Array<Object>} The reordered sections (the same array when it cannot move).
+     */
+    function move(sections, index, direction) {
+        const end = branchEnd(sections, index);
+        const branch = sections.slice(index, end);
+        const rest = sections.slice(0, index).concat(sections.slice(end));
+        let target;
+
+        if (direction < 0) {
+            target = index - 1;
+            while (target > 0 && rest[target].level > branch[0].level) {
+                target--;
+            }
+            if (target < 0) {
+                return sections;
+            }
+        } else {
+            if (index >= rest.length) {
+                return sections;
+            }
+            target = branchEnd(rest, index);
+            if (rest[index].level < branch[0].level) {
+                target = index + 1; // Step into the next section as its first subsection
+            }
+        }
+        return rest.slice(0, target).concat(branch, rest.slice(target));
+    }
+
+    // --- Context ---
+
+    /**
+     * The outline as indented text, for the prompt.
+     * @param {Array<Object>} sections The sections.
+     * @returns {string}
+     */
+    function toText(sections) {
+        return sections.filter(function (section) { return section.title; }).map(function (section) {
+            return '  '.repeat(section.level - MIN_LEVEL) + '- ' + section.title;
+        }).join('\n');
+    }
+
+    /**
+     * Plain text of the sections written before a section, most recent last, cut to
+     * `maxLength` characters from the end.
+     * @param {Array<Object>} sections The sections.
+     * @param {number} index The section being written.
+     * @param {number} maxLength The longest context to send.
+     * @returns {string}
+     */
+    function previousText(sections, index, maxLength) {
+        const text = sections.slice(0, index).filter(function (section) { return section.html; }).map(function (section) {
+            return '#'.repeat(section.level) + ' ' + section.title + '\n' + htmlText(section.html);
+        }).join('\n\n');
+        return text.length > maxLength ? text.slice(text.length - maxLength) : text;
+    }
+
+    // --- Editor ---
+
+    /**
+     * Text of an HTML fragment with collapsed whitespace, used to compare headings.
+     * @param {string} html The HTML.
+     * @returns {string}
+     */
+    function htmlText(html) {
+        const body = new window.DOMParser().parseFromString(String(html), 'text/html').body;
+        return body.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * The HTML a section writes into the editor: its heading and its text.
+     * @param {Object} section The section.
+     * @returns {string}
+     */
+    function sectionHtml(section) {
+        const tag = 'h' + section.level;
+        return '<' + tag + '>' + seokarAi.content.escapeHtml(section.title) + '</' + tag + '>\n' + seokarAi.content.toHtml(section.html);
+    }
+
+    /**
+     * Finds the written sections in a list of headings. Each is found by its `placedTitle` and
+     * spans up to the next heading.
+     * @param {Array<string>} headingTexts The text of every heading in the editor, in order.
+     * @param {Object} section The section to write.
+     * @param {Array<Object>} sections All sections, to place a new one after the written sections before it.
+     * @returns {Object} { found, index, after } where `index` is the heading of the section when `found`,
+     *     and otherwise `after` is the heading whose span the section follows (-1: at the end).
+     */
+    function locate(headingTexts, section, sections) {
+        const find = function (title) { return title ? headingTexts.indexOf(htmlText(title)) : -1; };
+        const found = find(section.placedTitle);
+        if (found !== -1) {
+            return { found: true, index: found };
+        }
+        const position = sections.indexOf(section);
+        for (let i = position - 1; i >= 0; i--) {
+            const index = find(sections[i].placedTitle);
+            if (index !== -1) {
+                return { found: false, after: index };
+            }
+        }
+        return { found: false, after: -1 };
+    }
+
+    /**
+     * Writes a section into editor HTML (classic editor or its Text tab): its heading and text
+     * replace the section when it is already there, and otherwise go after the written section
+     * before it, or at the end.
+     * @param {string} content The editor HTML.
+     * @param {Object} section The section, with its new `html`.
+     * @param {Array<Object>} sections All sections.
+     * @returns {string} The new editor HTML.
+     */
+    function placeInHtml(content, section, sections) {
+        const headings = [];
+        const headingPattern = /<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi;
+        let match;
+        while ((match = headingPattern.exec(content)) !== null) {
+            headings.push({ start: match.index, text: htmlText(match[2]) });
+        }
+        const spanEnd = function (index) {
+            return index + 1 < headings.length ? headings[index + 1].start : content.length;
+        };
+
+        const place = locate(headings.map(function (heading) { return heading.text; }), section, sections);
+        let start;
+        let end;
+        if (place.found) {
+            start = headings[place.index].start;
+            end = spanEnd(place.index);
+        } else {
+            start = end = place.after === -1 ? content.length : spanEnd(place.after);
+        }
+
+        const before = content.slice(0, start).replace(/\s+$/, '');
+        const after = content.slice(end).replace(/^\s+/, '');
+        return (before ? before + '\n\n' : '') + sectionHtml(section) + (after ? '\n\n' + after : '');
+    }
+
+    /**
+     * Writes a section into the block editor, like placeInHtml(), as real blocks. Only the
+     * top-level blocks are searched for headings.
+     * @param {Object} section The section, with its new `html`.
+     * @param {Array<Object>} sections All sections.
+     */
+    function placeInBlocks(section, sections) {
+        const { select, dispatch } = window.wp.data;
+        const blocks = select('core/block-editor').getBlocks();
+        const { insertBlocks, replaceBlocks } = dispatch('core/block-editor');
+        const headingIndexes = [];
+        blocks.forEach(function (block, index) {
+            if (block.name === 'core/heading') {
+                headingIndexes.push(index);
+            }
+        });
+        const spanEnd = function (index) {
+            return index + 1 < headingIndexes.length ? headingIndexes[index + 1] : blocks.length;
+        };
+
+        const texts = headingIndexes.map(function (index) { return htmlText(blocks[index].attributes.content); });
+        const place = locate(texts, section, sections);
+        const newBlocks = seokarAi.content.toBlocks(sectionHtml(section));
+
+        if (place.found) {
+            const ids = blocks.slice(headingIndexes[place.index], spanEnd(place.index)).map(function (block) { return block.clientId; });
+            replaceBlocks(ids, newBlocks);
+        } else {
+            insertBlocks(newBlocks, place.after === -1 ? blocks.length : spanEnd(place.after));
+        }
+    }
+
+    seokarAi.outline = {
+        MIN_LEVEL: MIN_LEVEL,
+        MAX_LEVEL: MAX_LEVEL,
+        createSection: createSection,
+        fromTree: fromTree,
+        fromHtml: fromHtml,
+        move: move,
+        toText: toText,
+        previousText: previousText,
+        placeInHtml: placeInHtml,
+        placeInBlocks: placeInBlocks
+    };
+})(window);
@@ -0,0 +1,192 @@
+/**
+ * SeoKar AI Presets
+ *
+ * The generation settings sent with every suggestion request (tone, target length, audience,
+ * output language and number of variants) and the named presets they are saved as, for the
+ * user or for everyone editing the post type (see SeoKar_AI_Presets). The metabox and the
+ * sidebar share one store per localized object, so a preset saved in one shows up in the other.
+ * Exposed as `window.seokarAi.presets`.
+ * Needs wp-i18n and seokar-ai-request.js (window.seokarAi.request) to be loaded first.
+ */
+(function (window) {
+    'use strict';
+
+    const seokarAi = window.seokarAi = window.seokarAi || {};
+    const { __ } = window.wp.i18n;
+
+    const TONES = {
+        formal: __('Formal', 'seokar-ai'),
+        friendly: __('Friendly', 'seokar-ai'),
+        casual: __('Casual', 'seokar-ai'),
+        persuasive: __('Persuasive', 'seokar-ai'),
+        professional: __('Professional', 'seokar-ai')
+    };
+
+    const LENGTHS = {
+        short: __('Short', 'seokar-ai'),
+        medium: __('Medium', 'seokar-ai'),
+        long: __('Long', 'seokar-ai')
+    };
+
+    const MAX_VARIANTS = 10;
+
+    // The same store for the same localized object.
+    const stores = new WeakMap();
+
+    /**
+     * Cleans settings the way the server does. Empty values mean "use the built-in default".
+     * @param {Object} settings Any of { tone, length, audience, language, variants }.
+     * @returns {Object} All five settings.
+     */
+    function normalize(settings) {
+        settings = settings || {};
+        const variants = parseInt(settings.variants, 10);
+        return {
+            tone: TONES[settings.tone] ? settings.tone : '',
+            length: LENGTHS[settings.length] ? settings.length : '',
+            audience: String(settings.audience || '').trim().slice(0, 100),
+            language: String(settings.language || '').trim().slice(0, 50),
+            variants: variants > 0 ? String(Math.min(MAX_VARIANTS, variants)) : ''
+        };
+    }
+
+    /**
+     * Returns the preset store of a localized object, creating it on first use.
+     * @param {Object} config The localized object: { ajax_url, nonce, post_id, presets }, where
+     *     `presets` is SeoKar_AI_Presets::get_editor_data(): { post_type, presets, default, can_share }.
+     * @param {string} context The nonce context of the requests.
+     * @returns {Object} { list, get, getDefault, canShare, save, remove, setDefault, subscribe }.
+     */
+    function getStore(config, context) {
+        if (!stores.has(config)) {
+            stores.set(config, createStore(config, context));
+        }
+        return stores.get(config);
+    }
+
+    /**
+     * @param {Object} config The localized object.
+     * @param {string} context The nonce context.
+     * @returns {Object}
+     */
+    function createStore(config, context) {
+        const client = seokarAi.request.getClient(config, context);
+        let data = Object.assign({ post_type: '', presets: [], default: '', can_share: false }, config.presets);
+        const listeners = [];
+
+        /**
+         * Sends a preset request and takes over the presets it answers with.
+         * @param {Object} payload The request data.
+         * @returns {Promise<Object>} Resolves with the response data.
+         */
+        function send(payload) {
+            return client.post(Object.assign({ post_id: config.post_id, post_type: data.post_type }, payload)).then(function (response) {
+                data = Object.assign({}, data, {
+                    presets: response.presets || [],
+                    default: response.default || '',
+                    can_share: !!response.can_share
+                });
+                listeners.forEach(function (listener) { listener(); });
+                return response;
+            });
+        }
+
+        /**
+         * The presets the user can use: their own first, then the shared ones.
+         * @returns {Array<Object>} Presets of { id, name, scope: 'user'|'post_type', settings }.
+         */
+        function list() {
+            return data.presets.slice();
+        }
+
+        /**
+         * @param {string} id The preset ID.
+         * @returns {Object|undefined}
+         */
+        function get(id) {
+            return data.presets.find(function (preset) { return preset.id === id; });
+        }
+
+        return {
+            list: list,
+            get: get,
+
+            /**
+             * The preset the editor starts with: the user's default for the post type, or the post type's.
+             * @returns {Object|undefined}
+             */
+            getDefault: function () {
+                return data.default ? get(data.default) : undefined;
+            },
+
+            /**
+             * Whether the user may save presets for everyone editing the post type.
+             * @returns {boolean}
+             */
+            canShare: function () {
+                return !!data.can_share;
+            },
+
+            /**
+             * Saves settings as a preset, replacing the one with the same name in the same scope.
+             * @param {string} name The preset name.
+             * @param {string} scope 'user' or 'post_type'.
+             * @param {Object} settings The settings.
+             * @param {boolean} makeDefault Whether the editor should start with it (for the user,
+             *     or for everyone when shared).
+             * @returns {Promise<Object>} Resolves with the saved preset.
+             */
+            save: function (name, scope, settings, makeDefault) {
+                return send(Object.assign({
+                    action: 'seokar_ai_save_preset',
+                    name: name,
+                    scope: scope,
+                    make_default: makeDefault ? 1 : ''
+                }, normalize(settings))).then(function (response) {
+                    return get(response.saved);
+                });
+            },
+
+            /**
+             * Deletes a preset.
+             * @param {string} id The preset ID.
+             * @returns {Promise<Object>}
+             */
+            remove: function (id) {
+                return send({ action: 'seokar_ai_delete_preset', id: id });
+            },
+
+            /**
+             * Makes a preset the user's default for the post type.
+             * @param {string} id The preset ID, or '' to clear it.
+             * @returns {Promise<Object>}
+             */
+            setDefault: function (id) {
+                return send({ action: 'seokar_ai_default_preset', id: id });
+            },
+
+            /**
+             * Calls a function whenever the presets change.
+             * @param {function()} listener The function.
+             * @returns {function()} Removes the listener.
+             */
+            subscribe: function (listener) {
+                listeners.push(listener);
+                return function () {
+                    const index = listeners.indexOf(listener);
+                    if (index !== -1) {
+                        listeners.splice(index, 1);
+                    }
+                };
+            }
+        };
+    }
+
+    seokarAi.presets = {
+        TONES: TONES,
+        LENGTHS: LENGTHS,
+        MAX_VARIANTS: MAX_VARIANTS,
+        normalize: normalize,
+        getStore: getStore
+    };
+})(window);
@@ -0,0 +1,402 @@
+/**
+ * SeoKar AI Request
+ *
+ * The client side of every admin-ajax request the plugin makes, shared by the metabox,
+ * the block editor sidebar and the front-end script. Requests can be cancelled with an
+ * AbortSignal, time out, are retried with backoff when the server is busy (429/503) or could
+ * not be reached, and fail fast while the browser is offline. A request that timed out or
+ * failed on the server is not sent again, as the server may still have run the paid generation. The nonce is refreshed through
+ * `seokar_ai_refresh_nonce` (see SeoKar_AI_Nonces) when the post ID changes or the server
+ * rejects it, and the request is sent once more. Exposed as `window.seokarAi.request`.
+ * Needs wp-i18n.
+ */
+(function (window) {
+    'use strict';
+
+    const seokarAi = window.seokarAi = window.seokarAi || {};
+    const { __, sprintf } = window.wp.i18n;
+
+    const REFRESH_NONCE_ACTION = 'seokar_ai_refresh_nonce';
+
+    const DEFAULTS = {
+        timeout: 60000, // ms until the server has answered; 0 waits forever
+        retries: 2 // Extra attempts after a network error or a 429/503 answer
+    };
+
+    // Backoff before the first retry, doubled for every further one.
+    const RETRY_BASE_DELAY = 1000;
+    const MAX_RETRY_DELAY = 30000;
+
+    // One client per localized settings object, so the metabox and the sidebar share their nonce state.
+    const clients = new WeakMap();
+
+    // --- Helpers ---
+
+    /**
+     * Creates an error carrying a machine-readable code.
+     * @param {string} message The message shown to the user.
+     * @param {string} code 'offline', 'timeout', 'network', 'http', 'invalid_nonce' or 'server'.
+     * @param {Object} details Optional extra properties (`status`, `response`).
+     * @returns {Error}
+     */
+    function requestError(message, code, details) {
+        const err = new Error(message);
+        err.code = code;
+        return Object.assign(err, details);
+    }
+
+    /**
+     * Whether an error comes from cancelling the request (not from a timeout).
+     * @param {*} err The error.
+     * @returns {boolean}
+     */
+    function isAbort(err) {
+        return !!err && err.name === 'AbortError';
+    }
+
+    /**
+     * Whether the browser knows it has no connection.
+     * @returns {boolean}
+     */
+    function isOffline() {
+        return window.navigator.onLine === false;
+    }
+
+    /**
+     * The message in a WordPress JSON error (`wp_send_json_error( 'text' )` or `( array( 'message' => ... ) )`).
+     * @param {*} json The parsed response.
+     * @returns {string}
+     */
+    function errorMessage(json) {
+        const data = json && json.data;
+        if (typeof data === 'string' && data) {
+            return data;
+        }
+        return (data && typeof data.message === 'string' && data.message) || '';
+    }
+
+    /**
+     * Whether a response means the nonce was rejected: `check_ajax_referer()` dies with "-1"
+     * and a 403, our own handlers answer with the `invalid_nonce` error code.
+     * @param {number} status The HTTP status.
+     * @param {string} text The response body.
+     * @param {*} json The parsed body, if it was JSON.
+     * @returns {boolean}
+     */
+    function isNonceError(status, text, json) {
+        if (json && json.success === false && json.data && json.data.code === 'invalid_nonce') {
+            return true;
+        }
+        return status === 403 && text.trim() === '-1';
+    }
+
+    /**
+     * Time to wait before the next attempt: the server's Retry-After if it sent one,
+     * exponential backoff with a little jitter otherwise.
+     * @param {number} attempt The attempt that failed (0 for the first).
+     * @param {Response} res The response, if there was one.
+     * @returns {number} Milliseconds.
+     */
+    function retryDelay(attempt, res) {
+        const retryAfter = res && res.headers.get('Retry-After');
+        if (retryAfter) {
+            const seconds = /^\d+$/.test(retryAfter.trim()) ? parseInt(retryAfter, 10) : (Date.parse(retryAfter) - Date.now()) / 1000;
+            if (seconds >= 0) {
+                return Math.min(seconds * 1000, MAX_RETRY_DELAY);
+            }
+        }
+        return Math.min(RETRY_BASE_DELAY * Math.pow(2, attempt) + Math.random() * 250, MAX_RETRY_DELAY);
+    }
+
+    /**
+     * Waits, unless the signal is aborted first.
+     * @param {number} ms Milliseconds.
+     * @param {AbortSignal} signal Optional signal that cuts the wait short.
+     * @returns {Promise} Rejects with an AbortError when aborted.
+     */
+    function wait(ms, signal) {
+        return new Promise(function (resolve, reject) {
+            if (signal && signal.aborted) {
+                reject(new DOMException('Aborted', 'AbortError'));
+                return;
+            }
+            const timer = setTimeout(function () {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+            function onAbort() {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            }
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Passes a streamed response through with a body that calls `release` once it has been
+     * read to the end, has failed or was cancelled.
+     * @param {Response} res The response.
+     * @param {function()} release Called once when the body settles.
+     * @returns {Response}
+     */
+    function releaseWhenRead(res, release) {
+        if (!res.body || typeof window.ReadableStream !== 'function' || typeof window.Response !== 'function') {
+            release();
+            return res;
+        }
+        const reader = res.body.getReader();
+        const body = new window.ReadableStream({
+            pull: function (controller) {
+                return reader.read().then(function (result) {
+                    if (result.done) {
+                        release();
+                        controller.close();
+                    } else {
+                        controller.enqueue(result.value);
+                    }
+                }, function (err) {
+                    release();
+                    controller.error(err);
+                });
+            },
+            cancel: function (reason) {
+                release();
+                return reader.cancel(reason);
+            }
+        });
+        return new window.Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+    }
+
+    /**
+     * One POST to admin-ajax, aborted by `signal` or after `timeout` ms.
+     * For streams the timeout only covers the wait for the response headers.
+     * @param {string} url The admin-ajax URL.
+     * @param {Object} data The payload.
+     * @param {Object} options { signal, timeout, stream }.
+     * @returns {Promise<Response>} Rejects with an AbortError or a `timeout`/`network` error.
+     */
+    function fetchOnce(url, data, options) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = options.timeout ? setTimeout(function () {
+            timedOut = true;
+            controller.abort();
+        }, options.timeout) : null;
+        const onAbort = function () { controller.abort(); };
+
+        if (options.signal) {
+            if (options.signal.aborted) {
+                controller.abort();
+            }
+            options.signal.addEventListener('abort', onAbort);
+        }
+        const stopListening = function () {
+            if (options.signal) {
+                options.signal.removeEventListener('abort', onAbort);
+            }
+        };
+        const cleanUp = function () {
+            clearTimeout(timer);
+            if (!options.stream) {
+                stopListening(); // Streams keep listening until their body is read, see releaseWhenRead()
+            }
+        };
+
+        return window.fetch(url, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Accept': options.stream ? 'text/event-stream' : 'application/json' },
+            body: new URLSearchParams(data),
+            signal: controller.signal
+        }).then(function (res) {
+            if (options.stream) {
+                cleanUp();
+                return releaseWhenRead(res, stopListening);
+            }
+            // Read the body under the same timeout.
+            return res.text().then(function (text) {
+                cleanUp();
+                res.seokarAiText = text;
+                return res;
+            });
+        }).catch(function (err) {
+            cleanUp();
+            stopListening();
+            if (timedOut) {
+                throw requestError(__('The server took too long to answer.', 'seokar-ai'), 'timeout');
+            }
+            if (isAbort(err)) {
+                throw err;
+            }
+            if (isOffline()) {
+                throw requestError(__('You appear to be offline. Check your connection and try again.', 'seokar-ai'), 'offline');
+            }
+            throw requestError(__('Could not reach the server.', 'seokar-ai'), 'network');
+        });
+    }
+
+    /**
+     * Parses a JSON body, or returns null.
+     * @param {string} text The body.
+     * @returns {*}
+     */
+    function parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // --- Client ---
+
+    /**
+     * Returns the client bound to a localized settings object, creating it on first use.
+     * The client writes refreshed nonces (and post IDs set with `setPostId()`) back to that object,
+     * so code reading it directly keeps working.
+     * @param {Object} config The localized object: { ajax_url, nonce, post_id }.
+     * @param {string} context The nonce context: 'metabox', 'bulk' or 'public'.
+     * @returns {Object} { post, refreshNonce, setPostId }.
+     */
+    function getClient(config, context) {
+        if (!clients.has(config)) {
+            clients.set(config, createClient(config, context));
+        }
+        return clients.get(config);
+    }
+
+    /**
+     * Creates a client, see getClient().
+     * @param {Object} config The localized object.
+     * @param {string} context The nonce context.
+     * @returns {Object}
+     */
+    function createClient(config, context) {
+        let noncePostId = String(config.post_id || 0); // The post the current nonce was made for
+        let refreshing = null;
+
+        /**
+         * Fetches a new nonce for the current post ID. Concurrent calls share one request.
+         * @returns {Promise<string>} The new nonce.
+         */
+        function refreshNonce() {
+            if (!refreshing) {
+                const postId = String(config.post_id || 0);
+                refreshing = fetchOnce(config.ajax_url, { action: REFRESH_NONCE_ACTION, context: context, post_id: postId }, { timeout: DEFAULTS.timeout })
+                    .then(function (res) {
+                        const json = parseJson(res.seokarAiText);
+                        if (!json || !json.success || !json.data || !json.data.nonce) {
+                            throw requestError(errorMessage(json) || __('Your session has expired. Please reload the page.', 'seokar-ai'), 'invalid_nonce', { status: res.status });
+                        }
+                        config.nonce = json.data.nonce;
+                        noncePostId = postId;
+                        return config.nonce;
+                    })
+                    .finally(function () { refreshing = null; });
+            }
+            return refreshing;
+        }
+
+        /**
+         * Switches to another post ID (a new post that got its ID on the first save) and refreshes the nonce for it.
+         * @param {number|string} postId The new post ID.
+         * @returns {Promise<string>} The new nonce.
+         */
+        function setPostId(postId) {
+            config.post_id = postId;
+            return refreshNonce();
+        }
+
+        /**
+         * Sends a request. The current nonce is added to the payload on every attempt.
+         * @param {Object} data The payload, including the `action`.
+         * @param {Object} options Optional: {
+         *     signal:  AbortSignal that cancels the request (rejects with an AbortError),
+         *     timeout: ms to wait for an answer, 0 for no limit,
+         *     retries: extra attempts on network errors and 429/503 answers (never on timeouts),
+         *     stream:  resolve with the Response once its headers arrive, for event streams,
+         *     onRetry: called with { attempt, delay, error } before waiting for a retry
+         * }
+         * @returns {Promise<*>} Resolves with `response.data` of a successful WordPress JSON response
+         *     (or the Response when streaming); rejects with an Error that has a `code`.
+         */
+        function post(data, options) {
+            options = Object.assign({}, DEFAULTS, options);
+            let nonceRefreshed = false;
+
+            function attempt(number) {
+                if (isOffline()) {
+                    return Promise.reject(requestError(__('You appear to be offline. Check your connection and try again.', 'seokar-ai'), 'offline'));
+                }
+
+                const payload = Object.assign({}, data, { nonce: config.nonce });
+                return fetchOnce(config.ajax_url, payload, options).then(function (res) {
+                    if (options.stream && res.ok) {
+                        return res;
+                    }
+                    // Streams that failed are read whole, like any other error.
+                    return (options.stream ? res.text() : Promise.resolve(res.seokarAiText)).then(function (text) {
+                        const json = parseJson(text);
+
+                        if (isNonceError(res.status, text, json)) {
+                            if (nonceRefreshed) {
+                                throw requestError(__('Your session has expired. Please reload the page.', 'seokar-ai'), 'invalid_nonce', { status: res.status });
+                            }
+                            nonceRefreshed = true;
+                            return refreshNonce().then(function () { return attempt(number); });
+                        }
+
+                        // Only answers that turned the request away before it ran are retried.
+                        if (res.status === 429 || res.status === 503) {
+                            return retry(number, requestError(__('The server is busy. Please wait a moment and try again.', 'seokar-ai'), 'http', { status: res.status }), res);
+                        }
+                        if (!res.ok) {
+                            throw requestError(errorMessage(json) || sprintf(__('The server returned an error (HTTP %d).', 'seokar-ai'), res.status), 'http', { status: res.status, response: json });
+                        }
+                        if (!json) {
+                            throw requestError(__('The server sent an invalid response.', 'seokar-ai'), 'server', { status: res.status });
+                        }
+                        if (!json.success) {
+                            throw requestError(errorMessage(json) || __('An error occurred. Please try again.', 'seokar-ai'), 'server', { status: res.status, response: json });
+                        }
+                        return json.data;
+                    });
+                }, function (err) {
+                    if (err.code === 'network') {
+                        return retry(number, err, null);
+                    }
+                    throw err;
+                });
+            }
+
+            function retry(number, err, res) {
+                if (number >= options.retries) {
+                    throw err;
+                }
+                const delay = retryDelay(number, res);
+                if (options.onRetry) {
+                    options.onRetry({ attempt: number + 1, delay: delay, error: err });
+                }
+                return wait(delay, options.signal).then(function () { return attempt(number + 1); });
+            }
+
+            const ready = String(config.post_id || 0) !== noncePostId ? refreshNonce() : Promise.resolve();
+            return ready.then(function () { return attempt(0); });
+        }
+
+        return {
+            post: post,
+            refreshNonce: refreshNonce,
+            setPostId: setPostId
+        };
+    }
+
+    seokarAi.request = {
+        getClient: getClient,
+        isAbort: isAbort
+    };
+})(window);
@@ -0,0 +1,299 @@
+/**
+ * SeoKar AI Terms
+ *
+ * Assigns suggested tags and categories to the post being edited. In the block
+ * editor terms are looked up through the `core` data store, created through the
+ * REST API and set with `editPost()`; in the classic editor the Tags box (`tagBox`)
+ * and the category checklist are driven directly. Exposed as `window.seokarAi.terms`.
+ * Needs seokar-ai-analyzer.js (window.seokarAi.analyzer) for name normalization.
+ */
+(function (window, $) {
+    'use strict';
+
+    const seokarAi = window.seokarAi = window.seokarAi || {};
+    const wp = window.wp;
+
+    // Suggestions closer than this (0-1) to a category name count as a fuzzy match.
+    const FUZZY_THRESHOLD = 0.75;
+
+    // --- Helpers ---
+
+    /**
+     * Normalizes a term name for comparison (Persian letter variants, ZWNJ, case, spacing).
+     * @param {string} name The name.
+     * @returns {string}
+     */
+    function normalizeName(name) {
+        return seokarAi.analyzer.normalize(name).replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Decodes HTML entities in term names coming from the REST API ("A &amp; B").
+     * @param {string} name The name.
+     * @returns {string}
+     */
+    function decodeName(name) {
+        return wp.htmlEntities ? wp.htmlEntities.decodeEntities(name) : name;
+    }
+
+    /**
+     * Splits a suggestion into unique term names (Latin or Persian commas, semicolons, new lines).
+     * @param {string} text The suggestion text.
+     * @returns {string[]}
+     */
+    function splitTerms(text) {
+        const seen = {};
+        return String(text).split(/[,\u060c;\u061b\n]/).map(function (name) {
+            return name.replace(/^\s*(?:\d+[.)]|[-*\u2022])\s*/, '').trim();
+        }).filter(function (name) {
+            const key = normalizeName(name);
+            if (!name || seen[key]) {
+                return false;
+            }
+            seen[key] = true;
+            return true;
+        });
+    }
+
+    /**
+     * Similarity of two strings from 0 to 1 (Levenshtein distance relative to the longer one).
+     * @param {string} a First string.
+     * @param {string} b Second string.
+     * @returns {number}
+     */
+    function similarity(a, b) {
+        if (a === b) {
+            return 1;
+        }
+        if (!a.length || !b.length) {
+            return 0;
+        }
+        let previous = [];
+        for (let j = 0; j <= b.length; j++) {
+            previous[j] = j;
+        }
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return 1 - previous[b.length] / Math.max(a.length, b.length);
+    }
+
+    /**
+     * Whether the classic editor's Tags box is on the page.
+     * @returns {boolean}
+     */
+    function hasClassicTagBox() {
+        return !!(window.tagBox && $('#post_tag.tagsdiv').length);
+    }
+
+    /**
+     * Whether the classic editor's category checklist is on the page.
+     * @returns {boolean}
+     */
+    function hasClassicCategoryChecklist() {
+        return $('#categorychecklist').length > 0;
+    }
+
+    // --- Tags ---
+
+    /**
+     * Finds a term by name in the block editor's `core` store, or creates it through the REST API.
+     * @param {string} taxonomy Taxonomy slug, e.g. 'post_tag'.
+     * @param {string} restBase REST base of the taxonomy, e.g. 'tags'.
+     * @param {string} name The term name.
+     * @returns {Promise<{id: number, created: boolean}>}
+     */
+    function findOrCreateTerm(taxonomy, restBase, name) {
+        return wp.data.resolveSelect('core').getEntityRecords('taxonomy', taxonomy, { search: name, per_page: 100, context: 'view' })
+            .then(function (records) {
+                const match = (records || []).find(function (record) {
+                    return normalizeName(decodeName(record.name)) === normalizeName(name);
+                });
+                if (match) {
+                    return { id: match.id, created: false };
+                }
+                return wp.apiFetch({ path: '/wp/v2/' + restBase, method: 'POST', data: { name: name } }).then(
+                    function (term) { return { id: term.id, created: true }; },
+                    function (error) {
+                        // Created in the meantime (or only differs in case): use the existing one.
+                        if (error && error.code === 'term_exists' && error.data && error.data.term_id) {
+                            return { id: error.data.term_id, created: false };
+                        }
+                        throw error;
+                    }
+                );
+            });
+    }
+
+    /**
+     * Adds tags to the post, creating the ones that don't exist yet.
+     * @param {string[]} names Tag names.
+     * @returns {Promise<{added: string[], created: string[]}>}
+     */
+    function addTags(names) {
+        if (!names.length) {
+            return Promise.resolve({ added: [], created: [] });
+        }
+
+        if (hasClassicTagBox()) {
+            // The Tags box splits on the localized delimiter and creates new tags on save.
+            const delimiter = wp.i18n._x(',', 'tag delimiter') || ',';
+            window.tagBox.flushTags($('#post_tag'), $('<span></span>').text(names.join(delimiter)), true);
+            return Promise.resolve({ added: names, created: [] });
+        }
+
+        if (!wp.data || !wp.data.select('core/editor') || !wp.apiFetch) {
+            return Promise.reject(new Error(wp.i18n.__('Tags cannot be edited in this editor.', 'seokar-ai')));
+        }
+
+        return Promise.all(names.map(function (name) {
+            return findOrCreateTerm('post_tag', 'tags', name);
+        })).then(function (terms) {
+            const current = wp.data.select('core/editor').getEditedPostAttribute('tags') || [];
+            const ids = current.slice();
+            terms.forEach(function (term) {
+                if (ids.indexOf(term.id) === -1) {
+                    ids.push(term.id);
+                }
+            });
+            wp.data.dispatch('core/editor').editPost({ tags: ids });
+            return {
+                added: names,
+                created: names.filter(function (name, index) { return terms[index].created; })
+            };
+        });
+    }
+
+    // --- Categories ---
+
+    /**
+     * Loads all categories with their parents.
+     * @returns {Promise<Array<{id: number, name: string, parent: number}>>}
+     */
+    function getCategories() {
+        if (hasClassicCategoryChecklist()) {
+            const categories = $('#categorychecklist input[type="checkbox"]').map(function () {
+                const $parentItem = $(this).closest('ul.children').closest('li');
+                return {
+                    id: parseInt($(this).val(), 10),
+                    name: $(this).parent('label').text().trim(),
+                    parent: $parentItem.length ? parseInt($parentItem.attr('id').replace(/\D+/g, ''), 10) : 0
+                };
+            }).get();
+            return Promise.resolve(categories);
+        }
+
+        return wp.data.resolveSelect('core').getEntityRecords('taxonomy', 'category', { per_page: -1, context: 'view' })
+            .then(function (records) {
+                return (records || []).map(function (record) {
+                    return { id: record.id, name: decodeName(record.name), parent: record.parent };
+                });
+            });
+    }
+
+    /**
+     * Names from the root down to the category.
+     * @param {Object} category The category.
+     * @param {Object} byId Categories by ID.
+     * @returns {string[]}
+     */
+    function getCategoryPath(category, byId) {
+        const path = [];
+        let current = category;
+        while (current && path.length < 20) { // Guard against broken parent loops
+            path.unshift(current.name);
+            current = byId[current.parent];
+        }
+        return path;
+    }
+
+    /**
+     * Matches suggested category names against the existing categories.
+     * A suggestion may name a hierarchy ("Parent > Child" or "Parent / Child"); then the parents must match too.
+     * @param {string[]} names Suggested names.
+     * @returns {Promise<Array<{suggestion: string, category: ?Object, path: string[], matchType: ?string}>>}
+     *          `matchType` is 'exact', 'fuzzy' or null when nothing matched.
+     */
+    function matchCategories(names) {
+        return getCategories().then(function (categories) {
+            const byId = {};
+            categories.forEach(function (category) { byId[category.id] = category; });
+
+            return names.map(function (suggestion) {
+                const segments = suggestion.split(/\s*(?:>|\/|\u00bb|\u203a)\s*/).map(normalizeName).filter(Boolean);
+                const leaf = segments[segments.length - 1] || '';
+                let best = null;
+                let bestScore = 0;
+
+                categories.forEach(function (category) {
+                    const path = getCategoryPath(category, byId).map(normalizeName);
+                    // Every suggested parent must appear above the category, in order.
+                    let searchFrom = 0;
+                    const parentsMatch = segments.slice(0, -1).every(function (segment) {
+                        const index = path.indexOf(segment, searchFrom);
+                        searchFrom = index + 1;
+                        return index !== -1 && index < path.length - 1;
+                    });
+                    if (!parentsMatch) {
+                        return;
+                    }
+
+                    const name = path[path.length - 1];
+                    let score = similarity(leaf, name);
+                    if (score < 1 && Math.min(leaf.length, name.length) >= 3 && (leaf.indexOf(name) !== -1 || name.indexOf(leaf) !== -1)) {
+                        score = Math.max(score, 0.8); // "SEO" vs "SEO tips"
+                    }
+                    if (score > bestScore) {
+                        best = category;
+                        bestScore = score;
+                    }
+                });
+
+                const matched = best && bestScore >= FUZZY_THRESHOLD;
+                return {
+                    suggestion: suggestion,
+                    category: matched ? best : null,
+                    path: matched ? getCategoryPath(best, byId) : [],
+                    matchType: matched ? (bestScore === 1 ? 'exact' : 'fuzzy') : null
+                };
+            });
+        });
+    }
+
+    /**
+     * Ticks categories on the post (keeps the ones already assigned).
+     * @param {number[]} ids Category IDs.
+     */
+    function assignCategories(ids) {
+        if (hasClassicCategoryChecklist()) {
+            ids.forEach(function (id) {
+                $('#in-category-' + id + ', #in-popular-category-' + id).prop('checked', true).trigger('change');
+            });
+            return;
+        }
+
+        const current = wp.data.select('core/editor').getEditedPostAttribute('categories') || [];
+        const merged = current.slice();
+        ids.forEach(function (id) {
+            if (merged.indexOf(id) === -1) {
+                merged.push(id);
+            }
+        });
+        wp.data.dispatch('core/editor').editPost({ categories: merged });
+    }
+
+    seokarAi.terms = {
+        splitTerms: splitTerms,
+        addTags: addTags,
+        matchCategories: matchCategories,
+        assignCategories: assignCategories
+    };
+})(window, jQuery);
@@ -0,0 +1,109 @@
+/**
+ * SeoKar AI Text Diff
+ *
+ * Word-level diff used to review rewrite suggestions against the original
+ * selection, exposed as `window.seokarAi.diff`.
+ */
+(function (window) {
+    'use strict';
+
+    const seokarAi = window.seokarAi = window.seokarAi || {};
+
+    // Above this many token pairs the LCS table gets too big for the browser; show a plain replace instead.
+    const MAX_CELLS = 4000000;
+
+    /**
+     * Splits text into words and the whitespace between them (whitespace is kept as its own token).
+     * @param {string} text The text.
+     * @returns {string[]} Tokens.
+     */
+    function tokenize(text) {
+        return String(text).split(/(\s+)/).filter(function (token) { return token !== ''; });
+    }
+
+    /**
+     * Appends an operation, merging it with the previous one when they are of the same type.
+     * @param {Array} ops The operations so far.
+     * @param {string} type 'equal', 'insert' or 'delete'.
+     * @param {string} text The text.
+     */
+    function pushOp(ops, type, text) {
+        const last = ops[ops.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            ops.push({ type: type, text: text });
+        }
+    }
+
+    /**
+     * Computes a word diff between two texts (longest common subsequence of tokens).
+     * @param {string} before The original text.
+     * @param {string} after The new text.
+     * @returns {Array<{type: string, text: string}>} Operations: 'equal', 'delete' (only in before), 'insert' (only in after).
+     */
+    function diffWords(before, after) {
+        const a = tokenize(before);
+        const b = tokenize(after);
+        const ops = [];
+
+        if (a.length * b.length > MAX_CELLS) {
+            pushOp(ops, 'delete', a.join(''));
+            pushOp(ops, 'insert', b.join(''));
+            return ops;
+        }
+
+        // lengths[i][j] = LCS length of a[i..] and b[j..]
+        const lengths = [];
+        for (let i = a.length; i >= 0; i--) {
+            lengths[i] = new Uint32Array(b.length + 1);
+            for (let j = b.length - 1; i < a.length && j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                pushOp(ops, 'equal', a[i]);
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                pushOp(ops, 'delete', a[i++]);
+            } else {
+                pushOp(ops, 'insert', b[j++]);
+            }
+        }
+        while (i < a.length) {
+            pushOp(ops, 'delete', a[i++]);
+        }
+        while (j < b.length) {
+            pushOp(ops, 'insert', b[j++]);
+        }
+        return ops;
+    }
+
+    /**
+     * Renders diff operations as HTML with <del> and <ins> marks.
+     * @param {Array} ops Operations from diffWords().
+     * @returns {string} HTML.
+     */
+    function toHtml(ops) {
+        const escapeHtml = seokarAi.content.escapeHtml;
+        return ops.map(function (op) {
+            if (op.type === 'insert') {
+                return '<ins class="seokar-ai-diff-ins">' + escapeHtml(op.text) + '</ins>';
+            }
+            if (op.type === 'delete') {
+                return '<del class="seokar-ai-diff-del">' + escapeHtml(op.text) + '</del>';
+            }
+            return escapeHtml(op.text);
+        }).join('');
+    }
+
+    seokarAi.diff = {
+        diffWords: diffWords,
+        toHtml: toHtml
+    };
+})(window);
@@ -148,30 +148,510 @@ class SeoKar_AI_API_Handler {
         }
     }
 
+    /**
+     * The language suggestions are written in: the 'language' request argument, or the site language.
+     *
+     * @param array $args Request arguments.
+     * @return string e.g. "fa-IR", "en-US" or "German".
+     */
+    private function get_output_language( $args ) {
+        return ! empty( $args['language'] ) ? $args['language'] : get_bloginfo('language');
+    }
+
+    /**
+     * The number of suggestions to ask for: the 'variants' request argument, or the type's default.
+     *
+     * @param array $args Request arguments.
+     * @param int $default The default for the suggestion type.
+     * @return int
+     */
+    private function get_variant_count( $args, $default ) {
+        return ! empty( $args['variants'] ) ? min( 10, absint( $args['variants'] ) ) : $default;
+    }
+
+    /**
+     * Prompt lines for the generation settings of the editor: tone, audience and target length.
+     * Empty settings add nothing, so the prompt keeps its built-in defaults.
+     *
+     * @param array $args Request arguments: 'tone', 'audience', 'length' ('short', 'medium' or 'long').
+     * @param bool $with_length Whether the suggestion is free text whose length can be set.
+     * @return string
+     */
+    private function prepare_generation_instructions( $args, $with_length = false ) {
+        $instructions = '';
+        if ( ! empty( $args['tone'] ) ) {
+            /* translators: %s: Tone, e.g. "formal" */
+            $instructions .= sprintf( __("Use a %s tone.\n", 'seokar-ai'), $args['tone'] );
+        }
+        if ( ! empty( $args['audience'] ) ) {
+            $instructions .= sprintf( __("Write for this audience: %s.\n", 'seokar-ai'), $args['audience'] );
+        }
+        $lengths = array(
+            'short'  => __( "Keep it short and to the point.\n", 'seokar-ai' ),
+            'medium' => __( "Aim for a medium length.\n", 'seokar-ai' ),
+            'long'   => __( "Go into depth; a long text is wanted.\n", 'seokar-ai' ),
+        );
+        if ( $with_length && ! empty( $args['length'] ) && isset( $lengths[ $args['length'] ] ) ) {
+            $instructions .= $lengths[ $args['length'] ];
+        }
+        return $instructions;
+    }
+
     /**
      * Prepares a prompt for title suggestions.
      *
      * @param string $current_title The current title of the post.
      * @param string $content_snippet A snippet of the post content.
      * @param string $service_name The name of the AI service being used.
+     * @param array $args Request arguments: the generation settings and 'focus_keyword'.
      * @return string The generated prompt.
      */
-    private function prepare_title_prompt( $current_title, $content_snippet, $service_name ) {
-        $language = get_bloginfo('language'); // e.g., "fa-IR" or "en-US"
+    private function prepare_title_prompt( $current_title, $content_snippet, $service_name, $args = array() ) {
+        $language = $this->get_output_language( $args ); // e.g., "fa-IR" or "en-US"
         $prompt = sprintf(
-            __("You are an expert SEO copywriter. Suggest 5 SEO-friendly and engaging titles for a blog post. The post is in %s. \n", 'seokar-ai'),
+            __("You are an expert SEO copywriter. Suggest %1\$d SEO-friendly and engaging titles for a blog post. Write them in %2\$s. \n", 'seokar-ai'),
+            $this->get_variant_count( $args, 5 ),
             $language
         );
+        $prompt .= $this->prepare_generation_instructions( $args );
         if ( ! empty( $current_title ) ) {
             $prompt .= sprintf( __("The current working title is: \"%s\". You can improve it or suggest alternatives.\n", 'seokar-ai'), $current_title );
         }
         if ( ! empty( $content_snippet ) ) {
             $prompt .= sprintf( __("The main content starts with: \"%s...\".\n", 'seokar-ai'), $content_snippet );
         }
+        if ( ! empty( $args['focus_keyword'] ) ) {
+            $prompt .= sprintf( __("Include the focus keyphrase \"%s\".\n", 'seokar-ai'), $args['focus_keyword'] );
+        }
         $prompt .= __("Return the titles as a numbered list. Each title should be on a new line.", 'seokar-ai');
         return $prompt;
     }
 
+    /**
+     * Prepares a prompt for rewriting a selected part of the post.
+     *
+     * @param string $rewrite_type 'rewrite_rephrase', 'rewrite_expand', 'rewrite_shorten' or 'rewrite_tone'.
+     * @param array $args Request arguments: 'selected_text', 'context_before', 'context_after', 'tone'
+     *                    and the other generation settings.
+     * @return string The generated prompt.
+     */
+    private function prepare_rewrite_prompt( $rewrite_type, $args ) {
+        $instructions = array(
+            'rewrite_rephrase' => __( 'Rephrase the selected text. Keep its meaning and length.', 'seokar-ai' ),
+            'rewrite_expand'   => __( 'Expand the selected text with more detail and examples, about twice as long.', 'seokar-ai' ),
+            'rewrite_shorten'  => __( 'Shorten the selected text to about half its length without losing the key points.', 'seokar-ai' ),
+            /* translators: %s: Tone, e.g. "formal" */
+            'rewrite_tone'     => sprintf( __( 'Rewrite the selected text in a %s tone.', 'seokar-ai' ), ! empty( $args['tone'] ) ? $args['tone'] : 'neutral' ),
+        );
+
+        $prompt = sprintf(
+            __("You are an expert editor. The text is part of a blog post in %s. \n", 'seokar-ai'),
+            $this->get_output_language( $args )
+        );
+        $prompt .= $instructions[ $rewrite_type ] . "\n";
+        // The length is set by the rewrite type, and rewrite_tone has already asked for its tone.
+        $prompt .= $this->prepare_generation_instructions( 'rewrite_tone' === $rewrite_type ? array_diff_key( $args, array( 'tone' => true ) ) : $args );
+        if ( ! empty( $args['context_before'] ) ) {
+            $prompt .= sprintf( __("Text before the selection (context only, do not return it): \"...%s\"\n", 'seokar-ai'), $args['context_before'] );
+        }
+        if ( ! empty( $args['context_after'] ) ) {
+            $prompt .= sprintf( __("Text after the selection (context only, do not return it): \"%s...\"\n", 'seokar-ai'), $args['context_after'] );
+        }
+        $prompt .= sprintf( __("Selected text: \"%s\"\n", 'seokar-ai'), $args['selected_text'] );
+        $prompt .= __("Return only the rewritten text, keeping any HTML markup of the selection.", 'seokar-ai');
+        return $prompt;
+    }
+
+    /**
+     * Prepares a prompt for one of the short SEO fields of a post.
+     *
+     * @param string $field_type 'suggest_excerpt', 'suggest_slug', 'suggest_meta_description' or 'suggest_focus_keyword'.
+     * @param string $current_title The current title of the post.
+     * @param string $content_snippet A snippet of the post content.
+     * @param array $args Request arguments: 'focus_keyword' (optional) and the generation settings.
+     * @return string The generated prompt.
+     */
+    private function prepare_field_prompt( $field_type, $current_title, $content_snippet, $args ) {
+        $instructions = array(
+            /* translators: %d: Number of suggestions */
+            'suggest_excerpt'          => __( 'Write %d alternative excerpts (summaries shown in post lists) of 1-2 sentences each.', 'seokar-ai' ),
+            /* translators: %d: Number of suggestions */
+            'suggest_slug'             => __( 'Suggest %d short URL slugs: lowercase words separated by hyphens, no stop words, at most 5 words.', 'seokar-ai' ),
+            /* translators: %d: Number of suggestions */
+            'suggest_meta_description' => __( 'Write %d alternative meta descriptions of 120 to 160 characters that make searchers want to click.', 'seokar-ai' ),
+            /* translators: %d: Number of suggestions */
+            'suggest_focus_keyword'    => __( 'Suggest %d focus keyphrases of 1 to 4 words that the post can rank for.', 'seokar-ai' ),
+        );
+        $default_counts = array( 'suggest_excerpt' => 2, 'suggest_slug' => 3, 'suggest_meta_description' => 3, 'suggest_focus_keyword' => 5 );
+
+        $prompt = sprintf(
+            __("You are an expert SEO copywriter. Write in %s. \n", 'seokar-ai'),
+            $this->get_output_language( $args )
+        );
+        $prompt .= sprintf( $instructions[ $field_type ], $this->get_variant_count( $args, $default_counts[ $field_type ] ) ) . "\n";
+        if ( 'suggest_excerpt' === $field_type || 'suggest_meta_description' === $field_type ) {
+            $prompt .= $this->prepare_generation_instructions( $args );
+        }
+        if ( ! empty( $current_title ) ) {
+            $prompt .= sprintf( __("The title is: \"%s\".\n", 'seokar-ai'), $current_title );
+        }
+        if ( ! empty( $content_snippet ) ) {
+            $prompt .= sprintf( __("The main content starts with: \"%s...\".\n", 'seokar-ai'), $content_snippet );
+        }
+        if ( ! empty( $args['focus_keyword'] ) && 'suggest_focus_keyword' !== $field_type ) {
+            $prompt .= sprintf( __("Include the focus keyphrase \"%s\".\n", 'seokar-ai'), $args['focus_keyword'] );
+        }
+        $prompt .= __("Return the suggestions as a numbered list. Each suggestion should be on a new line.", 'seokar-ai');
+        return $prompt;
+    }
+
+    /**
+     * Names of the most used terms of a taxonomy. Terms of hierarchical taxonomies are named
+     * with their parents ("Parent > Child"), the form the editor matches categories by.
+     *
+     * @param string $taxonomy The taxonomy.
+     * @return string[]
+     */
+    private function get_existing_term_names( $taxonomy ) {
+        $terms = get_terms( array(
+            'taxonomy'   => $taxonomy,
+            'orderby'    => 'count',
+            'order'      => 'DESC',
+            'number'     => 30,
+            'hide_empty' => false,
+        ) );
+        if ( is_wp_error( $terms ) ) {
+            return array();
+        }
+
+        $names = array();
+        foreach ( $terms as $term ) {
+            $path   = array( $term->name );
+            $parent = $term->parent ? get_term( $term->parent, $taxonomy ) : null;
+            while ( $parent && ! is_wp_error( $parent ) && count( $path ) < 10 ) { // Guards against broken parent loops
+                array_unshift( $path, $parent->name );
+                $parent = $parent->parent ? get_term( $parent->parent, $taxonomy ) : null;
+            }
+            $names[] = html_entity_decode( implode( ' > ', $path ), ENT_QUOTES, 'UTF-8' );
+        }
+        return $names;
+    }
+
+    /**
+     * Prepares a prompt for the terms of a post. The most used terms of the taxonomy are listed,
+     * so the answer reuses them instead of adding near duplicates.
+     *
+     * @param string $terms_type 'suggest_tags' or 'suggest_categories'.
+     * @param string $current_title The current title of the post.
+     * @param string $content_snippet A snippet of the post content.
+     * @param array $args Request arguments: 'focus_keyword' (optional) and the generation settings.
+     * @return string The generated prompt.
+     */
+    private function prepare_terms_prompt( $terms_type, $current_title, $content_snippet, $args ) {
+        $instructions = array(
+            /* translators: %d: Number of suggestions */
+            'suggest_tags'       => __( 'Suggest %d tags for the blog post: short terms of 1 to 3 words that name its topics.', 'seokar-ai' ),
+            /* translators: %d: Number of suggestions */
+            'suggest_categories' => __( 'Choose up to %d categories for the blog post. Suggest a new category only if none of the existing ones fits, and name subcategories with their parents, as "Parent > Child".', 'seokar-ai' ),
+        );
+        $taxonomies     = array( 'suggest_tags' => 'post_tag', 'suggest_categories' => 'category' );
+        $default_counts = array( 'suggest_tags' => 5, 'suggest_categories' => 2 );
+
+        $prompt = sprintf(
+            __("You are an expert SEO copywriter. Write in %s. \n", 'seokar-ai'),
+            $this->get_output_language( $args )
+        );
+        $prompt .= sprintf( $instructions[ $terms_type ], $this->get_variant_count( $args, $default_counts[ $terms_type ] ) ) . "\n";
+        if ( ! empty( $current_title ) ) {
+            $prompt .= sprintf( __("The title is: \"%s\".\n", 'seokar-ai'), $current_title );
+        }
+        if ( ! empty( $content_snippet ) ) {
+            $prompt .= sprintf( __("The main content starts with: \"%s...\".\n", 'seokar-ai'), $content_snippet );
+        }
+        if ( ! empty( $args['focus_keyword'] ) ) {
+            $prompt .= sprintf( __("The focus keyphrase is \"%s\".\n", 'seokar-ai'), $args['focus_keyword'] );
+        }
+        $existing = $this->get_existing_term_names( $taxonomies[ $terms_type ] );
+        if ( $existing ) {
+            $prompt .= sprintf( __("Reuse these existing terms where they fit: %s.\n", 'seokar-ai'), implode( ', ', $existing ) );
+        }
+        $prompt .= __("Return the terms as a comma-separated list, without numbering.", 'seokar-ai');
+        return $prompt;
+    }
+
+    /**
+     * Prepares a prompt for an outline or a whole post, written from the title.
+     *
+     * @param string $content_type 'generate_content_outline' or 'generate_full_content'.
+     * @param string $current_title The title of the post.
+     * @param string $content_snippet A snippet of the post content written so far.
+     * @param array $args Request arguments: 'focus_keyword' (optional) and the generation settings.
+     * @return string The generated prompt.
+     */
+    private function prepare_content_prompt( $content_type, $current_title, $content_snippet, $args ) {
+        $instructions = array(
+            /* translators: %s: Post title */
+            'generate_content_outline' => __( 'Create a detailed outline for a blog post titled "%s": its main sections and, where useful, their subsections.', 'seokar-ai' ),
+            /* translators: %s: Post title */
+            'generate_full_content'    => __( 'Write a complete blog post titled "%s", with an introduction, sections under subheadings and a conclusion.', 'seokar-ai' ),
+        );
+        $formats = array(
+            'generate_content_outline' => __( 'Return the outline as a nested HTML list: one <li> per section, with its subsections in a nested <ul>.', 'seokar-ai' ),
+            'generate_full_content'    => __( 'Return the post as HTML with <h2> and <h3> headings and paragraphs, without the title.', 'seokar-ai' ),
+        );
+
+        $prompt = sprintf(
+            __("You are an expert blog writer. Write in %s. \n", 'seokar-ai'),
+            $this->get_output_language( $args )
+        );
+        $prompt .= sprintf( $instructions[ $content_type ], $current_title ) . "\n";
+        $prompt .= $this->prepare_generation_instructions( $args, 'generate_full_content' === $content_type );
+        if ( ! empty( $content_snippet ) ) {
+            $prompt .= sprintf( __("The post so far starts with (build on it): \"%s...\".\n", 'seokar-ai'), $content_snippet );
+        }
+        if ( ! empty( $args['focus_keyword'] ) ) {
+            $prompt .= sprintf( __("Use the focus keyphrase \"%s\" where it fits naturally.\n", 'seokar-ai'), $args['focus_keyword'] );
+        }
+        $prompt .= $formats[ $content_type ];
+        return $prompt;
+    }
+
+    /**
+     * Prepares a prompt for writing one section of an outline.
+     *
+     * @param string $current_title The title of the post.
+     * @param array $args Request arguments: 'section_title', 'section_level', 'outline' (the whole
+     *                    outline as an indented list), 'previous_sections' (text written so far)
+     *                    and the generation settings.
+     * @return string The generated prompt.
+     */
+    private function prepare_section_prompt( $current_title, $args ) {
+        $prompt = sprintf(
+            __("You are an expert blog writer. You are writing a blog post in %s section by section. \n", 'seokar-ai'),
+            $this->get_output_language( $args )
+        );
+        $prompt .= $this->prepare_generation_instructions( $args, true );
+        $prompt .= sprintf( __("The title of the post is: \"%s\".\n", 'seokar-ai'), $current_title );
+        if ( ! empty( $args['outline'] ) ) {
+            $prompt .= sprintf( __("The outline of the post is:\n%s\n", 'seokar-ai'), $args['outline'] );
+        }
+        if ( ! empty( $args['previous_sections'] ) ) {
+            $prompt .= sprintf( __("The sections written so far end with (context only, do not repeat it): \"...%s\"\n", 'seokar-ai'), $args['previous_sections'] );
+        }
+        $prompt .= sprintf( __("Write only the section \"%s\". Continue naturally from the previous sections and leave the topics of the other sections to them.\n", 'seokar-ai'), $args['section_title'] );
+        if ( ! empty( $args['focus_keyword'] ) ) {
+            $prompt .= sprintf( __("Use the focus keyphrase \"%s\" where it fits naturally.\n", 'seokar-ai'), $args['focus_keyword'] );
+        }
+        if ( ! empty( $args['section_level'] ) && (int) $args['section_level'] > 2 && empty( $args['length'] ) ) {
+            $prompt .= __("It is a subsection, so keep it short and focused.\n", 'seokar-ai');
+        }
+        $prompt .= __("Return the text of the section as HTML paragraphs (and lists where useful), without its heading.", 'seokar-ai');
+        return $prompt;
+    }
+
+    /**
+     * Reads the link candidates the editor found with the REST search: phrases of the post and the
+     * posts or terms of the site they could link to. Only URLs of this site are kept.
+     *
+     * @param string $json JSON array of { phrase, targets: [ { title, url, type } ] }.
+     * @return array[] Candidates of array( 'phrase', 'targets' => array( array( 'title', 'url', 'type' ) ) ).
+     */
+    private function sanitize_link_candidates( $json ) {
+        $raw        = json_decode( (string) $json, true );
+        $site_host  = wp_parse_url( home_url(), PHP_URL_HOST );
+        $candidates = array();
+
+        foreach ( is_array( $raw ) ? array_slice( $raw, 0, 15 ) : array() as $candidate ) {
+            $phrase  = isset( $candidate['phrase'] ) ? sanitize_text_field( $candidate['phrase'] ) : '';
+            $targets = array();
+            foreach ( isset( $candidate['targets'] ) && is_array( $candidate['targets'] ) ? array_slice( $candidate['targets'], 0, 5 ) : array() as $target ) {
+                $url = isset( $target['url'] ) ? esc_url_raw( $target['url'] ) : '';
+                if ( ! $url || wp_parse_url( $url, PHP_URL_HOST ) !== $site_host ) {
+                    continue;
+                }
+                $targets[] = array(
+                    'title' => isset( $target['title'] ) ? sanitize_text_field( $target['title'] ) : $url,
+                    'url'   => $url,
+                    'type'  => ( isset( $target['type'] ) && 'term' === $target['type'] ) ? 'term' : 'post',
+                );
+            }
+            if ( '' !== $phrase && $targets ) {
+                $candidates[] = array( 'phrase' => $phrase, 'targets' => $targets );
+            }
+        }
+        return $candidates;
+    }
+
+    /**
+     * Prepares a prompt for choosing internal links among the candidates.
+     *
+     * @param string $current_title The title of the post.
+     * @param string $content_snippet A snippet of the post content.
+     * @param array[] $candidates Link candidates from sanitize_link_candidates().
+     * @param array $args Request arguments: 'variants' (the most links to suggest) and 'language'.
+     * @return string The generated prompt.
+     */
+    private function prepare_links_prompt( $current_title, $content_snippet, $candidates, $args ) {
+        $prompt = sprintf(
+            __("You are an SEO editor adding internal links to a blog post in %s. \n", 'seokar-ai'),
+            $this->get_output_language( $args )
+        );
+        $prompt .= sprintf( __("The title of the post is: \"%s\".\n", 'seokar-ai'), $current_title );
+        if ( ! empty( $content_snippet ) ) {
+            $prompt .= sprintf( __("The main content starts with: \"%s...\".\n", 'seokar-ai'), $content_snippet );
+        }
+        $prompt .= __("These phrases of the post match pages of the same site:\n", 'seokar-ai');
+        foreach ( $candidates as $candidate ) {
+            $prompt .= '- "' . $candidate['phrase'] . "\"\n";
+            foreach ( $candidate['targets'] as $target ) {
+                $prompt .= '  - ' . $target['title'] . ' (' . $target['url'] . ")\n";
+            }
+        }
+        $prompt .= sprintf(
+            __("Choose at most %d links that would really help a reader of this post: the phrase must describe the page it links to. Use each phrase and each page at most once, best link first.\n", 'seokar-ai'),
+            $this->get_variant_count( $args, 5 )
+        );
+        $prompt .= __("Return one link per line as: phrase | URL. Copy the phrase and the URL exactly as given.", 'seokar-ai');
+        return $prompt;
+    }
+
+    /**
+     * Reads the "phrase | URL" lines of a link ranking and keeps the pairs that are among the
+     * candidates, so the answer cannot link text that is not in the post or pages that do not exist.
+     *
+     * @param string $text The AI answer.
+     * @param array[] $candidates Link candidates from sanitize_link_candidates().
+     * @return array[] Pairs of array( 'anchor', 'url', 'title', 'type' ), best first.
+     */
+    private function parse_link_ranking( $text, $candidates ) {
+        $pairs = array();
+        $used  = array();
+        foreach ( preg_split( '/\R/u', $text ) as $line ) {
+            $parts = array_map( 'trim', explode( '|', preg_replace( '/^\s*(?:\d+[.)]|[-*•])\s*/u', '', $line ), 2 ) );
+            if ( count( $parts ) < 2 ) {
+                continue;
+            }
+            $phrase = trim( $parts[0], "\"'" );
+            foreach ( $candidates as $candidate ) {
+                if ( mb_strtolower( $candidate['phrase'] ) !== mb_strtolower( $phrase ) || isset( $used[ $candidate['phrase'] ] ) ) {
+                    continue;
+                }
+                foreach ( $candidate['targets'] as $target ) {
+                    if ( untrailingslashit( $target['url'] ) === untrailingslashit( $parts[1] ) && ! isset( $used[ $target['url'] ] ) ) {
+                        $pairs[] = array( 'anchor' => $candidate['phrase'], 'url' => $target['url'], 'title' => $target['title'], 'type' => $target['type'] );
+                        $used[ $candidate['phrase'] ] = true;
+                        $used[ $target['url'] ]       = true;
+                        break;
+                    }
+                }
+            }
+        }
+        return $pairs;
+    }
+
+    /**
+     * Formats link pairs as the suggestion HTML (read back by extract_links()).
+     *
+     * @param array[] $pairs Pairs from parse_link_ranking().
+     * @return string|WP_Error
+     */
+    private function format_link_suggestions( $pairs ) {
+        if ( ! $pairs ) {
+            return new WP_Error( 'no_links', __( 'No good internal links were found for this post.', 'seokar-ai' ) );
+        }
+        $items = array();
+        foreach ( $pairs as $pair ) {
+            $items[] = '<li data-type="' . esc_attr( $pair['type'] ) . '"><strong>' . esc_html( $pair['anchor'] ) . '</strong> &rarr; <a href="' . esc_url( $pair['url'] ) . '">' . esc_html( $pair['title'] ) . '</a></li>';
+        }
+        return '<ul class="seokar-ai-link-suggestions">' . implode( '', $items ) . '</ul>';
+    }
+
+    /**
+     * The file name of an image URL, e.g. "red-bicycle-1024x768.jpg".
+     *
+     * @param string $url The image URL.
+     * @return string
+     */
+    private function get_image_filename( $url ) {
+        $path = wp_parse_url( (string) $url, PHP_URL_PATH );
+        return $path ? sanitize_file_name( wp_basename( $path ) ) : '';
+    }
+
+    /**
+     * Prepares a prompt for the alt text and caption of one image of the post.
+     * There is no vision model behind it: the file name, the text around the image and the
+     * title are all the AI knows about the image.
+     *
+     * @param string $current_title The title of the post.
+     * @param array $args Request arguments: 'image_url', 'image_alt' and 'image_caption' (the current
+     *                    ones), 'image_context' (text around the image), 'focus_keyword' and the
+     *                    generation settings.
+     * @return string The generated prompt.
+     */
+    private function prepare_image_prompt( $current_title, $args ) {
+        $prompt = sprintf(
+            __("You are an SEO and accessibility editor writing the alt text and caption of an image in a blog post in %s. \n", 'seokar-ai'),
+            $this->get_output_language( $args )
+        );
+        $prompt .= $this->prepare_generation_instructions( $args );
+        $prompt .= sprintf( __("The title of the post is: \"%s\".\n", 'seokar-ai'), $current_title );
+        $prompt .= sprintf( __("The image file is named \"%s\".\n", 'seokar-ai'), $this->get_image_filename( $args['image_url'] ) );
+        if ( ! empty( $args['image_context'] ) ) {
+            $prompt .= sprintf( __("The text around the image is: \"%s\".\n", 'seokar-ai'), $args['image_context'] );
+        }
+        if ( ! empty( $args['image_alt'] ) ) {
+            $prompt .= sprintf( __("The current alt text \"%s\" is too weak; write a better one.\n", 'seokar-ai'), $args['image_alt'] );
+        }
+        if ( ! empty( $args['image_caption'] ) ) {
+            $prompt .= sprintf( __("The current caption is: \"%s\".\n", 'seokar-ai'), $args['image_caption'] );
+        }
+        if ( ! empty( $args['focus_keyword'] ) ) {
+            $prompt .= sprintf( __("Use the focus keyphrase \"%s\" in the alt text only if it describes the image.\n", 'seokar-ai'), $args['focus_keyword'] );
+        }
+        $prompt .= __("The alt text describes what the image most likely shows and why it is in the post, in at most 125 characters, without starting with \"image of\" or \"picture of\". The caption is one sentence for the readers of the post.\n", 'seokar-ai');
+        $prompt .= sprintf(
+            /* translators: 1: "Alt:", 2: "Caption:" (keep them untranslated, the answer is read by them) */
+            __("Return two lines: \"%1\$s\" followed by the alt text, and \"%2\$s\" followed by the caption.", 'seokar-ai'),
+            'Alt:',
+            'Caption:'
+        );
+        return $prompt;
+    }
+
+    /**
+     * Reads the "Alt:" and "Caption:" lines of an image answer.
+     *
+     * @param string $text The AI answer.
+     * @return array array( 'alt', 'caption' ), empty strings for missing lines.
+     */
+    private function parse_image_text( $text ) {
+        $fields = array( 'alt' => '', 'caption' => '' );
+        foreach ( preg_split( '/\R/u', $text ) as $line ) {
+            if ( preg_match( '/^\s*\**(alt(?:\s*text)?|caption)\**\s*:\**\s*(.+)$/iu', $line, $matches ) ) {
+                $key = 0 === stripos( $matches[1], 'alt' ) ? 'alt' : 'caption';
+                $fields[ $key ] = trim( sanitize_text_field( $matches[2] ), " \"'" );
+            }
+        }
+        return $fields;
+    }
+
+    /**
+     * Formats the alt text and caption of an image as the suggestion HTML (read back by extract_image_text()).
+     *
+     * @param array $fields array( 'alt', 'caption' ) from parse_image_text().
+     * @return string|WP_Error
+     */
+    private function format_image_text( $fields ) {
+        if ( '' === $fields['alt'] ) {
+            return new WP_Error( 'no_alt_text', __( 'No alt text could be written for this image.', 'seokar-ai' ) );
+        }
+        $html = '<dl class="seokar-ai-image-text"><dt>' . esc_html__( 'Alt text', 'seokar-ai' ) . '</dt><dd data-field="alt">' . esc_html( $fields['alt'] ) . '</dd>';
+        if ( '' !== $fields['caption'] ) {
+            $html .= '<dt>' . esc_html__( 'Caption', 'seokar-ai' ) . '</dt><dd data-field="caption">' . esc_html( $fields['caption'] ) . '</dd>';
+        }
+        return $html . '</dl>';
+    }
+
     // TODO: Add more `prepare_..._prompt` methods for keywords, outline, content, categories, tags, page analysis.
 
     /**
@@ -181,15 +661,41 @@ class SeoKar_AI_API_Handler {
      * @param string $suggestion_type Type of suggestion (e.g., 'suggest_title', 'suggest_keywords').
      * @param string $current_title Current post title.
      * @param string $current_content Full current post content.
+     * @param array $args Extra request arguments, e.g. 'selected_text', 'context_before', 'context_after'
+     *                    and 'tone' for the rewrite_* types, 'focus_keyword' for the SEO field, term and content types,
+     *                    'section_title', 'section_level', 'outline' and 'previous_sections' for expand_outline_section,
+     *                    'link_candidates' (JSON, see sanitize_link_candidates()) for suggest_internal_links,
+     *                    'image_url', 'image_alt', 'image_caption' and 'image_context' for suggest_image_text.
+     *                    Every type takes the generation settings of the editor (see SeoKar_AI_Presets):
+     *                    'tone', 'length', 'audience', 'language' and 'variants'.
+     * @param callable|null $on_chunk Optional. Called with each piece of HTML as it is generated, for the
+     *                                types that are written in parts (generate_content_outline, generate_full_content).
+     *                                The pieces add up to the returned suggestion.
      * @return string|WP_Error The AI's suggestion (HTML formatted for titles/outlines) or WP_Error on failure.
      */
-    public function get_suggestion( $suggestion_type, $current_title = '', $current_content = '' ) {
+    public function get_suggestion( $suggestion_type, $current_title = '', $current_content = '', $args = array(), $on_chunk = null ) {
         $active_service_info = $this->get_active_service();
 
         if ( ! $active_service_info ) {
             return new WP_Error( 'no_active_service', __( 'No AI service API key is configured or active. Please check SeoKar AI settings.', 'seokar-ai' ) );
         }
 
+        /**
+         * Short-circuits a suggestion. Custom actions registered with seokarAi.registerAction()
+         * in the editor answer their own types here; return null to leave the type to the built-in logic.
+         *
+         * @param string|WP_Error|null $pre The suggestion (HTML) or WP_Error, null by default.
+         * @param string $suggestion_type The requested type.
+         * @param string $current_title Current post title.
+         * @param string $current_content Full current post content.
+         * @param array $args Extra request arguments.
+         * @param array $active_service_info The active service: 'service_name' and 'api_key'.
+         */
+        $pre = apply_filters( 'seokar_ai_pre_get_suggestion', null, $suggestion_type, $current_title, $current_content, $args, $active_service_info );
+        if ( null !== $pre ) {
+            return $pre;
+        }
+
         $service_name = $active_service_info['service_name'];
         $api_key      = $active_service_info['api_key'];
         $content_snippet = substr( wp_strip_all_tags( $current_content ), 0, 500 ); // Limit snippet length
@@ -211,7 +717,7 @@ class SeoKar_AI_API_Handler {
 
                 switch ( $suggestion_type ) {
                     case 'suggest_title':
-                        $prompt = $this->prepare_title_prompt( $current_title, $content_snippet, $service_name );
+                        $prompt = $this->prepare_title_prompt( $current_title, $content_snippet, $service_name, $args );
                         $body_data['messages'] = [['role' => 'user', 'content' => $prompt]];
                         $body_data['max_tokens'] = 200;
                         // ** ACTUAL API CALL WOULD BE HERE **
@@ -232,6 +738,10 @@ class SeoKar_AI_API_Handler {
 
                     // TODO: Add other cases for OpenAI
                     default:
+                        $suggestion = $this->get_editor_suggestion( 'OpenAI', $suggestion_type, $current_title, $content_snippet, $args, $on_chunk );
+                        if ( null !== $suggestion ) {
+                            return $suggestion;
+                        }
                         return new WP_Error( 'invalid_suggestion_type', sprintf(__( 'Suggestion type "%s" not implemented for OpenAI.', 'seokar-ai' ), $suggestion_type) );
                 }
                 break; // End openai case
@@ -243,7 +753,7 @@ class SeoKar_AI_API_Handler {
 
                 switch ( $suggestion_type ) {
                     case 'suggest_title':
-                        $prompt = $this->prepare_title_prompt( $current_title, $content_snippet, $service_name );
+                        $prompt = $this->prepare_title_prompt( $current_title, $content_snippet, $service_name, $args );
                         /*
                         $body_data = [
                             'contents' => [
@@ -266,6 +776,10 @@ class SeoKar_AI_API_Handler {
                         return "<ul><li>" . __('GoogleAI: Title Suggestion A', 'seokar-ai') . "</li><li>" . __('GoogleAI: Title Suggestion B', 'seokar-ai') . "</li></ul>";
                     // TODO: Add other cases for Google AI
                     default:
+                        $suggestion = $this->get_editor_suggestion( 'GoogleAI', $suggestion_type, $current_title, $content_snippet, $args, $on_chunk );
+                        if ( null !== $suggestion ) {
+                            return $suggestion;
+                        }
                         return new WP_Error( 'invalid_suggestion_type', sprintf(__( 'Suggestion type "%s" not implemented for Google AI.', 'seokar-ai' ), $suggestion_type) );
                 }
                 break; // End google_ai case
@@ -291,6 +805,10 @@ class SeoKar_AI_API_Handler {
                         return "<ul><li>" . __('HF: A Title From Hugging Face', 'seokar-ai') . "</li></ul>";
                     // TODO: Add other cases for Hugging Face
                     default:
+                        $suggestion = $this->get_editor_suggestion( 'HF', $suggestion_type, $current_title, $content_snippet, $args, $on_chunk );
+                        if ( null !== $suggestion ) {
+                            return $suggestion;
+                        }
                         return new WP_Error( 'invalid_suggestion_type', sprintf(__( 'Suggestion type "%s" not implemented for Hugging Face.', 'seokar-ai' ), $suggestion_type) );
                 }
                 break; // End huggingface case
@@ -304,6 +822,385 @@ class SeoKar_AI_API_Handler {
     }
 
 
+    /**
+     * Suggestions of the editor whose prompt does not depend on the service: the rewrite_* types,
+     * the SEO field types, suggest_tags, suggest_categories, generate_content_outline,
+     * generate_full_content, expand_outline_section, suggest_internal_links and suggest_image_text.
+     * Every service answers them through its `default` case.
+     *
+     * @param string $service_label Name of the service, shown in the mock responses.
+     * @param string $suggestion_type Type of suggestion.
+     * @param string $current_title Current post title.
+     * @param string $content_snippet Start of the post content, without tags.
+     * @param array $args Extra request arguments (see get_suggestion()).
+     * @param callable|null $on_chunk Called with each piece of the suggestion as it is generated (see get_suggestion()).
+     * @return string|WP_Error|null The suggestion (HTML) or WP_Error, null for other types.
+     */
+    private function get_editor_suggestion( $service_label, $suggestion_type, $current_title, $content_snippet, $args, $on_chunk = null ) {
+        switch ( $suggestion_type ) {
+            case 'rewrite_rephrase':
+            case 'rewrite_expand':
+            case 'rewrite_shorten':
+            case 'rewrite_tone':
+                if ( empty( $args['selected_text'] ) ) {
+                    return new WP_Error( 'no_selection', __( 'No text was selected for the rewrite.', 'seokar-ai' ) );
+                }
+                $prompt = $this->prepare_rewrite_prompt( $suggestion_type, $args );
+                // ** ACTUAL API CALL WOULD BE HERE ** (the prompt in the request format of the service)
+
+                // MOCK RESPONSE: the selection with a marker, so the diff has something to show.
+                sleep(1);
+                return sprintf( esc_html__('%s (rewritten):', 'seokar-ai'), esc_html( $service_label ) ) . ' ' . wp_kses_post( $args['selected_text'] );
+
+            case 'suggest_excerpt':
+            case 'suggest_slug':
+            case 'suggest_meta_description':
+            case 'suggest_focus_keyword':
+                $prompt = $this->prepare_field_prompt( $suggestion_type, $current_title, $content_snippet, $args );
+                // ** ACTUAL API CALL WOULD BE HERE ** (the prompt in the request format of the service)
+
+                // MOCK RESPONSE:
+                sleep(1);
+                if ( 'suggest_slug' === $suggestion_type ) {
+                    $slug = sanitize_title( $current_title ? $current_title : sprintf( __( '%s suggested slug', 'seokar-ai' ), $service_label ) );
+                    return "<ul><li>" . $slug . "</li><li>" . $slug . "-guide</li></ul>";
+                }
+                $mock_items = array(
+                    'suggest_excerpt'          => array( sprintf( __('%s: A short summary of what this post covers and why it matters.', 'seokar-ai'), $service_label ), sprintf( __('%s: Another one-sentence excerpt for the post.', 'seokar-ai'), $service_label ) ),
+                    'suggest_meta_description' => array( sprintf( __('%s: Learn the essentials in this practical guide, with clear steps and examples you can apply to your own site today.', 'seokar-ai'), $service_label ), sprintf( __('%s: A second meta description suggestion, written to make searchers click.', 'seokar-ai'), $service_label ) ),
+                    'suggest_focus_keyword'    => array( sprintf( __('%s focus keyphrase', 'seokar-ai'), strtolower( $service_label ) ), __('seo keyphrase', 'seokar-ai') ),
+                );
+                return "<ul><li>" . implode( "</li><li>", array_map( 'esc_html', $mock_items[ $suggestion_type ] ) ) . "</li></ul>";
+
+            case 'suggest_tags':
+                $prompt = $this->prepare_terms_prompt( $suggestion_type, $current_title, $content_snippet, $args );
+                // ** ACTUAL API CALL WOULD BE HERE ** (the prompt in the request format of the service)
+
+                // MOCK RESPONSE: comma-separated, like the answer the prompt asks for.
+                sleep(1);
+                $terms = array( sprintf( __('%s tag', 'seokar-ai'), strtolower( $service_label ) ), __('seo', 'seokar-ai'), __('content marketing', 'seokar-ai') );
+                if ( ! empty( $args['focus_keyword'] ) ) {
+                    array_unshift( $terms, $args['focus_keyword'] );
+                }
+                return "<p>" . esc_html( implode( ', ', $terms ) ) . "</p>";
+
+            case 'suggest_categories':
+                $prompt = $this->prepare_terms_prompt( $suggestion_type, $current_title, $content_snippet, $args );
+                // ** ACTUAL API CALL WOULD BE HERE ** (the prompt in the request format of the service)
+
+                // MOCK RESPONSE: two existing categories and a new one, so both kinds of match can be tried.
+                sleep(1);
+                $terms   = array_slice( $this->get_existing_term_names( 'category' ), 0, 2 );
+                $terms[] = sprintf( __('%s Category', 'seokar-ai'), $service_label );
+                return "<p>" . esc_html( implode( ', ', $terms ) ) . "</p>";
+
+            case 'generate_content_outline':
+            case 'generate_full_content':
+                if ( '' === trim( $current_title ) ) {
+                    return new WP_Error( 'no_title', __( 'The post needs a title first.', 'seokar-ai' ) );
+                }
+                $prompt = $this->prepare_content_prompt( $suggestion_type, $current_title, $content_snippet, $args );
+                // ** ACTUAL API CALL WOULD BE HERE ** (the prompt in the request format of the service,
+                // streamed where the service can, passing each delta of the answer to $on_chunk)
+
+                // MOCK RESPONSE: written in parts, a little apart, so streaming shows.
+                if ( 'generate_content_outline' === $suggestion_type ) {
+                    $parts = array(
+                        "<ul><li>" . sprintf( esc_html__('%s: Introduction', 'seokar-ai'), esc_html( $service_label ) ) . "</li>",
+                        "<li>" . sprintf( esc_html__('What is %s?', 'seokar-ai'), esc_html( $current_title ) )
+                            . "<ul><li>" . esc_html__('The basics', 'seokar-ai') . "</li><li>" . esc_html__('Why it matters', 'seokar-ai') . "</li></ul></li>",
+                        "<li>" . esc_html__('Step by step', 'seokar-ai')
+                            . "<ul><li>" . esc_html__('Getting started', 'seokar-ai') . "</li><li>" . esc_html__('Common mistakes', 'seokar-ai') . "</li></ul></li>",
+                        "<li>" . esc_html__('Conclusion', 'seokar-ai') . "</li></ul>",
+                    );
+                } else {
+                    $parts = array(
+                        "<h2>" . esc_html__('Introduction', 'seokar-ai') . "</h2>",
+                        "<p>" . sprintf( esc_html__('%1$s: An introduction to "%2$s" and what the reader will learn.', 'seokar-ai'), esc_html( $service_label ), esc_html( $current_title ) ) . "</p>",
+                        "<h2>" . sprintf( esc_html__('%s in practice', 'seokar-ai'), esc_html( $current_title ) ) . "</h2>",
+                        "<p>" . sprintf( esc_html__('%s: The main part of the post, with steps and examples.', 'seokar-ai'), esc_html( $service_label ) ) . "</p>",
+                        "<h2>" . esc_html__('Conclusion', 'seokar-ai') . "</h2>",
+                        "<p>" . sprintf( esc_html__('%s: A short summary and a call to action.', 'seokar-ai'), esc_html( $service_label ) ) . "</p>",
+                    );
+                }
+                foreach ( $parts as $part ) {
+                    usleep( 300000 ); // Simulate delay
+                    if ( is_callable( $on_chunk ) ) {
+                        call_user_func( $on_chunk, $part );
+                    }
+                }
+                return implode( '', $parts );
+
+            case 'expand_outline_section':
+                if ( empty( $args['section_title'] ) ) {
+                    return new WP_Error( 'no_section', __( 'The section to write has no heading.', 'seokar-ai' ) );
+                }
+                $prompt = $this->prepare_section_prompt( $current_title, $args );
+                // ** ACTUAL API CALL WOULD BE HERE ** (the prompt in the request format of the service)
+
+                // MOCK RESPONSE:
+                sleep(1);
+                return "<p>" . sprintf( esc_html__('%1$s: A draft of the section "%2$s", written to follow on from the sections before it.', 'seokar-ai'), esc_html( $service_label ), esc_html( $args['section_title'] ) ) . "</p><p>" . sprintf( esc_html__('%s: A second paragraph with more detail.', 'seokar-ai'), esc_html( $service_label ) ) . "</p>";
+
+            case 'suggest_internal_links':
+                $candidates = $this->sanitize_link_candidates( isset( $args['link_candidates'] ) ? $args['link_candidates'] : '' );
+                if ( ! $candidates ) {
+                    return new WP_Error( 'no_link_candidates', __( 'No phrases of this post match other pages of the site.', 'seokar-ai' ) );
+                }
+                $prompt = $this->prepare_links_prompt( $current_title, $content_snippet, $candidates, $args );
+                // ** ACTUAL API CALL WOULD BE HERE ** (the prompt in the request format of the service)
+                // return $this->format_link_suggestions( $this->parse_link_ranking( $answer, $candidates ) );
+
+                // MOCK RESPONSE: the first page of each phrase, in the order the editor ranked them.
+                sleep(1);
+                $answer = '';
+                foreach ( array_slice( $candidates, 0, $this->get_variant_count( $args, 5 ) ) as $candidate ) {
+                    $answer .= $candidate['phrase'] . ' | ' . $candidate['targets'][0]['url'] . "\n";
+                }
+                return $this->format_link_suggestions( $this->parse_link_ranking( $answer, $candidates ) );
+
+            case 'suggest_image_text':
+                if ( empty( $args['image_url'] ) ) {
+                    return new WP_Error( 'no_image', __( 'No image was sent.', 'seokar-ai' ) );
+                }
+                $prompt = $this->prepare_image_prompt( $current_title, $args );
+                // ** ACTUAL API CALL WOULD BE HERE ** (the prompt in the request format of the service)
+                // return $this->format_image_text( $this->parse_image_text( $answer ) );
+
+                // MOCK RESPONSE: built from the file name ("red-bicycle-1024x768.jpg" -> "red bicycle").
+                sleep(1);
+                $subject = preg_replace( array( '/\.[a-z0-9]+$/i', '/-(?:\d+x\d+|scaled|e\d{10,})$/i', '/[-_]+/', '/\d+/' ), array( '', '', ' ', '' ), $this->get_image_filename( $args['image_url'] ) );
+                $subject = trim( preg_replace( '/\s+/', ' ', $subject ) );
+                if ( '' === $subject ) {
+                    $subject = $current_title ? $current_title : __( 'the topic of the post', 'seokar-ai' );
+                }
+                $answer  = 'Alt: ' . sprintf( __('%1$s: %2$s, shown for the post "%3$s"', 'seokar-ai'), $service_label, ucfirst( $subject ), $current_title ) . "\n";
+                $answer .= 'Caption: ' . sprintf( __('%1$s: A caption about %2$s.', 'seokar-ai'), $service_label, $subject );
+                return $this->format_image_text( $this->parse_image_text( $answer ) );
+        }
+        return null;
+    }
+
+
+    /**
+     * Extracts typed data from a suggestion so the editor can offer each item on its own.
+     * The AJAX handlers send it next to the HTML as `suggestions` (see SeoKar_AI_Editor::ajax_suggestion()).
+     *
+     * @param string $suggestion_type Type of suggestion (e.g., 'suggest_title').
+     * @param string $suggestion_html The HTML returned by get_suggestion().
+     * @return array Keyed by kind: 'titles', 'keywords', 'tags', 'categories', 'excerpts', 'slugs',
+     *               'meta_descriptions', 'focus_keywords' (string lists),
+     *               'outline' (tree of array( 'title', 'level', 'children' ))
+     *               'links' (list of array( 'anchor', 'url', 'title', 'type' ))
+     *               or 'image_text' (array( 'alt', 'caption' )). Empty for free-form results.
+     */
+    public function get_structured_suggestions( $suggestion_type, $suggestion_html ) {
+        switch ( $suggestion_type ) {
+            case 'suggest_title':
+                return array( 'titles' => $this->extract_list_items( $suggestion_html ) );
+            case 'suggest_keywords':
+                return array( 'keywords' => $this->extract_terms( $suggestion_html ) );
+            case 'suggest_tags':
+                return array( 'tags' => $this->extract_terms( $suggestion_html ) );
+            case 'suggest_categories':
+                return array( 'categories' => $this->extract_terms( $suggestion_html ) );
+            case 'generate_content_outline':
+                return array( 'outline' => $this->extract_outline( $suggestion_html ) );
+            case 'suggest_excerpt':
+                return array( 'excerpts' => $this->extract_list_items( $suggestion_html ) );
+            case 'suggest_slug':
+                return array( 'slugs' => array_values( array_unique( array_filter( array_map( 'sanitize_title', $this->extract_list_items( $suggestion_html ) ) ) ) ) );
+            case 'suggest_meta_description':
+                return array( 'meta_descriptions' => $this->extract_list_items( $suggestion_html ) );
+            case 'suggest_focus_keyword':
+                return array( 'focus_keywords' => $this->extract_list_items( $suggestion_html ) );
+            case 'suggest_internal_links':
+                return array( 'links' => $this->extract_links( $suggestion_html ) );
+            case 'suggest_image_text':
+                return array( 'image_text' => $this->extract_image_text( $suggestion_html ) );
+            default:
+                return array(); // Free-form content, the HTML is all there is.
+        }
+    }
+
+    /**
+     * Loads a suggestion HTML fragment into a DOM document (UTF-8 safe, so Persian text survives).
+     *
+     * @param string $html The HTML fragment.
+     * @return DOMDocument
+     */
+    private function load_suggestion_dom( $html ) {
+        $dom = new DOMDocument();
+        $previous = libxml_use_internal_errors( true ); // AI output is rarely perfect markup
+        $dom->loadHTML( '<?xml encoding="utf-8" ?><div>' . $html . '</div>', LIBXML_HTML_NOIMPLIED | LIBXML_HTML_NODEFDTD );
+        libxml_clear_errors();
+        libxml_use_internal_errors( $previous );
+        return $dom;
+    }
+
+    /**
+     * Returns the items of the first list in the HTML, or its non-empty lines if there is no list.
+     * Numbering like "1. " or "- " is removed and debug notes (<small>) are ignored.
+     *
+     * @param string $html The suggestion HTML.
+     * @return string[]
+     */
+    private function extract_list_items( $html ) {
+        $dom   = $this->load_suggestion_dom( $html );
+        $lines = array();
+
+        foreach ( iterator_to_array( $dom->getElementsByTagName( 'small' ) ) as $small ) {
+            $small->parentNode->removeChild( $small );
+        }
+
+        $list_items = $dom->getElementsByTagName( 'li' );
+        if ( $list_items->length ) {
+            foreach ( $list_items as $li ) {
+                $lines[] = $li->textContent;
+            }
+        } else {
+            $lines = preg_split( '/\R/u', $dom->textContent );
+        }
+
+        $items = array();
+        foreach ( $lines as $line ) {
+            $line = trim( preg_replace( '/^\s*(?:\d+[.)]|[-*•])\s*/u', '', $line ) );
+            if ( '' !== $line ) {
+                $items[] = $line;
+            }
+        }
+        return $items;
+    }
+
+    /**
+     * Reads link pairs back from the HTML of format_link_suggestions(): per item the anchor text
+     * (<strong>) and the linked page.
+     *
+     * @param string $html The suggestion HTML.
+     * @return array[] Pairs of array( 'anchor', 'url', 'title', 'type' ).
+     */
+    private function extract_links( $html ) {
+        $dom   = $this->load_suggestion_dom( $html );
+        $links = array();
+        foreach ( $dom->getElementsByTagName( 'li' ) as $li ) {
+            $anchor = $li->getElementsByTagName( 'strong' )->item( 0 );
+            $link   = $li->getElementsByTagName( 'a' )->item( 0 );
+            if ( $anchor && $link && $link->getAttribute( 'href' ) ) {
+                $links[] = array(
+                    'anchor' => trim( $anchor->textContent ),
+                    'url'    => $link->getAttribute( 'href' ),
+                    'title'  => trim( $link->textContent ),
+                    'type'   => 'term' === $li->getAttribute( 'data-type' ) ? 'term' : 'post',
+                );
+            }
+        }
+        return $links;
+    }
+
+    /**
+     * Reads the alt text and caption back from the HTML of format_image_text().
+     *
+     * @param string $html The suggestion HTML.
+     * @return array array( 'alt', 'caption' ).
+     */
+    private function extract_image_text( $html ) {
+        $dom    = $this->load_suggestion_dom( $html );
+        $fields = array( 'alt' => '', 'caption' => '' );
+        foreach ( $dom->getElementsByTagName( 'dd' ) as $dd ) {
+            if ( array_key_exists( $dd->getAttribute( 'data-field' ), $fields ) ) {
+                $fields[ $dd->getAttribute( 'data-field' ) ] = trim( $dd->textContent );
+            }
+        }
+        return $fields;
+    }
+
+    /**
+     * Splits a keyword/tag/category suggestion into unique terms.
+     * Accepts list items or text separated by commas (Latin or Persian), semicolons or new lines.
+     *
+     * @param string $html The suggestion HTML.
+     * @return string[]
+     */
+    private function extract_terms( $html ) {
+        $terms = array();
+        foreach ( $this->extract_list_items( $html ) as $line ) {
+            foreach ( preg_split( '/[,،;؛]/u', $line ) as $term ) {
+                $term = trim( $term, " \t\n\r\0\x0B\"'" );
+                if ( '' !== $term && ! in_array( $term, $terms, true ) ) {
+                    $terms[] = $term;
+                }
+            }
+        }
+        return $terms;
+    }
+
+    /**
+     * Builds an outline tree from headings (h1-h6), or from nested lists when there are no headings.
+     *
+     * @param string $html The outline HTML.
+     * @return array[] Nodes of array( 'title' => string, 'level' => int, 'children' => array ).
+     */
+    private function extract_outline( $html ) {
+        $dom   = $this->load_suggestion_dom( $html );
+        $xpath = new DOMXPath( $dom );
+
+        $headings = $xpath->query( '//h1|//h2|//h3|//h4|//h5|//h6' );
+        if ( $headings->length ) {
+            $root  = array( 'level' => 0, 'children' => array() );
+            $stack = array( &$root );
+            foreach ( $headings as $heading ) {
+                $level = (int) substr( $heading->nodeName, 1 );
+                while ( count( $stack ) > 1 && $stack[ count( $stack ) - 1 ]['level'] >= $level ) {
+                    array_pop( $stack );
+                }
+                $parent                = &$stack[ count( $stack ) - 1 ];
+                $parent['children'][] = array(
+                    'title'    => trim( $heading->textContent ),
+                    'level'    => $level,
+                    'children' => array(),
+                );
+                $stack[] = &$parent['children'][ count( $parent['children'] ) - 1 ];
+                unset( $parent );
+            }
+            return $root['children'];
+        }
+
+        $list = $xpath->query( '//ul|//ol' )->item( 0 );
+        return $list ? $this->extract_outline_list( $list, 2 ) : array();
+    }
+
+    /**
+     * Converts a (nested) HTML list into outline nodes.
+     *
+     * @param DOMElement $list The <ul> or <ol> element.
+     * @param int $level Heading level for the items of this list.
+     * @return array[]
+     */
+    private function extract_outline_list( $list, $level ) {
+        $nodes = array();
+        foreach ( $list->childNodes as $li ) {
+            if ( 'li' !== $li->nodeName ) {
+                continue;
+            }
+            $title    = '';
+            $children = array();
+            foreach ( $li->childNodes as $child ) {
+                if ( 'ul' === $child->nodeName || 'ol' === $child->nodeName ) {
+                    $children = array_merge( $children, $this->extract_outline_list( $child, min( $level + 1, 6 ) ) );
+                } else {
+                    $title .= $child->textContent;
+                }
+            }
+            $nodes[] = array(
+                'title'    => trim( preg_replace( '/^\s*(?:\d+[.)]|[IVX]+\.)\s*/u', '', $title ) ),
+                'level'    => $level,
+                'children' => $children,
+            );
+        }
+        return $nodes;
+    }
+
+
     /**
      * Parses the title suggestion response from OpenAI.
      *
@@ -368,4 +1265,136 @@ class SeoKar_AI_API_Handler {
 
         return $mock_analysis;
     }
+
+    /**
+     * Analyzes the elements of a rendered page and returns issues anchored to them, for the
+     * front-end overlay. The public AJAX handler sends them next to the summary HTML
+     * (see SeoKar_AI_Public::ajax_suggestion()).
+     *
+     * @param string $current_title The post title.
+     * @param array $elements Page elements collected by the public script: array( 'ref', 'type' ('heading', 'paragraph',
+     *                        'image' or 'link'), 'tag', 'text', plus 'alt' and 'src' for images, 'href' for links ).
+     * @return array|WP_Error Annotations of array( 'ref' => string|null (null for the whole page), 'severity' => 'error'|'warning'|'info', 'message' => string ).
+     */
+    public function get_page_annotations( $current_title, $elements ) {
+        $active_service_info = $this->get_active_service();
+        if ( ! $active_service_info ) {
+            return new WP_Error( 'no_active_service', __( 'No AI service API key is configured.', 'seokar-ai' ) );
+        }
+
+        $elements    = $this->sanitize_page_elements( $elements );
+        $annotations = array();
+
+        // Structural checks that need no AI.
+        $h1_count       = 0;
+        $previous_level = 0;
+        $vague_links    = apply_filters( 'seokar_ai_vague_link_texts', array( 'click here', 'here', 'read more', 'more', 'link', 'اینجا', 'کلیک کنید', 'بیشتر بخوانید', 'ادامه مطلب' ) );
+
+        foreach ( $elements as $element ) {
+            $ref = $element['ref'];
+
+            if ( 'heading' === $element['type'] ) {
+                $level = (int) substr( $element['tag'], 1 );
+                if ( 1 === $level && ++$h1_count > 1 ) {
+                    $annotations[] = $this->annotation( $ref, 'warning', __( 'The page has more than one H1 heading. Use H2 for sections.', 'seokar-ai' ) );
+                }
+                if ( $previous_level && $level > $previous_level + 1 ) {
+                    /* translators: 1: Previous heading level, 2: This heading level */
+                    $annotations[] = $this->annotation( $ref, 'warning', sprintf( __( 'Heading level skipped (H%1$d to H%2$d). Keep the outline in order.', 'seokar-ai' ), $previous_level, $level ) );
+                }
+                if ( mb_strlen( $element['text'] ) > 70 ) {
+                    $annotations[] = $this->annotation( $ref, 'info', __( 'This heading is long. Shorter headings are easier to scan.', 'seokar-ai' ) );
+                }
+                $previous_level = $level;
+            } elseif ( 'paragraph' === $element['type'] ) {
+                $word_count = count( preg_split( '/\s+/u', $element['text'], -1, PREG_SPLIT_NO_EMPTY ) );
+                if ( $word_count > 150 ) {
+                    /* translators: %d: Number of words */
+                    $annotations[] = $this->annotation( $ref, 'warning', sprintf( __( 'This paragraph has %d words. Split it into shorter paragraphs.', 'seokar-ai' ), $word_count ) );
+                }
+            } elseif ( 'image' === $element['type'] ) {
+                if ( null === $element['alt'] ) {
+                    $annotations[] = $this->annotation( $ref, 'error', __( 'This image has no alt text.', 'seokar-ai' ) );
+                } elseif ( '' === $element['alt'] ) {
+                    $annotations[] = $this->annotation( $ref, 'info', __( 'Empty alt text marks this image as decorative. Describe it if it carries information.', 'seokar-ai' ) );
+                } elseif ( false !== stripos( wp_basename( $element['src'] ), str_replace( ' ', '-', $element['alt'] ) ) ) {
+                    $annotations[] = $this->annotation( $ref, 'warning', __( 'The alt text repeats the file name. Describe what the image shows.', 'seokar-ai' ) );
+                }
+            } elseif ( 'link' === $element['type'] ) {
+                if ( '' === $element['text'] ) {
+                    $annotations[] = $this->annotation( $ref, 'error', __( 'This link has no text that search engines or screen readers can use.', 'seokar-ai' ) );
+                } elseif ( in_array( mb_strtolower( $element['text'] ), $vague_links, true ) ) {
+                    $annotations[] = $this->annotation( $ref, 'warning', __( 'Use link text that says where the link goes.', 'seokar-ai' ) );
+                }
+            }
+        }
+
+        if ( ! $h1_count ) {
+            $annotations[] = $this->annotation( null, 'warning', __( 'No H1 heading was found in the content area.', 'seokar-ai' ) );
+        }
+
+        // ** ACTUAL API CALL WOULD BE HERE **: send the title and the elements (ref, tag, text) to the active service
+        // and ask for content suggestions as a JSON list of { ref, severity, message }.
+
+        // MOCK RESPONSE: one content suggestion for the first paragraph.
+        foreach ( $elements as $element ) {
+            if ( 'paragraph' === $element['type'] ) {
+                /* translators: %s: Post title */
+                $annotations[] = $this->annotation( $element['ref'], 'info', sprintf( __( 'AI (Mock): Mention the main topic of "%s" in the first paragraph.', 'seokar-ai' ), $current_title ) );
+                break;
+            }
+        }
+
+        return $annotations;
+    }
+
+    /**
+     * Validates the page elements sent by the public script.
+     *
+     * @param mixed $elements Decoded request data.
+     * @return array[] Elements with all keys present and sanitized.
+     */
+    private function sanitize_page_elements( $elements ) {
+        $clean = array();
+        if ( ! is_array( $elements ) ) {
+            return $clean;
+        }
+
+        foreach ( $elements as $element ) {
+            if ( ! is_array( $element ) || empty( $element['ref'] ) || empty( $element['type'] ) ) {
+                continue;
+            }
+            $type = in_array( $element['type'], array( 'heading', 'paragraph', 'image', 'link' ), true ) ? $element['type'] : '';
+            $tag  = isset( $element['tag'] ) ? strtolower( (string) $element['tag'] ) : '';
+            if ( ! $type || ( 'heading' === $type && ! preg_match( '/^h[1-6]$/', $tag ) ) ) {
+                continue;
+            }
+            $clean[] = array(
+                'ref'  => sanitize_key( $element['ref'] ),
+                'type' => $type,
+                'tag'  => $tag,
+                'text' => isset( $element['text'] ) ? sanitize_text_field( $element['text'] ) : '',
+                'alt'  => isset( $element['alt'] ) ? sanitize_text_field( $element['alt'] ) : null,
+                'src'  => isset( $element['src'] ) ? esc_url_raw( $element['src'] ) : '',
+                'href' => isset( $element['href'] ) ? esc_url_raw( $element['href'] ) : '',
+            );
+        }
+        return $clean;
+    }
+
+    /**
+     * Builds one annotation.
+     *
+     * @param string|null $ref Element reference, or null for the whole page.
+     * @param string $severity 'error', 'warning' or 'info'.
+     * @param string $message The message.
+     * @return array
+     */
+    private function annotation( $ref, $severity, $message ) {
+        return array(
+            'ref'      => $ref,
+            'severity' => $severity,
+            'message'  => $message,
+        );
+    }
 }
@@ -0,0 +1,299 @@
+<?php
+/**
+ * SeoKar AI Bulk Class
+ *
+ * The server side of the "Get AI Suggestions" bulk action on the posts list (edit.php).
+ * The selected posts never go through the usual bulk action redirect: seokar-ai-bulk.js
+ * catches the action, asks for one suggestion per post and type through
+ * `seokar_ai_bulk_suggestion` and saves the approved ones through `seokar_ai_bulk_save`.
+ * The script is enqueued on edit.php with the `seokarAiBulk` object from get_script_data().
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class SeoKar_AI_Bulk {
+
+    /**
+     * Name of the bulk action.
+     */
+    const BULK_ACTION = 'seokar_ai_suggest';
+
+    /**
+     * AJAX action that returns a suggestion for one post.
+     */
+    const SUGGEST_ACTION = 'seokar_ai_bulk_suggestion';
+
+    /**
+     * AJAX action that saves an approved suggestion.
+     */
+    const SAVE_ACTION = 'seokar_ai_bulk_save';
+
+    /**
+     * The API handler that produces the suggestions.
+     * @var SeoKar_AI_API_Handler
+     */
+    private $api_handler;
+
+    /**
+     * Constructor.
+     * Hooks the bulk action and the AJAX actions (logged-in users only).
+     *
+     * @param SeoKar_AI_API_Handler $api_handler The API handler.
+     */
+    public function __construct( $api_handler ) {
+        $this->api_handler = $api_handler;
+
+        add_action( 'admin_init', array( $this, 'register_bulk_actions' ) );
+        add_action( 'wp_ajax_' . self::SUGGEST_ACTION, array( $this, 'ajax_suggestion' ) );
+        add_action( 'wp_ajax_' . self::SAVE_ACTION, array( $this, 'ajax_save' ) );
+    }
+
+    /**
+     * Post types whose list offers the bulk action.
+     *
+     * @return string[]
+     */
+    public function get_post_types() {
+        return apply_filters( 'seokar_ai_bulk_post_types', get_post_types( array( 'public' => true, 'show_ui' => true ) ) );
+    }
+
+    /**
+     * The suggestion types that can run in bulk, keyed by type.
+     * 'field' is what an approved suggestion is saved to, 'key' the kind in
+     * SeoKar_AI_API_Handler::get_structured_suggestions() that holds its values.
+     *
+     * @return array[]
+     */
+    private function get_types() {
+        return array(
+            'suggest_title'            => array( 'field' => 'title', 'key' => 'titles', 'label' => __( 'Title', 'seokar-ai' ) ),
+            'suggest_excerpt'          => array( 'field' => 'excerpt', 'key' => 'excerpts', 'label' => __( 'Excerpt', 'seokar-ai' ), 'multiline' => true ),
+            'suggest_tags'             => array( 'field' => 'tags', 'key' => 'tags', 'label' => __( 'Tags', 'seokar-ai' ) ),
+            'suggest_meta_description' => array( 'field' => 'meta_description', 'key' => 'meta_descriptions', 'label' => __( 'Meta description', 'seokar-ai' ), 'multiline' => true ),
+            'suggest_focus_keyword'    => array( 'field' => 'focus_keyword', 'key' => 'focus_keywords', 'label' => __( 'Focus keyphrase', 'seokar-ai' ) ),
+        );
+    }
+
+    /**
+     * Whether a post type has a field (excerpt and tags are optional features).
+     *
+     * @param string $post_type The post type.
+     * @param string $field The field.
+     * @return bool
+     */
+    private function post_type_has_field( $post_type, $field ) {
+        if ( 'excerpt' === $field ) {
+            return post_type_supports( $post_type, 'excerpt' );
+        }
+        if ( 'tags' === $field ) {
+            return is_object_in_taxonomy( $post_type, 'post_tag' );
+        }
+        return true;
+    }
+
+    /**
+     * Adds the bulk action to the lists of the supported post types.
+     *
+     * @return void
+     */
+    public function register_bulk_actions() {
+        foreach ( $this->get_post_types() as $post_type ) {
+            add_filter( 'bulk_actions-edit-' . $post_type, array( $this, 'add_bulk_action' ) );
+        }
+    }
+
+    /**
+     * Filter callback for `bulk_actions-edit-{$post_type}`.
+     *
+     * @param array $actions The bulk actions.
+     * @return array
+     */
+    public function add_bulk_action( $actions ) {
+        if ( current_user_can( 'edit_posts' ) ) {
+            $actions[ self::BULK_ACTION ] = __( 'Get AI Suggestions', 'seokar-ai' );
+        }
+        return $actions;
+    }
+
+    /**
+     * Data for the bulk script, to be localized as `seokarAiBulk` on edit.php.
+     *
+     * @param string $post_type The listed post type.
+     * @return array
+     */
+    public function get_script_data( $post_type ) {
+        $types = array();
+        foreach ( $this->get_types() as $type => $info ) {
+            if ( $this->post_type_has_field( $post_type, $info['field'] ) ) {
+                $types[] = array(
+                    'type'      => $type,
+                    'field'     => $info['field'],
+                    'label'     => $info['label'],
+                    'multiline' => ! empty( $info['multiline'] ),
+                );
+            }
+        }
+
+        return array(
+            'ajax_url'    => admin_url( 'admin-ajax.php' ),
+            'nonce'       => SeoKar_AI_Nonces::create( 'bulk' ),
+            'bulk_action' => self::BULK_ACTION,
+            'concurrency' => max( 1, (int) apply_filters( 'seokar_ai_bulk_concurrency', 2 ) ), // Requests running at the same time
+            'types'       => $types,
+        );
+    }
+
+    /**
+     * Reads the posted post ID and checks that the user may edit that post.
+     * Ends the request with an error otherwise.
+     *
+     * @return WP_Post
+     */
+    private function get_requested_post() {
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+        $post    = $post_id ? get_post( $post_id ) : null;
+
+        if ( ! $post || ! current_user_can( 'edit_post', $post_id ) ) {
+            wp_send_json_error( array(
+                'code'    => 'forbidden',
+                'message' => __( 'You are not allowed to edit this post.', 'seokar-ai' ),
+            ), 403 );
+        }
+        return $post;
+    }
+
+    /**
+     * The current value of a field, in the form suggestions for it take.
+     *
+     * @param WP_Post $post The post.
+     * @param string $field The field.
+     * @return string
+     */
+    private function get_field_value( $post, $field ) {
+        switch ( $field ) {
+            case 'title':
+                return $post->post_title;
+            case 'excerpt':
+                return $post->post_excerpt;
+            case 'tags':
+                return implode( ', ', wp_get_post_tags( $post->ID, array( 'fields' => 'names' ) ) );
+            case 'meta_description':
+                return (string) get_post_meta( $post->ID, SeoKar_AI_Post_Meta::META_DESCRIPTION, true );
+            case 'focus_keyword':
+                return (string) get_post_meta( $post->ID, SeoKar_AI_Post_Meta::FOCUS_KEYWORD, true );
+        }
+        return '';
+    }
+
+    /**
+     * Returns one suggestion for one post: the HTML, the values it offers for the field
+     * and the field's current value. The post is read on the server, so the list screen
+     * does not have to send its content.
+     *
+     * @return void
+     */
+    public function ajax_suggestion() {
+        SeoKar_AI_Nonces::verify_ajax( 'bulk' );
+
+        $types = $this->get_types();
+        $type  = isset( $_POST['action_type'] ) ? sanitize_key( $_POST['action_type'] ) : '';
+        if ( ! isset( $types[ $type ] ) ) {
+            wp_send_json_error( array(
+                'code'    => 'invalid_type',
+                'message' => __( 'This suggestion type cannot run in bulk.', 'seokar-ai' ),
+            ), 400 );
+        }
+
+        $post  = $this->get_requested_post();
+        $field = $types[ $type ]['field'];
+        if ( ! $this->post_type_has_field( $post->post_type, $field ) ) {
+            wp_send_json_error( array(
+                'code'    => 'invalid_field',
+                'message' => __( 'This field cannot be saved here.', 'seokar-ai' ),
+            ), 400 );
+        }
+
+        // The list has no generation controls, so the default preset of the post type applies.
+        $args  = array_merge(
+            SeoKar_AI_Presets::get_default_settings( $post->post_type ),
+            array( 'focus_keyword' => $this->get_field_value( $post, 'focus_keyword' ) )
+        );
+
+        $html = $this->api_handler->get_suggestion( $type, $post->post_title, $post->post_content, $args );
+        if ( is_wp_error( $html ) ) {
+            wp_send_json_error( array(
+                'code'    => $html->get_error_code(),
+                'message' => $html->get_error_message(),
+            ) );
+        }
+
+        $suggestions = $this->api_handler->get_structured_suggestions( $type, $html );
+        $key         = $types[ $type ]['key'];
+
+        wp_send_json_success( array(
+            'html'    => $html,
+            'values'  => isset( $suggestions[ $key ] ) ? $suggestions[ $key ] : array(),
+            'current' => $this->get_field_value( $post, $field ),
+        ) );
+    }
+
+    /**
+     * Saves an approved (possibly edited) suggestion to its field. Tags are added to the
+     * post's tags; the other fields are replaced.
+     *
+     * @return void
+     */
+    public function ajax_save() {
+        SeoKar_AI_Nonces::verify_ajax( 'bulk' );
+
+        $field  = isset( $_POST['field'] ) ? sanitize_key( $_POST['field'] ) : '';
+        $fields = wp_list_pluck( $this->get_types(), 'field' );
+        if ( ! in_array( $field, $fields, true ) ) {
+            wp_send_json_error( array(
+                'code'    => 'invalid_field',
+                'message' => __( 'This field cannot be saved here.', 'seokar-ai' ),
+            ), 400 );
+        }
+
+        $post  = $this->get_requested_post();
+        $value = isset( $_POST['value'] ) ? wp_unslash( $_POST['value'] ) : '';
+
+        if ( ! $this->post_type_has_field( $post->post_type, $field ) ) {
+            wp_send_json_error( array(
+                'code'    => 'invalid_field',
+                'message' => __( 'This field cannot be saved here.', 'seokar-ai' ),
+            ), 400 );
+        }
+
+        switch ( $field ) {
+            case 'title':
+                $result = wp_update_post( wp_slash( array( 'ID' => $post->ID, 'post_title' => sanitize_text_field( $value ) ) ), true );
+                break;
+            case 'excerpt':
+                $result = wp_update_post( wp_slash( array( 'ID' => $post->ID, 'post_excerpt' => sanitize_textarea_field( $value ) ) ), true );
+                break;
+            case 'tags':
+                $result = wp_set_post_tags( $post->ID, sanitize_text_field( $value ), true );
+                break;
+            default:
+                $meta_key = 'meta_description' === $field ? SeoKar_AI_Post_Meta::META_DESCRIPTION : SeoKar_AI_Post_Meta::FOCUS_KEYWORD;
+                $value    = sanitize_text_field( $value );
+                $result   = '' === $value ? delete_post_meta( $post->ID, $meta_key ) : update_post_meta( $post->ID, $meta_key, $value );
+                break;
+        }
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array(
+                'code'    => $result->get_error_code(),
+                'message' => $result->get_error_message(),
+            ) );
+        }
+
+        wp_send_json_success( array(
+            'current' => $this->get_field_value( get_post( $post->ID ), $field ),
+        ) );
+    }
+}
@@ -0,0 +1,234 @@
+<?php
+/**
+ * SeoKar AI Editor Class
+ *
+ * The server side of the editor metabox and sidebar: the `seokar_ai_editor_suggestion` AJAX
+ * action every suggestion button posts to. The answer carries the suggestion's HTML and, as
+ * `suggestions`, its structured values (see SeoKar_AI_API_Handler::get_structured_suggestions()),
+ * which the result renderers build their item lists, outlines and link tables from.
+ * `seokar_ai_editor_suggestion_stream` answers the same request as server-sent events, for the
+ * actions whose text is shown while it is being generated.
+ * The data the editor scripts need from the server (see get_script_data()) is merged into their
+ * localized `seokarAiAdmin` object.
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class SeoKar_AI_Editor {
+
+    /**
+     * AJAX action that returns a suggestion for the post being edited.
+     */
+    const SUGGEST_ACTION = 'seokar_ai_editor_suggestion';
+
+    /**
+     * AJAX action that streams a suggestion as server-sent events (see ajax_suggestion_stream()).
+     */
+    const STREAM_ACTION = 'seokar_ai_editor_suggestion_stream';
+
+    /**
+     * The API handler that produces the suggestions.
+     * @var SeoKar_AI_API_Handler
+     */
+    private $api_handler;
+
+    /**
+     * Constructor.
+     * Hooks the editor script data and the AJAX actions of the editor (logged-in users only).
+     *
+     * @param SeoKar_AI_API_Handler $api_handler The API handler.
+     */
+    public function __construct( $api_handler ) {
+        $this->api_handler = $api_handler;
+
+        add_action( 'admin_enqueue_scripts', array( $this, 'add_script_data' ), 100 ); // After the scripts are enqueued
+        add_action( 'wp_ajax_' . self::SUGGEST_ACTION, array( $this, 'ajax_suggestion' ) );
+        add_action( 'wp_ajax_' . self::STREAM_ACTION, array( $this, 'ajax_suggestion_stream' ) );
+    }
+
+    /**
+     * Data for the editor scripts, merged into the localized `seokarAiAdmin` object.
+     * `streaming` tells the metabox whether the stream action is hooked (sites can unhook it,
+     * e.g. behind a proxy that buffers responses).
+     *
+     * @param WP_Post $post The post being edited.
+     * @return array
+     */
+    public function get_script_data( $post ) {
+        return array(
+            'post_meta' => SeoKar_AI_Post_Meta::get_editor_data( $post->ID ),
+            'presets'   => SeoKar_AI_Presets::get_editor_data( $post->post_type ),
+            'streaming' => (bool) has_action( 'wp_ajax_' . self::STREAM_ACTION, array( $this, 'ajax_suggestion_stream' ) ),
+        );
+    }
+
+    /**
+     * Handles of the scripts that read `seokarAiAdmin`: the metabox script and the block editor
+     * sidebar, found by file name. Filterable for sites that load them under other names.
+     *
+     * @return string[]
+     */
+    private function get_script_handles() {
+        $files   = array( 'seokar-ai-public-scripts.js', 'seokar-ai-editor-sidebar.js' );
+        $handles = array();
+        foreach ( wp_scripts()->registered as $handle => $script ) {
+            if ( is_string( $script->src ) && in_array( wp_basename( strtok( $script->src, '?' ) ), $files, true ) ) {
+                $handles[] = $handle;
+            }
+        }
+        return apply_filters( 'seokar_ai_editor_script_handles', $handles );
+    }
+
+    /**
+     * Adds get_script_data() in front of each editor script on the post editing screens.
+     * An inline script printed before a script follows its localized data, so the object
+     * is complete whichever script runs first.
+     *
+     * @param string $hook_suffix The current admin page.
+     * @return void
+     */
+    public function add_script_data( $hook_suffix ) {
+        $post = get_post();
+        if ( ! in_array( $hook_suffix, array( 'post.php', 'post-new.php' ), true ) || ! $post || ! current_user_can( 'edit_post', $post->ID ) ) {
+            return;
+        }
+
+        $script = 'window.seokarAiAdmin = Object.assign( window.seokarAiAdmin || {}, ' . wp_json_encode( $this->get_script_data( $post ) ) . ' );';
+        foreach ( $this->get_script_handles() as $handle ) {
+            wp_add_inline_script( $handle, $script, 'before' );
+        }
+    }
+
+    /**
+     * Reads the extra request arguments of the suggestion types (see
+     * SeoKar_AI_API_Handler::get_suggestion()): the generation settings of the editor, then the
+     * arguments of the type. Arguments of the type that were not posted are left out.
+     *
+     * @return array
+     */
+    private function get_request_args() {
+        $sanitizers = array(
+            'selected_text'     => 'wp_kses_post',
+            'context_before'    => 'sanitize_textarea_field',
+            'context_after'     => 'sanitize_textarea_field',
+            'focus_keyword'     => 'sanitize_text_field',
+            'section_title'     => 'sanitize_text_field',
+            'section_level'     => 'absint',
+            'outline'           => 'sanitize_textarea_field',
+            'previous_sections' => 'sanitize_textarea_field',
+            'link_candidates'   => 'strval', // JSON, cleaned by the API handler
+            'image_url'         => 'esc_url_raw',
+            'image_alt'         => 'sanitize_text_field',
+            'image_caption'     => 'sanitize_text_field',
+            'image_context'     => 'sanitize_textarea_field',
+        );
+
+        $args = SeoKar_AI_Presets::get_request_settings();
+        foreach ( $sanitizers as $key => $sanitizer ) {
+            if ( isset( $_POST[ $key ] ) && is_string( $_POST[ $key ] ) ) {
+                $args[ $key ] = call_user_func( $sanitizer, wp_unslash( $_POST[ $key ] ) );
+            }
+        }
+        return $args;
+    }
+
+    /**
+     * Checks a suggestion request and reads it. Posted: 'post_id', 'action_type', 'current_title',
+     * 'current_content' and the arguments of the type (see get_request_args()). The title and
+     * content are the editor's unsaved ones, so they are read from the request.
+     * Ends the request with a JSON error when the nonce, the capability or the type is missing.
+     *
+     * @return array array( type, title, content ).
+     */
+    private function read_suggestion_request() {
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+        SeoKar_AI_Nonces::verify_ajax( 'metabox', $post_id );
+
+        $allowed = $post_id ? current_user_can( 'edit_post', $post_id ) : current_user_can( 'edit_posts' );
+        if ( ! $allowed ) {
+            wp_send_json_error( array(
+                'code'    => 'forbidden',
+                'message' => __( 'You are not allowed to edit this post.', 'seokar-ai' ),
+            ), 403 );
+        }
+
+        $type = isset( $_POST['action_type'] ) ? sanitize_key( $_POST['action_type'] ) : '';
+        if ( '' === $type ) {
+            wp_send_json_error( array(
+                'code'    => 'invalid_type',
+                'message' => __( 'No suggestion type was requested.', 'seokar-ai' ),
+            ), 400 );
+        }
+
+        $title   = isset( $_POST['current_title'] ) ? sanitize_text_field( wp_unslash( $_POST['current_title'] ) ) : '';
+        $content = isset( $_POST['current_content'] ) ? wp_kses_post( wp_unslash( $_POST['current_content'] ) ) : '';
+
+        return array( $type, $title, $content );
+    }
+
+    /**
+     * Returns a suggestion for the post being edited (see read_suggestion_request()).
+     *
+     * @return void
+     */
+    public function ajax_suggestion() {
+        list( $type, $title, $content ) = $this->read_suggestion_request();
+
+        $html = $this->api_handler->get_suggestion( $type, $title, $content, $this->get_request_args() );
+        if ( is_wp_error( $html ) ) {
+            wp_send_json_error( array(
+                'code'    => $html->get_error_code(),
+                'message' => $html->get_error_message(),
+            ) );
+        }
+
+        wp_send_json_success( array(
+            'html'        => $html,
+            'suggestions' => $this->api_handler->get_structured_suggestions( $type, $html ),
+        ) );
+    }
+
+    /**
+     * Streams a suggestion for the post being edited as server-sent events: `chunk` ({ text })
+     * for each piece as it is generated, then `done` ({ html, suggestions }) or `error`
+     * ({ code, message }). Types that are not written in parts send `done` alone. The request is
+     * checked before the stream starts, so a rejected one gets the usual JSON error.
+     *
+     * @return void
+     */
+    public function ajax_suggestion_stream() {
+        list( $type, $title, $content ) = $this->read_suggestion_request();
+        $args = $this->get_request_args();
+
+        while ( ob_get_level() ) {
+            ob_end_clean(); // Each event has to reach the browser when it is sent
+        }
+        header( 'Content-Type: text/event-stream; charset=' . get_option( 'blog_charset' ) );
+        header( 'Cache-Control: no-cache' );
+        header( 'X-Accel-Buffering: no' ); // Keeps nginx from buffering the stream
+
+        $send_event = function ( $event, $data ) {
+            echo 'event: ' . $event . "\n" . 'data: ' . wp_json_encode( $data ) . "\n\n";
+            flush();
+        };
+
+        $html = $this->api_handler->get_suggestion( $type, $title, $content, $args, function ( $text ) use ( $send_event ) {
+            $send_event( 'chunk', array( 'text' => $text ) );
+        } );
+        if ( is_wp_error( $html ) ) {
+            $send_event( 'error', array(
+                'code'    => $html->get_error_code(),
+                'message' => $html->get_error_message(),
+            ) );
+        } else {
+            $send_event( 'done', array(
+                'html'        => $html,
+                'suggestions' => $this->api_handler->get_structured_suggestions( $type, $html ),
+            ) );
+        }
+        wp_die();
+    }
+}
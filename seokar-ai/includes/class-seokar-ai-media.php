@@ -0,0 +1,82 @@
+<?php
+/**
+ * SeoKar AI Media Class
+ *
+ * Saves alt text and captions suggested in the metabox's "Image Alt Text" panel to the media
+ * library, so the attachment carries them the next time it is inserted. The image in the post
+ * itself is updated in the editor; this only touches the attachment.
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class SeoKar_AI_Media {
+
+    /**
+     * AJAX action that updates the alt text and caption of an attachment.
+     */
+    const UPDATE_ACTION = 'seokar_ai_update_attachment';
+
+    /**
+     * Constructor.
+     * Hooks the AJAX action of the metabox (logged-in users only).
+     */
+    public function __construct() {
+        add_action( 'wp_ajax_' . self::UPDATE_ACTION, array( $this, 'ajax_update_attachment' ) );
+    }
+
+    /**
+     * Updates the alt text (`_wp_attachment_image_alt`) and the caption (the attachment's excerpt)
+     * of an image. Posted: 'post_id' (the post being edited, for the nonce), 'attachment_id', 'alt'
+     * and 'caption'; an empty caption leaves the attachment's caption as it is.
+     *
+     * @return void
+     */
+    public function ajax_update_attachment() {
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+        SeoKar_AI_Nonces::verify_ajax( 'metabox', $post_id );
+
+        $attachment_id = isset( $_POST['attachment_id'] ) ? absint( $_POST['attachment_id'] ) : 0;
+        if ( ! $attachment_id || ! wp_attachment_is_image( $attachment_id ) ) {
+            wp_send_json_error( array(
+                'code'    => 'invalid_attachment',
+                'message' => __( 'The image is not in the media library.', 'seokar-ai' ),
+            ), 400 );
+        }
+        if ( ! current_user_can( 'edit_post', $attachment_id ) ) {
+            wp_send_json_error( array(
+                'code'    => 'forbidden',
+                'message' => __( 'You are not allowed to edit this image in the media library.', 'seokar-ai' ),
+            ), 403 );
+        }
+
+        $alt     = isset( $_POST['alt'] ) ? sanitize_text_field( wp_unslash( $_POST['alt'] ) ) : '';
+        $caption = isset( $_POST['caption'] ) ? wp_kses_post( trim( wp_unslash( $_POST['caption'] ) ) ) : '';
+
+        if ( '' === $alt ) {
+            wp_send_json_error( array(
+                'code'    => 'empty_alt',
+                'message' => __( 'The alt text is empty.', 'seokar-ai' ),
+            ), 400 );
+        }
+        update_post_meta( $attachment_id, '_wp_attachment_image_alt', $alt );
+
+        if ( '' !== $caption ) {
+            $result = wp_update_post( wp_slash( array( 'ID' => $attachment_id, 'post_excerpt' => $caption ) ), true );
+            if ( is_wp_error( $result ) ) {
+                wp_send_json_error( array(
+                    'code'    => $result->get_error_code(),
+                    'message' => $result->get_error_message(),
+                ) );
+            }
+        }
+
+        wp_send_json_success( array(
+            'attachment_id' => $attachment_id,
+            'alt'           => get_post_meta( $attachment_id, '_wp_attachment_image_alt', true ),
+            'caption'       => get_post_field( 'post_excerpt', $attachment_id ),
+        ) );
+    }
+}
@@ -0,0 +1,104 @@
+<?php
+/**
+ * SeoKar AI Nonces Class
+ *
+ * Names the nonces of the editor metabox, the posts list bulk action and the front-end analysis, and hands out
+ * fresh ones to the client request layer (seokar-ai-request.js) through the
+ * `seokar_ai_refresh_nonce` AJAX action. A new nonce is needed when a new post gets its ID
+ * on the first save, or when the one printed with the page has expired.
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class SeoKar_AI_Nonces {
+
+    /**
+     * AJAX action that returns a fresh nonce.
+     */
+    const REFRESH_ACTION = 'seokar_ai_refresh_nonce';
+
+    /**
+     * Constructor.
+     * Hooks the refresh action (logged-in users only).
+     */
+    public function __construct() {
+        add_action( 'wp_ajax_' . self::REFRESH_ACTION, array( $this, 'ajax_refresh_nonce' ) );
+    }
+
+    /**
+     * Nonce action of a context. The localized `nonce` values must be created with
+     * create() (or this action), so that refreshed nonces match the ones the handlers check.
+     *
+     * @param string $context 'metabox', 'bulk' or 'public'.
+     * @param int $post_id The post ID (0 for a post that has not been saved yet).
+     * @return string
+     */
+    public static function get_action( $context, $post_id = 0 ) {
+        if ( 'public' === $context ) {
+            $action = 'seokar_ai_public_action';
+        } elseif ( 'bulk' === $context ) {
+            $action = 'seokar_ai_bulk_action';
+        } else {
+            $action = 'seokar_ai_metabox_action_' . ( $post_id ? $post_id : 'new_post' );
+        }
+
+        return apply_filters( 'seokar_ai_nonce_action', $action, $context, $post_id );
+    }
+
+    /**
+     * Creates the nonce of a context.
+     *
+     * @param string $context 'metabox', 'bulk' or 'public'.
+     * @param int $post_id The post ID.
+     * @return string
+     */
+    public static function create( $context, $post_id = 0 ) {
+        return wp_create_nonce( self::get_action( $context, $post_id ) );
+    }
+
+    /**
+     * Verifies the nonce sent with an AJAX request. On failure the request ends with
+     * the `invalid_nonce` error the client answers by refreshing the nonce and trying again.
+     *
+     * @param string $context 'metabox', 'bulk' or 'public'.
+     * @param int $post_id The post ID.
+     * @return void
+     */
+    public static function verify_ajax( $context, $post_id = 0 ) {
+        $nonce = isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '';
+        if ( ! wp_verify_nonce( $nonce, self::get_action( $context, $post_id ) ) ) {
+            wp_send_json_error( array(
+                'code'    => 'invalid_nonce',
+                'message' => __( 'Your session has expired. Please reload the page.', 'seokar-ai' ),
+            ), 403 );
+        }
+    }
+
+    /**
+     * Returns a fresh nonce for the posted context and post ID.
+     * There is no nonce to check here (the old one is what failed), so access rests on the
+     * user being allowed to edit the post; the answer cannot be read cross-origin.
+     *
+     * @return void
+     */
+    public function ajax_refresh_nonce() {
+        $context = ( isset( $_POST['context'] ) && in_array( $_POST['context'], array( 'public', 'bulk' ), true ) ) ? $_POST['context'] : 'metabox';
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+
+        $allowed = $post_id ? current_user_can( 'edit_post', $post_id ) : current_user_can( 'edit_posts' );
+        if ( ! $allowed ) {
+            wp_send_json_error( array(
+                'code'    => 'forbidden',
+                'message' => __( 'You are not allowed to do this.', 'seokar-ai' ),
+            ), 403 );
+        }
+
+        wp_send_json_success( array(
+            'nonce'   => self::create( $context, $post_id ),
+            'post_id' => $post_id,
+        ) );
+    }
+}
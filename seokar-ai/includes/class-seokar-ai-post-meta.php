@@ -0,0 +1,137 @@
+<?php
+/**
+ * SeoKar AI Post Meta Class
+ *
+ * Registers the SEO fields stored per post (meta description and focus keyphrase),
+ * saves them from the classic editor and prints the meta description on the front-end.
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class SeoKar_AI_Post_Meta {
+
+    /**
+     * Meta key of the SEO meta description.
+     */
+    const META_DESCRIPTION = '_seokar_ai_meta_description';
+
+    /**
+     * Meta key of the focus keyphrase.
+     */
+    const FOCUS_KEYWORD = '_seokar_ai_focus_keyword';
+
+    /**
+     * Constructor.
+     * Hooks the meta registration, the classic editor save and the front-end output.
+     */
+    public function __construct() {
+        add_action( 'init', array( $this, 'register_meta' ) );
+        add_action( 'save_post', array( $this, 'save_classic_fields' ), 10, 2 );
+        add_action( 'wp_head', array( $this, 'print_meta_description' ), 1 );
+    }
+
+    /**
+     * Registers both fields for every public post type, exposed to the REST API
+     * so the block editor can edit them with `editPost( { meta } )`.
+     * The REST API only exposes meta of post types that support custom fields, so the
+     * support is added to the post types that lack it.
+     *
+     * @return void
+     */
+    public function register_meta() {
+        $post_types = apply_filters( 'seokar_ai_meta_post_types', get_post_types( array( 'public' => true ) ) );
+
+        foreach ( $post_types as $post_type ) {
+            if ( ! post_type_supports( $post_type, 'custom-fields' ) ) {
+                add_post_type_support( $post_type, 'custom-fields' );
+            }
+            foreach ( array( self::META_DESCRIPTION, self::FOCUS_KEYWORD ) as $meta_key ) {
+                register_post_meta( $post_type, $meta_key, array(
+                    'type'              => 'string',
+                    'single'            => true,
+                    'show_in_rest'      => true,
+                    'sanitize_callback' => 'sanitize_text_field',
+                    'auth_callback'     => function ( $allowed, $meta_key, $post_id ) {
+                        return current_user_can( 'edit_post', $post_id );
+                    },
+                ) );
+            }
+        }
+    }
+
+    /**
+     * Current values for the editor script, merged into the localized `seokarAiAdmin` object
+     * as `post_meta` (the classic editor has no data store to read them from; see SeoKar_AI_Editor).
+     *
+     * @param int $post_id The post ID.
+     * @return array
+     */
+    public static function get_editor_data( $post_id ) {
+        return array(
+            'meta_description' => (string) get_post_meta( $post_id, self::META_DESCRIPTION, true ),
+            'focus_keyword'    => (string) get_post_meta( $post_id, self::FOCUS_KEYWORD, true ),
+        );
+    }
+
+    /**
+     * Saves the fields posted by the classic editor form. The metabox only posts the fields
+     * the author edited, so an empty value is a cleared field and deletes the meta.
+     * The block editor saves them through the REST API instead.
+     *
+     * @param int $post_id The post ID.
+     * @param WP_Post $post The post object.
+     * @return void
+     */
+    public function save_classic_fields( $post_id, $post ) {
+        if ( ! isset( $_POST['seokar_ai_meta_description'] ) && ! isset( $_POST['seokar_ai_focus_keyword'] ) ) {
+            return; // Not the classic editor form.
+        }
+        if ( defined( 'DOING_AUTOSAVE' ) && DOING_AUTOSAVE ) {
+            return;
+        }
+        if ( wp_is_post_revision( $post_id ) || ! current_user_can( 'edit_post', $post_id ) ) {
+            return;
+        }
+        // The fields live in the post form, so the core form nonce covers them.
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_key( $_POST['_wpnonce'] ), 'update-post_' . $post_id ) ) {
+            return;
+        }
+
+        $fields = array(
+            'seokar_ai_meta_description' => self::META_DESCRIPTION,
+            'seokar_ai_focus_keyword'    => self::FOCUS_KEYWORD,
+        );
+        foreach ( $fields as $field => $meta_key ) {
+            if ( ! isset( $_POST[ $field ] ) ) {
+                continue;
+            }
+            $value = sanitize_text_field( wp_unslash( $_POST[ $field ] ) );
+            if ( '' === $value ) {
+                delete_post_meta( $post_id, $meta_key );
+            } else {
+                update_post_meta( $post_id, $meta_key, $value );
+            }
+        }
+    }
+
+    /**
+     * Prints the meta description tag on singular pages that have one.
+     * Sites that let another SEO plugin handle the tag can turn this off with the
+     * `seokar_ai_print_meta_description` filter.
+     *
+     * @return void
+     */
+    public function print_meta_description() {
+        if ( ! is_singular() || ! apply_filters( 'seokar_ai_print_meta_description', true ) ) {
+            return;
+        }
+
+        $description = get_post_meta( get_queried_object_id(), self::META_DESCRIPTION, true );
+        if ( ! empty( $description ) ) {
+            echo '<meta name="description" content="' . esc_attr( $description ) . '" />' . "\n";
+        }
+    }
+}
@@ -0,0 +1,355 @@
+<?php
+/**
+ * SeoKar AI Presets Class
+ *
+ * Generation settings (tone, target length, audience, output language and number of variants)
+ * sent with every suggestion request, and the named presets they can be saved as. A preset
+ * belongs to a user or is shared by everyone editing a post type. The editor loads the user's
+ * default preset for the post type, or else the post type's default.
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class SeoKar_AI_Presets {
+
+    /**
+     * User meta holding the user's own presets.
+     */
+    const USER_PRESETS = '_seokar_ai_presets';
+
+    /**
+     * User meta holding the user's default preset ID per post type.
+     */
+    const USER_DEFAULTS = '_seokar_ai_default_presets';
+
+    /**
+     * Option holding the shared presets and the default preset ID per post type.
+     */
+    const POST_TYPE_OPTION = 'seokar_ai_post_type_presets';
+
+    /**
+     * The most presets kept per user or post type.
+     */
+    const MAX_PRESETS = 20;
+
+    /**
+     * Constructor.
+     * Hooks the AJAX actions of the metabox (logged-in users only).
+     */
+    public function __construct() {
+        add_action( 'wp_ajax_seokar_ai_save_preset', array( $this, 'ajax_save_preset' ) );
+        add_action( 'wp_ajax_seokar_ai_delete_preset', array( $this, 'ajax_delete_preset' ) );
+        add_action( 'wp_ajax_seokar_ai_default_preset', array( $this, 'ajax_default_preset' ) );
+    }
+
+    /**
+     * Allowed tones. The keys match the tones of the metabox.
+     *
+     * @return string[]
+     */
+    public static function get_tones() {
+        return apply_filters( 'seokar_ai_tones', array( 'formal', 'friendly', 'casual', 'persuasive', 'professional' ) );
+    }
+
+    /**
+     * Cleans generation settings. Empty values mean "use the built-in default".
+     *
+     * @param array $raw Settings: 'tone', 'length', 'audience', 'language', 'variants'.
+     * @return array All five settings.
+     */
+    public static function sanitize_settings( $raw ) {
+        $raw      = is_array( $raw ) ? $raw : array();
+        $tone     = isset( $raw['tone'] ) ? sanitize_key( $raw['tone'] ) : '';
+        $length   = isset( $raw['length'] ) ? sanitize_key( $raw['length'] ) : '';
+        $variants = isset( $raw['variants'] ) ? absint( $raw['variants'] ) : 0;
+
+        return array(
+            'tone'     => in_array( $tone, self::get_tones(), true ) ? $tone : '',
+            'length'   => in_array( $length, array( 'short', 'medium', 'long' ), true ) ? $length : '',
+            'audience' => isset( $raw['audience'] ) ? mb_substr( sanitize_text_field( $raw['audience'] ), 0, 100 ) : '',
+            'language' => isset( $raw['language'] ) ? mb_substr( sanitize_text_field( $raw['language'] ), 0, 50 ) : '',
+            'variants' => $variants ? min( 10, $variants ) : '',
+        );
+    }
+
+    /**
+     * Generation settings posted with a suggestion request, for the `$args` of
+     * SeoKar_AI_API_Handler::get_suggestion():
+     * $args = array_merge( SeoKar_AI_Presets::get_request_settings(), $other_args );
+     *
+     * @return array
+     */
+    public static function get_request_settings() {
+        return self::sanitize_settings( wp_unslash( $_POST ) );
+    }
+
+    /**
+     * Whether the current user may save shared presets for a post type.
+     *
+     * @param string $post_type The post type.
+     * @return bool
+     */
+    public static function can_share( $post_type ) {
+        $post_type_object = get_post_type_object( $post_type );
+        $capability = $post_type_object ? $post_type_object->cap->edit_others_posts : 'edit_others_posts';
+        return current_user_can( apply_filters( 'seokar_ai_share_presets_capability', $capability, $post_type ) );
+    }
+
+    /**
+     * The shared presets and default of a post type.
+     *
+     * @param string $post_type The post type.
+     * @return array { presets: array[], default: string }
+     */
+    private static function get_post_type_data( $post_type ) {
+        $all  = get_option( self::POST_TYPE_OPTION, array() );
+        $data = isset( $all[ $post_type ] ) ? $all[ $post_type ] : array();
+        return wp_parse_args( $data, array( 'presets' => array(), 'default' => '' ) );
+    }
+
+    /**
+     * Stores the shared presets and default of a post type.
+     *
+     * @param string $post_type The post type.
+     * @param array $data { presets: array[], default: string }
+     * @return void
+     */
+    private static function set_post_type_data( $post_type, $data ) {
+        $all = get_option( self::POST_TYPE_OPTION, array() );
+        $all[ $post_type ] = $data;
+        update_option( self::POST_TYPE_OPTION, $all, false );
+    }
+
+    /**
+     * The user's own presets.
+     *
+     * @param int $user_id The user ID.
+     * @return array[]
+     */
+    private static function get_user_presets( $user_id ) {
+        $presets = get_user_meta( $user_id, self::USER_PRESETS, true );
+        return is_array( $presets ) ? $presets : array();
+    }
+
+    /**
+     * All presets the user can use for a post type: their own first, then the shared ones.
+     * Each is array( 'id', 'name', 'scope' => 'user'|'post_type', 'settings' ).
+     *
+     * @param string $post_type The post type.
+     * @return array[]
+     */
+    public static function get_presets( $post_type ) {
+        $presets = array();
+        foreach ( self::get_user_presets( get_current_user_id() ) as $preset ) {
+            $presets[] = array_merge( $preset, array( 'scope' => 'user' ) );
+        }
+        foreach ( self::get_post_type_data( $post_type )['presets'] as $preset ) {
+            $presets[] = array_merge( $preset, array( 'scope' => 'post_type' ) );
+        }
+        return $presets;
+    }
+
+    /**
+     * The ID of the preset the editor loads: the user's default for the post type,
+     * or else the post type's default. Empty when there is none.
+     *
+     * @param string $post_type The post type.
+     * @return string
+     */
+    public static function get_default_id( $post_type ) {
+        $ids       = wp_list_pluck( self::get_presets( $post_type ), 'id' );
+        $defaults  = get_user_meta( get_current_user_id(), self::USER_DEFAULTS, true );
+        $candidates = array(
+            is_array( $defaults ) && isset( $defaults[ $post_type ] ) ? $defaults[ $post_type ] : '',
+            self::get_post_type_data( $post_type )['default'],
+        );
+        foreach ( $candidates as $id ) {
+            if ( $id && in_array( $id, $ids, true ) ) {
+                return $id;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Settings of the default preset (built-in defaults when there is none), for requests
+     * that have no settings of their own, like the bulk action.
+     *
+     * @param string $post_type The post type.
+     * @return array
+     */
+    public static function get_default_settings( $post_type ) {
+        $default_id = self::get_default_id( $post_type );
+        foreach ( self::get_presets( $post_type ) as $preset ) {
+            if ( $preset['id'] === $default_id ) {
+                return self::sanitize_settings( $preset['settings'] );
+            }
+        }
+        return self::sanitize_settings( array() );
+    }
+
+    /**
+     * Data for the editor scripts, merged into the localized `seokarAiAdmin` object as `presets` (see SeoKar_AI_Editor).
+     *
+     * @param string $post_type The post type being edited.
+     * @return array { post_type, presets, default, can_share }
+     */
+    public static function get_editor_data( $post_type ) {
+        return array(
+            'post_type' => $post_type,
+            'presets'   => self::get_presets( $post_type ),
+            'default'   => self::get_default_id( $post_type ),
+            'can_share' => self::can_share( $post_type ),
+        );
+    }
+
+    /**
+     * Checks the nonce and reads the post type of a preset request.
+     * Ends the request with an error when the user may not edit posts of that type.
+     *
+     * @return string The post type.
+     */
+    private function verify_request() {
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+        SeoKar_AI_Nonces::verify_ajax( 'metabox', $post_id );
+
+        $post_type = isset( $_POST['post_type'] ) ? sanitize_key( $_POST['post_type'] ) : '';
+        $post_type_object = get_post_type_object( $post_type );
+        if ( ! $post_type_object || ! current_user_can( $post_type_object->cap->edit_posts ) ) {
+            wp_send_json_error( array(
+                'code'    => 'forbidden',
+                'message' => __( 'You are not allowed to do this.', 'seokar-ai' ),
+            ), 403 );
+        }
+        return $post_type;
+    }
+
+    /**
+     * Saves a preset, replacing the one with the same name in the same scope.
+     * Posted: 'name', 'scope' ('user' or 'post_type'), 'make_default' and the settings
+     * ('tone', 'length', 'audience', 'language', 'variants').
+     *
+     * @return void
+     */
+    public function ajax_save_preset() {
+        $post_type = $this->verify_request();
+        $name      = isset( $_POST['name'] ) ? mb_substr( sanitize_text_field( wp_unslash( $_POST['name'] ) ), 0, 50 ) : '';
+        $scope     = ( isset( $_POST['scope'] ) && 'post_type' === $_POST['scope'] ) ? 'post_type' : 'user';
+        $settings  = self::get_request_settings();
+        $make_default = ! empty( $_POST['make_default'] );
+
+        if ( '' === $name ) {
+            wp_send_json_error( array( 'code' => 'invalid_name', 'message' => __( 'Please give the preset a name.', 'seokar-ai' ) ), 400 );
+        }
+        if ( 'post_type' === $scope && ! self::can_share( $post_type ) ) {
+            wp_send_json_error( array( 'code' => 'forbidden', 'message' => __( 'You are not allowed to share presets.', 'seokar-ai' ) ), 403 );
+        }
+
+        $user_id = get_current_user_id();
+        $presets = 'post_type' === $scope ? self::get_post_type_data( $post_type )['presets'] : self::get_user_presets( $user_id );
+        $id      = '';
+        foreach ( $presets as $index => $preset ) {
+            if ( $preset['name'] === $name ) {
+                $id = $preset['id'];
+                $presets[ $index ]['settings'] = $settings;
+            }
+        }
+        if ( ! $id ) {
+            if ( count( $presets ) >= self::MAX_PRESETS ) {
+                wp_send_json_error( array( 'code' => 'too_many', 'message' => __( 'There are too many presets. Delete one first.', 'seokar-ai' ) ), 400 );
+            }
+            $id        = wp_generate_uuid4();
+            $presets[] = array( 'id' => $id, 'name' => $name, 'settings' => $settings );
+        }
+
+        if ( 'post_type' === $scope ) {
+            $data = self::get_post_type_data( $post_type );
+            $data['presets'] = $presets;
+            if ( $make_default ) {
+                $data['default'] = $id;
+            }
+            self::set_post_type_data( $post_type, $data );
+        } else {
+            update_user_meta( $user_id, self::USER_PRESETS, $presets );
+            if ( $make_default ) {
+                $this->set_user_default( $post_type, $id );
+            }
+        }
+
+        wp_send_json_success( array_merge( self::get_editor_data( $post_type ), array( 'saved' => $id ) ) );
+    }
+
+    /**
+     * Deletes a preset. Posted: 'id'.
+     *
+     * @return void
+     */
+    public function ajax_delete_preset() {
+        $post_type = $this->verify_request();
+        $id        = isset( $_POST['id'] ) ? sanitize_text_field( wp_unslash( $_POST['id'] ) ) : '';
+        $user_id   = get_current_user_id();
+        $keep      = function ( $preset ) use ( $id ) {
+            return $preset['id'] !== $id;
+        };
+
+        $user_presets = self::get_user_presets( $user_id );
+        $remaining    = array_values( array_filter( $user_presets, $keep ) );
+        if ( count( $remaining ) !== count( $user_presets ) ) {
+            update_user_meta( $user_id, self::USER_PRESETS, $remaining );
+        } else {
+            $data      = self::get_post_type_data( $post_type );
+            $remaining = array_values( array_filter( $data['presets'], $keep ) );
+            if ( count( $remaining ) !== count( $data['presets'] ) ) {
+                if ( ! self::can_share( $post_type ) ) {
+                    wp_send_json_error( array( 'code' => 'forbidden', 'message' => __( 'You are not allowed to delete shared presets.', 'seokar-ai' ) ), 403 );
+                }
+                $data['presets'] = $remaining;
+                if ( $data['default'] === $id ) {
+                    $data['default'] = '';
+                }
+                self::set_post_type_data( $post_type, $data );
+            }
+        }
+
+        wp_send_json_success( self::get_editor_data( $post_type ) );
+    }
+
+    /**
+     * Makes a preset the user's default for the post type. Posted: 'id' (empty to clear it).
+     *
+     * @return void
+     */
+    public function ajax_default_preset() {
+        $post_type = $this->verify_request();
+        $id        = isset( $_POST['id'] ) ? sanitize_text_field( wp_unslash( $_POST['id'] ) ) : '';
+
+        if ( $id && ! in_array( $id, wp_list_pluck( self::get_presets( $post_type ), 'id' ), true ) ) {
+            wp_send_json_error( array( 'code' => 'not_found', 'message' => __( 'The preset no longer exists.', 'seokar-ai' ) ), 404 );
+        }
+        $this->set_user_default( $post_type, $id );
+
+        wp_send_json_success( self::get_editor_data( $post_type ) );
+    }
+
+    /**
+     * Stores the user's default preset of a post type.
+     *
+     * @param string $post_type The post type.
+     * @param string $id The preset ID, or '' to clear it.
+     * @return void
+     */
+    private function set_user_default( $post_type, $id ) {
+        $user_id  = get_current_user_id();
+        $defaults = get_user_meta( $user_id, self::USER_DEFAULTS, true );
+        $defaults = is_array( $defaults ) ? $defaults : array();
+        if ( $id ) {
+            $defaults[ $post_type ] = $id;
+        } else {
+            unset( $defaults[ $post_type ] );
+        }
+        update_user_meta( $user_id, self::USER_DEFAULTS, $defaults );
+    }
+}
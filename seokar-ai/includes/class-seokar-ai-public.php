@@ -0,0 +1,100 @@
+<?php
+/**
+ * SeoKar AI Public Class
+ *
+ * The server side of the front-end analysis (seokar-ai/public/js/seokar-ai-public-scripts.js):
+ * the `seokar_ai_public_suggestion` AJAX action behind the icon shown to editors. It answers
+ * with the summary HTML and the annotations the script highlights on the page. The script runs
+ * on the front-end, so the request layer it shares with the editor is registered there too.
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class SeoKar_AI_Public {
+
+    /**
+     * AJAX action that analyzes the page being viewed.
+     */
+    const SUGGEST_ACTION = 'seokar_ai_public_suggestion';
+
+    /**
+     * Handle of the shared request layer (seokar-ai-request.js).
+     */
+    const REQUEST_HANDLE = 'seokar-ai-request';
+
+    /**
+     * The API handler that produces the analysis.
+     * @var SeoKar_AI_API_Handler
+     */
+    private $api_handler;
+
+    /**
+     * Constructor.
+     * Hooks the script dependencies and the AJAX action of the front-end analysis (logged-in users only).
+     *
+     * @param SeoKar_AI_API_Handler $api_handler The API handler.
+     */
+    public function __construct( $api_handler ) {
+        $this->api_handler = $api_handler;
+
+        add_action( 'wp_enqueue_scripts', array( $this, 'register_script_dependencies' ), 100 ); // After the script is registered
+        add_action( 'wp_ajax_' . self::SUGGEST_ACTION, array( $this, 'ajax_suggestion' ) );
+    }
+
+    /**
+     * Registers the request layer on the front-end and makes wp-i18n and it dependencies of the
+     * front-end script, found by file name, so they are printed before it.
+     *
+     * @return void
+     */
+    public function register_script_dependencies() {
+        if ( ! wp_script_is( self::REQUEST_HANDLE, 'registered' ) ) {
+            wp_register_script( self::REQUEST_HANDLE, plugins_url( 'admin/js/seokar-ai-request.js', dirname( __FILE__ ) ), array( 'wp-i18n' ), false, true );
+        }
+
+        foreach ( wp_scripts()->registered as $script ) {
+            if ( is_string( $script->src ) && 'seokar-ai-public-scripts.js' === wp_basename( strtok( $script->src, '?' ) ) ) {
+                $script->deps = array_values( array_unique( array_merge( $script->deps, array( 'wp-i18n', self::REQUEST_HANDLE ) ) ) );
+            }
+        }
+    }
+
+    /**
+     * Returns the analysis of a post as viewed on the front-end. Posted: 'post_id' and
+     * 'elements', the page elements collected by the script as JSON (see
+     * SeoKar_AI_API_Handler::get_page_annotations()). The title and content are read on the server.
+     *
+     * @return void
+     */
+    public function ajax_suggestion() {
+        SeoKar_AI_Nonces::verify_ajax( 'public' );
+
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+        $post    = $post_id ? get_post( $post_id ) : null;
+        if ( ! $post || ! current_user_can( 'edit_post', $post_id ) ) {
+            wp_send_json_error( array(
+                'code'    => 'forbidden',
+                'message' => __( 'You are not allowed to analyze this page.', 'seokar-ai' ),
+            ), 403 );
+        }
+
+        $analysis = $this->api_handler->get_page_analysis( $post->post_title, mb_substr( wp_strip_all_tags( $post->post_content ), 0, 500 ) );
+        if ( is_wp_error( $analysis ) ) {
+            wp_send_json_error( array(
+                'code'    => $analysis->get_error_code(),
+                'message' => $analysis->get_error_message(),
+            ) );
+        }
+
+        $elements    = isset( $_POST['elements'] ) ? json_decode( wp_unslash( $_POST['elements'] ), true ) : array();
+        $annotations = $this->api_handler->get_page_annotations( $post->post_title, is_array( $elements ) ? $elements : array() );
+
+        wp_send_json_success( array(
+            'html'        => $analysis,
+            'annotations' => is_wp_error( $annotations ) ? array() : $annotations, // The summary alone still shows in the modal
+        ) );
+    }
+}
@@ -2,13 +2,19 @@
  * SeoKar AI Public Scripts
  *
  * Handles interactions for the AI suggestion icon and modal on the front-end
- * for logged-in administrators and editors.
+ * for logged-in administrators and editors. When the server returns annotations,
+ * the analysis is shown on the page itself: the elements it refers to are highlighted,
+ * with tooltips and a side list to step through the issues.
+ * Needs wp-i18n and seokar-ai/admin/js/seokar-ai-request.js (window.seokarAi.request) to be
+ * loaded first; SeoKar_AI_Public registers them as dependencies of this script.
  */
 (function ($) {
     'use strict';
 
     $(function () { // Shorthand for jQuery(document).ready(function($) {
 
+        const { __, _n, sprintf } = wp.i18n;
+
         const $triggerButton = $('#seokar-ai-public-trigger-btn');
         const $modal = $('#seokar-ai-public-modal');
         const $modalBody = $modal.find('#seokar-ai-public-modal-body');
@@ -20,6 +26,339 @@
             return;
         }
 
+        // Page elements the analysis can point at.
+        const ELEMENT_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, img, a[href]';
+        // Where the post content usually is, most specific first. Falls back to the whole body.
+        const CONTENT_ROOT_SELECTORS = ['.entry-content', '.wp-block-post-content', '.post-content', 'article', 'main', '#content'];
+        // Our own UI and the admin bar are never analyzed.
+        const IGNORE_SELECTOR = '#wpadminbar, #seokar-ai-public-trigger-wrapper, #seokar-ai-public-modal, .seokar-ai-annotations-panel, .seokar-ai-annotation-tooltip';
+        const MAX_ELEMENTS = 200;
+        const MAX_TEXT_LENGTH = 300;
+        // Remembers whether the editor last used the overlay or the plain modal.
+        const VIEW_STORAGE_KEY = 'seokar_ai_public_view';
+
+        const SEVERITIES = {
+            error: __('Error', 'seokar-ai'),
+            warning: __('Warning', 'seokar-ai'),
+            info: __('Suggestion', 'seokar-ai')
+        };
+
+        const ELEMENT_TYPE_LABELS = {
+            heading: __('Heading', 'seokar-ai'),
+            paragraph: __('Paragraph', 'seokar-ai'),
+            image: __('Image', 'seokar-ai'),
+            link: __('Link', 'seokar-ai'),
+            page: __('Page', 'seokar-ai')
+        };
+
+        const requestClient = window.seokarAi.request.getClient(seokarAiPublic, 'public');
+        let requestController = null; // Cancels the running analysis when the modal is closed
+
+        let lastAnalysis = null; // { html, annotations } of the last response
+        let annotations = []; // Annotations shown in the overlay, each with its `$element`
+        let activeIndex = -1;
+
+        // --- Page Elements ---
+
+        /**
+         * Finds the element that holds the post content.
+         * @returns {jQuery}
+         */
+        function getContentRoot() {
+            for (let i = 0; i < CONTENT_ROOT_SELECTORS.length; i++) {
+                const $root = $(CONTENT_ROOT_SELECTORS[i]).filter(function () {
+                    return !$(this).closest(IGNORE_SELECTOR).length;
+                }).first();
+                if ($root.length && $root.find(ELEMENT_SELECTOR).length) {
+                    return $root;
+                }
+            }
+            return $(document.body);
+        }
+
+        /**
+         * The element type the server expects for a tag name.
+         * @param {string} tag Lowercase tag name.
+         * @returns {string} 'heading', 'paragraph', 'image' or 'link'.
+         */
+        function getElementType(tag) {
+            if (/^h[1-6]$/.test(tag)) {
+                return 'heading';
+            }
+            return { p: 'paragraph', img: 'image', a: 'link' }[tag];
+        }
+
+        /**
+         * Collects the headings, paragraphs, images and links of the content and tags each one
+         * with a `data-seokar-ai-ref` attribute, which the annotations refer back to.
+         * @returns {Array<Object>} Elements: { ref, type, tag, text } plus alt/src for images and href for links.
+         */
+        function collectPageElements() {
+            const elements = [];
+            $('[data-seokar-ai-ref]').removeAttr('data-seokar-ai-ref');
+
+            getContentRoot().find(ELEMENT_SELECTOR).each(function () {
+                if (elements.length >= MAX_ELEMENTS) {
+                    return false;
+                }
+                if ($(this).closest(IGNORE_SELECTOR).length) {
+                    return;
+                }
+                const tag = this.tagName.toLowerCase();
+                const text = $(this).text().replace(/\s+/g, ' ').trim();
+                if (tag === 'p' && !text) {
+                    return; // Spacer paragraphs
+                }
+
+                const element = { ref: 'e' + elements.length, type: getElementType(tag), tag: tag, text: text.slice(0, MAX_TEXT_LENGTH) };
+                if (tag === 'img') {
+                    element.src = this.currentSrc || this.src;
+                    element.alt = this.hasAttribute('alt') ? this.getAttribute('alt') : null; // Missing and empty alt differ
+                } else if (tag === 'a') {
+                    element.href = this.href;
+                }
+                this.setAttribute('data-seokar-ai-ref', element.ref);
+                elements.push(element);
+            });
+            return elements;
+        }
+
+        // --- Views ---
+
+        /**
+         * The view the editor used last: 'overlay' or 'modal'.
+         * @returns {string}
+         */
+        function getPreferredView() {
+            try {
+                return window.localStorage.getItem(VIEW_STORAGE_KEY) || 'overlay';
+            } catch (e) {
+                return 'overlay';
+            }
+        }
+
+        /**
+         * Remembers the view for the next analysis.
+         * @param {string} view 'overlay' or 'modal'.
+         */
+        function setPreferredView(view) {
+            try {
+                window.localStorage.setItem(VIEW_STORAGE_KEY, view);
+            } catch (e) { /* Storage unavailable, the default view is used next time */ }
+        }
+
+        /**
+         * Shows the analysis in the plain modal, with a button to switch to the overlay.
+         */
+        function showModalView() {
+            closeOverlay();
+            $modalBody.html(lastAnalysis.html);
+            if (lastAnalysis.annotations.length) {
+                $modalBody.prepend($('<p class="seokar-ai-view-toggle"></p>').append(
+                    $('<button type="button" class="seokar-ai-show-overlay-btn"></button>').text(sprintf(
+                        /* translators: %d: Number of issues */
+                        _n('Show %d issue on the page', 'Show %d issues on the page', lastAnalysis.annotations.length, 'seokar-ai'),
+                        lastAnalysis.annotations.length
+                    ))
+                ));
+            }
+            $modal.css('display', 'flex');
+        }
+
+        /**
+         * Shows a finished analysis in the view the editor prefers.
+         * @param {Object} data The response data: { html, annotations }.
+         */
+        function showAnalysis(data) {
+            lastAnalysis = { html: data.html, annotations: Array.isArray(data.annotations) ? data.annotations : [] };
+            if (lastAnalysis.annotations.length && getPreferredView() === 'overlay') {
+                openOverlay();
+            } else {
+                showModalView();
+            }
+        }
+
+        // --- Overlay ---
+
+        const $tooltip = $('<div class="seokar-ai-annotation-tooltip" role="tooltip"></div>').hide().appendTo(document.body);
+        const $panel = $('<aside class="seokar-ai-annotations-panel"></aside>').attr('aria-label', __('SeoKar AI page analysis', 'seokar-ai')).append(
+            $('<div class="seokar-ai-annotations-header"></div>').append(
+                $('<strong></strong>').text(__('Issues on this page', 'seokar-ai')),
+                $('<button type="button" class="seokar-ai-annotations-close"></button>').attr('aria-label', __('Close', 'seokar-ai')).html('&times;')
+            ),
+            $('<div class="seokar-ai-annotations-nav"></div>').append(
+                $('<button type="button" class="seokar-ai-annotations-prev"></button>').text(__('Previous', 'seokar-ai')),
+                $('<span class="seokar-ai-annotations-position" aria-live="polite"></span>'),
+                $('<button type="button" class="seokar-ai-annotations-next"></button>').text(__('Next', 'seokar-ai'))
+            ),
+            $('<ol class="seokar-ai-annotations-list"></ol>'),
+            $('<div class="seokar-ai-annotations-footer"></div>').append(
+                $('<button type="button" class="seokar-ai-show-modal-btn"></button>').text(__('Show as plain summary', 'seokar-ai'))
+            )
+        ).hide().appendTo(document.body);
+
+        /**
+         * The worst severity among annotations ('error' before 'warning' before 'info').
+         * @param {Array<Object>} items Annotations.
+         * @returns {string}
+         */
+        function worstSeverity(items) {
+            const order = Object.keys(SEVERITIES);
+            return items.reduce(function (worst, item) {
+                return order.indexOf(item.severity) < order.indexOf(worst) ? item.severity : worst;
+            }, 'info');
+        }
+
+        /**
+         * Annotations that point at the same element.
+         * @param {string} ref The element reference.
+         * @returns {Array<Object>}
+         */
+        function getElementAnnotations(ref) {
+            return annotations.filter(function (annotation) { return annotation.ref === ref; });
+        }
+
+        /**
+         * Highlights the annotated elements and lists the annotations in the side panel.
+         * Annotations whose element is gone are listed as page-level notes.
+         */
+        function openOverlay() {
+            closeOverlay();
+            $modal.hide();
+            setPreferredView('overlay');
+
+            annotations = lastAnalysis.annotations.map(function (annotation) {
+                const $element = annotation.ref ? $('[data-seokar-ai-ref="' + String(annotation.ref).replace(/[^\w-]/g, '') + '"]') : $();
+                return {
+                    ref: $element.length ? annotation.ref : null,
+                    severity: SEVERITIES[annotation.severity] ? annotation.severity : 'info',
+                    message: String(annotation.message || ''),
+                    $element: $element
+                };
+            });
+            // Page-level notes first, then in document order.
+            annotations.sort(function (a, b) {
+                return (a.ref ? parseInt(a.ref.slice(1), 10) + 1 : 0) - (b.ref ? parseInt(b.ref.slice(1), 10) + 1 : 0);
+            });
+
+            const $list = $panel.find('.seokar-ai-annotations-list');
+            annotations.forEach(function (annotation, index) {
+                if (annotation.ref) {
+                    annotation.$element.addClass('seokar-ai-annotated is-' + worstSeverity(getElementAnnotations(annotation.ref)));
+                }
+                const type = annotation.ref ? getElementType(annotation.$element.prop('tagName').toLowerCase()) : 'page';
+                const snippet = annotation.ref ? (annotation.$element.is('img') ? annotation.$element.attr('alt') || annotation.$element.attr('src') : annotation.$element.text()) : '';
+                $list.append($('<li class="seokar-ai-annotation"></li>').addClass('is-' + annotation.severity).append(
+                    $('<button type="button" class="seokar-ai-annotation-btn"></button>').attr('data-index', index).append(
+                        $('<span class="seokar-ai-annotation-label"></span>').text(SEVERITIES[annotation.severity] + ' \u00b7 ' + ELEMENT_TYPE_LABELS[type]),
+                        $('<span class="seokar-ai-annotation-message"></span>').text(annotation.message),
+                        snippet ? $('<span class="seokar-ai-annotation-snippet"></span>').text(String(snippet).replace(/\s+/g, ' ').trim().slice(0, 80)) : null
+                    )
+                ));
+            });
+
+            $panel.find('.seokar-ai-annotations-position').text(
+                /* translators: %d: Number of issues */
+                sprintf(_n('%d issue', '%d issues', annotations.length, 'seokar-ai'), annotations.length)
+            );
+            $('body').addClass('seokar-ai-overlay-open');
+            $panel.show();
+        }
+
+        /**
+         * Removes the highlights, tooltip and side panel.
+         */
+        function closeOverlay() {
+            $('.seokar-ai-annotated').removeClass('seokar-ai-annotated is-error is-warning is-info is-current');
+            $('body').removeClass('seokar-ai-overlay-open');
+            $panel.hide().find('.seokar-ai-annotations-list').empty();
+            $tooltip.hide();
+            annotations = [];
+            activeIndex = -1;
+        }
+
+        /**
+         * Shows the messages for an element in a tooltip below it.
+         * @param {jQuery} $element The highlighted element.
+         */
+        function showTooltip($element) {
+            const items = getElementAnnotations($element.attr('data-seokar-ai-ref'));
+            if (!items.length) {
+                $tooltip.hide();
+                return;
+            }
+            $tooltip.empty().append($('<ul></ul>').append(items.map(function (item) {
+                return $('<li></li>').addClass('is-' + item.severity).text(item.message);
+            }))).show();
+
+            // Document coordinates, so the tooltip stays with the element while the page scrolls.
+            const rect = $element[0].getBoundingClientRect();
+            const maxLeft = document.documentElement.clientWidth - $tooltip.outerWidth() - 8;
+            $tooltip.css({
+                top: rect.bottom + window.pageYOffset + 8,
+                left: Math.max(8, Math.min(rect.left + window.pageXOffset, maxLeft + window.pageXOffset))
+            });
+        }
+
+        /**
+         * Makes an annotation the current one: scrolls its element into view and shows its tooltip.
+         * @param {number} index Index in `annotations`; wraps around.
+         */
+        function selectAnnotation(index) {
+            if (!annotations.length) {
+                return;
+            }
+            activeIndex = (index + annotations.length) % annotations.length;
+            const annotation = annotations[activeIndex];
+
+            $panel.find('.seokar-ai-annotation').removeClass('is-current').eq(activeIndex).addClass('is-current');
+            $panel.find('.seokar-ai-annotations-position').text(activeIndex + 1 + ' / ' + annotations.length);
+            $('.seokar-ai-annotated.is-current').removeClass('is-current');
+
+            if (annotation.ref) {
+                annotation.$element.addClass('is-current');
+                annotation.$element[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+                showTooltip(annotation.$element);
+            } else {
+                $tooltip.hide();
+            }
+        }
+
+        $panel.on('click', '.seokar-ai-annotation-btn', function () {
+            selectAnnotation(parseInt($(this).attr('data-index'), 10));
+        });
+        $panel.on('click', '.seokar-ai-annotations-prev', function () {
+            selectAnnotation(activeIndex === -1 ? annotations.length - 1 : activeIndex - 1);
+        });
+        $panel.on('click', '.seokar-ai-annotations-next', function () {
+            selectAnnotation(activeIndex + 1);
+        });
+        $panel.on('click', '.seokar-ai-annotations-close', closeOverlay);
+        $panel.on('click', '.seokar-ai-show-modal-btn', function () {
+            setPreferredView('modal');
+            showModalView();
+        });
+        $modalBody.on('click', '.seokar-ai-show-overlay-btn', openOverlay);
+
+        // Hovering a highlighted element shows its messages; leaving it goes back to the current one.
+        $(document).on('mouseenter', '.seokar-ai-annotated', function () {
+            showTooltip($(this));
+        });
+        $(document).on('mouseleave', '.seokar-ai-annotated', function () {
+            const $current = $('.seokar-ai-annotated.is-current');
+            if ($current.length) {
+                showTooltip($current);
+            } else {
+                $tooltip.hide();
+            }
+        });
+        $(window).on('resize', function () {
+            const $current = $('.seokar-ai-annotated.is-current');
+            if ($current.length && $tooltip.is(':visible')) {
+                showTooltip($current);
+            }
+        });
+
         // --- Event Handlers ---
 
         // 1. Handle click on the trigger button
@@ -34,56 +373,74 @@
             }
 
             // Show modal and spinner, set initial loading message
+            closeOverlay();
             $modal.css('display', 'flex'); // Use flex for vertical centering of the modal content
             $modalSpinner.css('visibility', 'visible').addClass('is-active');
             $modalBody.html('<p>' + seokarAiPublic.i18n.loading + '</p>');
 
-            $.ajax({
-                url: seokarAiPublic.ajax_url,
-                type: 'POST',
-                data: {
-                    action: 'seokar_ai_public_suggestion', // WP AJAX action
-                    nonce: seokarAiPublic.nonce,
-                    post_id: postId
-                },
-                dataType: 'json',
-                success: function (response) {
-                    if (response.success && response.data && response.data.html) {
-                        $modalBody.html(response.data.html);
-                    } else {
-                        const errorMessage = (response.data && response.data.message) ? response.data.message : (response.data || seokarAiPublic.i18n.error_generic);
-                        $modalBody.html('<p class="seokar-ai-error">' + errorMessage + '</p>');
-                        console.error('SeoKar AI Public AJAX Error:', response);
-                    }
-                },
-                error: function (jqXHR, textStatus, errorThrown) {
-                    $modalBody.html('<p class="seokar-ai-error">' + seokarAiPublic.i18n.error_generic + ' (' + textStatus + ': ' + errorThrown + ')</p>');
-                    console.error('SeoKar AI Public AJAX Call Failed:', textStatus, errorThrown, jqXHR.responseText);
-                },
-                complete: function () {
+            if (requestController) {
+                requestController.abort();
+            }
+            const controller = requestController = new AbortController();
+
+            requestClient.post({
+                action: 'seokar_ai_public_suggestion', // WP AJAX action
+                post_id: postId,
+                elements: JSON.stringify(collectPageElements()) // For the annotations, see SeoKar_AI_API_Handler::get_page_annotations()
+            }, {
+                signal: controller.signal,
+                onRetry: function (retry) {
+                    $modalBody.html('<p>' + seokarAiPublic.i18n.loading + '</p>').append(
+                        $('<p class="seokar-ai-retry-note"></p>').text(sprintf(__('The server is busy, retrying in %d s\u2026', 'seokar-ai'), Math.ceil(retry.delay / 1000)))
+                    );
+                }
+            }).then(function (data) {
+                if (!data || !data.html) {
+                    throw new Error(seokarAiPublic.i18n.error_generic);
+                }
+                showAnalysis(data);
+            }).catch(function (err) {
+                if (window.seokarAi.request.isAbort(err)) {
+                    return;
+                }
+                $modalBody.empty().append($('<p class="seokar-ai-error"></p>').text(err.message || seokarAiPublic.i18n.error_generic));
+                console.error('SeoKar AI Public Request Failed:', err);
+            }).then(function () {
+                if (requestController === controller) {
+                    requestController = null;
                     $modalSpinner.css('visibility', 'hidden').removeClass('is-active');
                 }
             });
         });
 
-        // 2. Handle click on the modal close button
-        $modalCloseButton.on('click', function () {
+        /**
+         * Hides the modal, cancelling the analysis if it is still running.
+         */
+        function closeModal() {
+            if (requestController) {
+                requestController.abort();
+            }
             $modal.hide();
-        });
+        }
+
+        // 2. Handle click on the modal close button
+        $modalCloseButton.on('click', closeModal);
 
         // 3. Handle click outside the modal content to close it (optional but good UX)
         $modal.on('click', function (e) {
             // Check if the click target is the modal background itself, not its children
             if ($(e.target).is($modal)) {
-                $modal.hide();
+                closeModal();
             }
         });
 
-        // 4. Handle 'Escape' key press to close the modal
+        // 4. Handle 'Escape' key press to close the modal or the overlay
         $(document).on('keydown', function (e) {
             if (e.key === "Escape" || e.key === "Esc") { // Check for Escape key
                 if ($modal.is(':visible')) {
-                    $modal.hide();
+                    closeModal();
+                } else if ($panel.is(':visible')) {
+                    closeOverlay();
                 }
             }
         });